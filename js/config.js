@@ -1,3 +1,5 @@
+import { getStructureAttachments } from '../utils/structures.js';
+
 const THREE = window.THREE;
 
 export const CONSTANTS = {
@@ -29,10 +31,18 @@ export function createMaterials() {
     pole: new THREE.MeshStandardMaterial({ color: 0x8b5a2b }),
     crossArm: new THREE.MeshStandardMaterial({ color: 0x4d4d4d }),
     poleHighlight: new THREE.MeshStandardMaterial({ color: 0xffe66d }),
+    overstressedPole: new THREE.MeshStandardMaterial({ color: 0xd9463b }),
     goodSpan: new THREE.LineBasicMaterial({ color: 0x000000 }),
     badSpan: new THREE.LineBasicMaterial({ color: 0xff0000 }),
     ghost: new THREE.MeshStandardMaterial({ color: 0x46c9ff, transparent: true, opacity: 0.4 }),
     treeHighlight: new THREE.MeshStandardMaterial({ color: 0xffff8d }),
+    guy: new THREE.LineBasicMaterial({ color: 0x777777 }),
+    equipment: new THREE.MeshStandardMaterial({ color: 0x8a9499 }),
+    serviceDrop: new THREE.LineBasicMaterial({ color: 0x222222 }),
+    underbuild: new THREE.LineBasicMaterial({ color: 0x5a5a5a }),
+    // Drawn through the terrain so buried cable stays visible
+    undergroundCable: new THREE.LineDashedMaterial({ color: 0x7a3fb0, dashSize: 2, gapSize: 1, depthTest: false, transparent: true }),
+    riser: new THREE.MeshStandardMaterial({ color: 0x9a9a9a }),
     grid: new THREE.LineBasicMaterial({ color: 0x555555, transparent: true, opacity: 0.5 }),
     bird: new THREE.MeshStandardMaterial({ color: 0x222222 })
   };
@@ -79,19 +89,20 @@ export function createGeometries() {
   };
 }
 
-export function createTransmissionTower(height, material) {
+/**
+ * Lattice tower body, centred on its mid-height like a pole mesh
+ * @param {number} height - Nominal height (ft), where the lowest tier attaches
+ * @param {THREE.Material} material - Unused by the line work; kept for a uniform signature
+ * @param {Array<number>} [tierRises=[0, 5, 10]] - Tier heights above the nominal height
+ * @param {number} [topRise=10] - Top of the tower above the nominal height
+ * @returns {THREE.Group}
+ */
+export function createTransmissionTower(height, material, tierRises = [0, 5, 10], topRise = 10) {
   const tower = new THREE.Group();
   
   // Height parameter is the LOWEST tier height (where conductors attach)
-  // Tiers are spaced 5 units apart (fixed separation)
   // Tower structure extends downward to reach from ground to lowest tier
-  const tierSpacing = 5; // Fixed 5-unit spacing between tiers
-  const tier1Height = height; // Lowest tier at specified height
-  const tier2Height = height + tierSpacing; // Middle tier
-  const tier3Height = height + tierSpacing * 2; // Top tier
-  
-  // Tower extends from ground to top tier
-  const actualTowerHeight = tier3Height;
+  const actualTowerHeight = height + topRise;
   
   // Scale factors based on lowest tier height - much wider tower
   const baseWidth = 0.8 + (height / 40) * 0.8; // Much wider base for taller towers
@@ -162,10 +173,10 @@ export function createTransmissionTower(height, material) {
     }
   });
   
-  // Create horizontal tiers for conductor attachment points (3 fixed tiers)
+  // Create horizontal tiers for conductor attachment points
   // Tiers are positioned at fixed heights relative to the lowest tier
   const tierMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
-  const tierHeights = [tier1Height, tier2Height, tier3Height];
+  const tierHeights = tierRises.map(rise => height + rise);
   
   tierHeights.forEach((tierHeight, tierIdx) => {
     // Convert world tier height to local tower coordinates
@@ -193,9 +204,120 @@ export function createTransmissionTower(height, material) {
   return tower;
 }
 
-// Tower tier heights: fixed vertical spacing between tiers
-// tier1 = the height parameter (lowest tier)
-// tier2 = height + 5
-// tier3 = height + 10
-// When height changes, tiers stay at these fixed vertical spacings, tower grows downward
-export const TOWER_TIER_FRACTIONS = [1.0, 1.25, 1.5];
+/**
+ * H-frame body: two legs joined by crossbeams, centred on its mid-height
+ * @param {number} height - Nominal height (ft)
+ * @param {THREE.Material} material - Leg material
+ * @param {Object} body - Body parameters (legSpacing, topRise, crossarms)
+ * @returns {THREE.Group}
+ */
+function createHFrame(height, material, body) {
+  const frame = new THREE.Group();
+  const totalHeight = height + (body.topRise || 0);
+  
+  [-body.legSpacing / 2, body.legSpacing / 2].forEach(x => {
+    const leg = new THREE.Mesh(new THREE.CylinderGeometry(CONSTANTS.R, CONSTANTS.R, totalHeight, 8), material);
+    leg.position.x = x;
+    frame.add(leg);
+  });
+  
+  (body.crossarms || []).forEach(arm => {
+    const beam = new THREE.Mesh(new THREE.BoxGeometry(arm.width, 0.3, 0.3), material);
+    beam.position.y = -totalHeight / 2 + height + arm.rise;
+    frame.add(beam);
+  });
+  
+  return frame;
+}
+
+/**
+ * Body of a structure at a nominal height, centred on its mid-height so it
+ * sits on the ground at base + (height + topRise) / 2.
+ * Pole bodies scale the shared cylinder; their crossarms are added by the
+ * caller since they turn to face the connected spans. Other bodies are built
+ * to size in the structure's own frame, x across the line.
+ *
+ * @param {Object} structure - Structure definition (utils/structures.js)
+ * @param {number} height - Nominal height (ft)
+ * @param {THREE.Material} material - Body material
+ * @param {THREE.BufferGeometry} poleGeometry - Shared pole cylinder, BASE_H tall
+ * @returns {THREE.Object3D}
+ */
+export function createStructureBody(structure, height, material, poleGeometry) {
+  const { body } = structure;
+  if (body.type === 'lattice') {
+    // One tier per distinct attachment height, across every layout or circuit
+    const tierRises = [...new Set(getStructureAttachments(structure).map(attachment => attachment.y))].sort((a, b) => a - b);
+    return createTransmissionTower(height, material, tierRises, body.topRise || 0);
+  }
+  if (body.type === 'h-frame') {
+    return createHFrame(height, material, body);
+  }
+  const mesh = new THREE.Mesh(poleGeometry, material);
+  mesh.scale.y = (height + (body.topRise || 0)) / CONSTANTS.BASE_H;
+  return mesh;
+}
+
+/**
+ * Mesh of a piece of pole-mounted equipment, centred on its mid-height.
+ * Built in the equipment's own frame: the pole is on the -x side, so the
+ * caller places it at the pole face and turns +x away from the pole.
+ * @param {Object} equipment - Equipment type (utils/equipment.js)
+ * @param {THREE.Material} material - Body material
+ * @param {THREE.Material} [insulatorMaterial=material] - Bushings and insulators
+ * @returns {THREE.Group}
+ */
+export function createEquipmentMesh(equipment, material, insulatorMaterial = material) {
+  const group = new THREE.Group();
+  const h = equipment.height;
+  const add = (geometry, x, y, z = 0, mat = material) => {
+    const mesh = new THREE.Mesh(geometry, mat);
+    mesh.position.set(x, y, z);
+    group.add(mesh);
+    return mesh;
+  };
+  
+  switch (equipment.shape) {
+    case 'can': {
+      // Transformer tank with a lid and two bushings
+      const radius = h * 0.3;
+      add(new THREE.CylinderGeometry(radius, radius, h, 12), radius, 0);
+      add(new THREE.CylinderGeometry(radius * 1.05, radius * 1.05, 0.1, 12), radius, h / 2);
+      [-radius / 2, radius / 2].forEach(z => {
+        add(new THREE.CylinderGeometry(0.06, 0.06, 0.5, 6), radius, h / 2 + 0.25, z, insulatorMaterial);
+      });
+      break;
+    }
+    case 'switch': {
+      // Three blades on a mounting bar across the pole
+      add(new THREE.BoxGeometry(0.2, 0.2, 4), 0.1, -h / 2 + 0.1);
+      [-1.5, 0, 1.5].forEach(z => {
+        add(new THREE.CylinderGeometry(0.06, 0.06, h - 0.2, 6), 0.1, 0.1, z, insulatorMaterial);
+        add(new THREE.BoxGeometry(0.05, 0.05, 0.8), 0.2, h / 2 - 0.2, z);
+      });
+      break;
+    }
+    case 'cutout': {
+      // Fuse barrel tilted off the pole
+      const barrel = add(new THREE.CylinderGeometry(0.08, 0.08, h, 8), 0.25, 0, 0, insulatorMaterial);
+      barrel.rotation.z = -Math.PI / 9;
+      break;
+    }
+    case 'rack': {
+      // Capacitor cans side by side on a rack
+      add(new THREE.BoxGeometry(0.2, 0.2, 4), 0.1, -h / 2 + 0.1);
+      [-1.3, 0, 1.3].forEach(z => {
+        add(new THREE.BoxGeometry(0.6, h - 0.4, 0.9), 0.4, 0.1, z);
+        add(new THREE.CylinderGeometry(0.06, 0.06, 0.3, 6), 0.4, h / 2 - 0.05, z, insulatorMaterial);
+      });
+      break;
+    }
+    default: {
+      // Cabinet, e.g. a recloser
+      add(new THREE.BoxGeometry(h * 0.5, h, h * 0.6), h * 0.25, 0);
+      break;
+    }
+  }
+  
+  return group;
+}
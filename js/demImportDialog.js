@@ -0,0 +1,518 @@
+/**
+ * DEM Import Dialog for GridScaper
+ *
+ * Reads a gridded digital elevation model - an ESRI ASCII grid or a
+ * single-band GeoTIFF - in the browser and turns it into a 2D terrain
+ * surface, optionally cropped and resampled to the scene extent.
+ */
+
+import { parseDem, getDemStats, getDemExtent, createDemSurface, DEM_LINEAR_UNITS } from '../utils/dem.js';
+
+const unitOptions = Object.entries(DEM_LINEAR_UNITS)
+  .map(([id, unit]) => `<option value="${id}">${unit.label}</option>`)
+  .join('');
+
+/**
+ * Shows the DEM import dialog
+ * @param {Function} onImportComplete - Callback with the terrain surface when import is successful
+ * @param {Function} onCancel - Callback when import is cancelled
+ * @param {Object} [options]
+ * @param {number|null} [options.resolution=null] - Samples across and down of the terrain mesh,
+ *   offered as the grid to resample to
+ */
+export function showDemImportDialog(onImportComplete, onCancel = null, { resolution = null } = {}) {
+  const overlay = document.createElement('div');
+  overlay.className = 'dem-import-overlay';
+  overlay.innerHTML = `
+    <div class="dem-import-dialog">
+      <div class="dem-dialog-header">
+        <h3>⛰️ Import Elevation Model</h3>
+        <button class="dem-close-btn" type="button">&times;</button>
+      </div>
+
+      <div class="dem-dialog-content">
+        <div class="dem-intro">
+          <p>Import a gridded digital elevation model (DEM) to build real 2D hillsides. Supports ESRI ASCII grids (.asc) and single-band GeoTIFFs (.tif) exported from ArcGIS, QGIS or GDAL.</p>
+        </div>
+
+        <div class="dem-file-drop-zone" id="dem-drop-zone">
+          <div class="dem-drop-icon">⛰️</div>
+          <p>Drop a DEM file here or click to browse</p>
+          <p class="dem-drop-hint">Supports .asc and .tif/.tiff files</p>
+          <input type="file" id="dem-file-input" accept=".asc,.txt,.tif,.tiff" style="display: none;">
+        </div>
+
+        <div class="dem-preview-section" id="dem-preview" style="display: none;">
+          <h4>🔍 DEM Preview</h4>
+          <div class="dem-preview-stats" id="dem-preview-stats"></div>
+        </div>
+
+        <div class="dem-options-section" id="dem-options" style="display: none;">
+          <h4>⚙️ Terrain Options</h4>
+          <div class="dem-options-grid">
+            <label class="dem-option-group">
+              <span>Horizontal Units:</span>
+              <select id="dem-horizontal-units">
+                ${unitOptions}
+                <option value="degrees">Degrees (lat/long)</option>
+              </select>
+            </label>
+
+            <label class="dem-option-group">
+              <span>Elevation Units:</span>
+              <select id="dem-vertical-units">${unitOptions}</select>
+            </label>
+
+            <label class="dem-option-group">
+              <span>Height Scale:</span>
+              <select id="dem-height-scale">
+                <option value="0.5">0.5x (compressed)</option>
+                <option value="1.0" selected>1.0x (natural)</option>
+                <option value="1.5">1.5x (enhanced)</option>
+                <option value="2.0">2.0x (exaggerated)</option>
+              </select>
+            </label>
+
+            <label class="dem-option-group full-width">
+              <input type="checkbox" id="dem-crop" checked>
+              <span>Crop to scene extent around the DEM centre</span>
+            </label>
+
+            <label class="dem-option-group">
+              <span>Scene Width (ft):</span>
+              <input type="number" id="dem-crop-width" value="500" min="50" max="5000" step="10">
+            </label>
+
+            <label class="dem-option-group">
+              <span>Scene Depth (ft):</span>
+              <input type="number" id="dem-crop-depth" value="500" min="50" max="5000" step="10">
+            </label>
+
+            <label class="dem-option-group full-width" id="dem-resample-group">
+              <input type="checkbox" id="dem-resample" checked>
+              <span>Resample to the terrain mesh (${resolution} × ${resolution} samples)</span>
+            </label>
+          </div>
+        </div>
+
+        <div class="dem-messages" id="dem-messages"></div>
+      </div>
+
+      <div class="dem-dialog-footer">
+        <button class="dem-btn dem-btn-secondary" id="dem-cancel-btn">Cancel</button>
+        <button class="dem-btn dem-btn-primary" id="dem-import-btn" disabled>Create Terrain Surface</button>
+      </div>
+    </div>
+  `;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .dem-import-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.8);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10000;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+    }
+
+    .dem-import-dialog {
+      background: #2a2a2a;
+      color: #ffffff;
+      border-radius: 12px;
+      width: 90%;
+      max-width: 640px;
+      max-height: 90vh;
+      overflow: hidden;
+      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.5);
+      display: flex;
+      flex-direction: column;
+    }
+
+    .dem-dialog-header {
+      padding: 20px;
+      background: #333;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      border-bottom: 1px solid #444;
+    }
+
+    .dem-dialog-header h3 {
+      margin: 0;
+      font-size: 18px;
+      color: #73c2fb;
+    }
+
+    .dem-close-btn {
+      background: none;
+      border: none;
+      color: #ccc;
+      font-size: 24px;
+      cursor: pointer;
+      width: 30px;
+      height: 30px;
+      border-radius: 50%;
+    }
+
+    .dem-close-btn:hover {
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+    }
+
+    .dem-dialog-content {
+      padding: 20px;
+      overflow-y: auto;
+      flex: 1;
+    }
+
+    .dem-intro {
+      background: rgba(115, 194, 251, 0.1);
+      border-radius: 6px;
+      padding: 12px;
+      margin-bottom: 20px;
+      font-size: 14px;
+      line-height: 1.4;
+    }
+
+    .dem-file-drop-zone {
+      border: 2px dashed #555;
+      border-radius: 8px;
+      padding: 32px 20px;
+      text-align: center;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      margin-bottom: 24px;
+    }
+
+    .dem-file-drop-zone:hover,
+    .dem-file-drop-zone.drag-over {
+      border-color: #73c2fb;
+      background: rgba(115, 194, 251, 0.05);
+    }
+
+    .dem-drop-icon {
+      font-size: 48px;
+      margin-bottom: 12px;
+    }
+
+    .dem-drop-hint {
+      color: #aaa;
+      font-size: 12px;
+    }
+
+    .dem-preview-section,
+    .dem-options-section {
+      margin-bottom: 24px;
+    }
+
+    .dem-preview-section h4,
+    .dem-options-section h4 {
+      margin: 0 0 12px 0;
+      font-size: 14px;
+      color: #73c2fb;
+      font-weight: 600;
+    }
+
+    .dem-preview-stats {
+      background: #333;
+      padding: 12px;
+      border-radius: 6px;
+      font-size: 13px;
+      line-height: 1.6;
+    }
+
+    .dem-options-grid {
+      display: grid;
+      grid-template-columns: 1fr 1fr 1fr;
+      gap: 16px;
+      align-items: start;
+    }
+
+    .dem-option-group {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      font-size: 13px;
+    }
+
+    .dem-option-group.full-width {
+      grid-column: 1 / -1;
+      flex-direction: row;
+      align-items: center;
+    }
+
+    .dem-option-group span {
+      font-weight: 500;
+      color: #ddd;
+    }
+
+    .dem-option-group select,
+    .dem-option-group input[type="number"] {
+      background: #1a1a1a;
+      border: 1px solid #555;
+      color: white;
+      padding: 8px;
+      border-radius: 4px;
+      font-size: 13px;
+    }
+
+    .dem-message {
+      padding: 12px;
+      border-radius: 6px;
+      margin-bottom: 8px;
+      font-size: 13px;
+    }
+
+    .dem-message.error {
+      background: rgba(255, 69, 69, 0.1);
+      border: 1px solid rgba(255, 69, 69, 0.3);
+      color: #ff6b6b;
+    }
+
+    .dem-message.warning {
+      background: rgba(255, 193, 7, 0.1);
+      border: 1px solid rgba(255, 193, 7, 0.3);
+      color: #ffc107;
+    }
+
+    .dem-dialog-footer {
+      padding: 20px;
+      background: #333;
+      border-top: 1px solid #444;
+      display: flex;
+      justify-content: flex-end;
+      gap: 12px;
+    }
+
+    .dem-btn {
+      padding: 10px 20px;
+      border: none;
+      border-radius: 6px;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+    }
+
+    .dem-btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .dem-btn-secondary {
+      background: #555;
+      color: white;
+    }
+
+    .dem-btn-primary {
+      background: #73c2fb;
+      color: #1a1a1a;
+    }
+
+    @media (max-width: 768px) {
+      .dem-options-grid {
+        grid-template-columns: 1fr;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+  document.body.appendChild(overlay);
+
+  // State variables
+  let currentGrid = null;
+  let currentFileName = '';
+
+  // Get element references
+  const dropZone = overlay.querySelector('#dem-drop-zone');
+  const fileInput = overlay.querySelector('#dem-file-input');
+  const previewSection = overlay.querySelector('#dem-preview');
+  const previewStats = overlay.querySelector('#dem-preview-stats');
+  const optionsSection = overlay.querySelector('#dem-options');
+  const messagesContainer = overlay.querySelector('#dem-messages');
+  const importBtn = overlay.querySelector('#dem-import-btn');
+  const cancelBtn = overlay.querySelector('#dem-cancel-btn');
+  const closeBtn = overlay.querySelector('.dem-close-btn');
+  const horizontalSelect = overlay.querySelector('#dem-horizontal-units');
+  const verticalSelect = overlay.querySelector('#dem-vertical-units');
+  const heightScaleSelect = overlay.querySelector('#dem-height-scale');
+  const cropCheck = overlay.querySelector('#dem-crop');
+  const cropWidthInput = overlay.querySelector('#dem-crop-width');
+  const cropDepthInput = overlay.querySelector('#dem-crop-depth');
+  const resampleCheck = overlay.querySelector('#dem-resample');
+
+  if (!resolution) {
+    overlay.querySelector('#dem-resample-group').style.display = 'none';
+  }
+
+  function showMessage(text, type = 'error') {
+    const message = document.createElement('div');
+    message.className = `dem-message ${type}`;
+    message.textContent = text;
+    messagesContainer.appendChild(message);
+  }
+
+  function hideMessages() {
+    messagesContainer.innerHTML = '';
+  }
+
+  function showPreview() {
+    const stats = getDemStats(currentGrid);
+    const extent = getDemExtent(currentGrid, horizontalSelect.value);
+    const unit = horizontalSelect.value === 'degrees' ? '°' : ` ${horizontalSelect.value}`;
+    const detected = [currentGrid.horizontalUnits, currentGrid.verticalUnits]
+      .map(units => units || 'not set')
+      .join(' / ');
+    previewStats.innerHTML = `
+      <div><strong>File:</strong> ${currentFileName}</div>
+      <div><strong>Cells:</strong> ${currentGrid.cols} × ${currentGrid.rows} (${stats.valid.toLocaleString()} with data)</div>
+      <div><strong>Cell Size:</strong> ${+currentGrid.cellSizeX.toPrecision(6)} × ${+currentGrid.cellSizeY.toPrecision(6)}${unit}</div>
+      <div><strong>Extent:</strong> ${Math.round(extent.width).toLocaleString()} × ${Math.round(extent.depth).toLocaleString()} ft</div>
+      <div><strong>Elevation:</strong> ${stats.min.toFixed(1)} to ${stats.max.toFixed(1)} ${verticalSelect.value}</div>
+      <div><strong>Units in file (horizontal / elevation):</strong> ${detected}</div>
+    `;
+    previewSection.style.display = 'block';
+    optionsSection.style.display = 'block';
+  }
+
+  function hidePreview() {
+    previewSection.style.display = 'none';
+    optionsSection.style.display = 'none';
+  }
+
+  async function handleFileSelect(file) {
+    currentGrid = null;
+    hidePreview();
+    hideMessages();
+    importBtn.disabled = true;
+
+    if (!/\.(asc|txt|tif|tiff)$/i.test(file.name)) {
+      showMessage('Please select an ESRI ASCII grid (.asc) or GeoTIFF (.tif) file');
+      return;
+    }
+    if (file.size > 200 * 1024 * 1024) {
+      showMessage('File size too large. Please select a file smaller than 200MB.');
+      return;
+    }
+
+    try {
+      const grid = await parseDem(file.name, await file.arrayBuffer());
+      if (getDemStats(grid).valid === 0) {
+        throw new Error('DEM has no elevation data');
+      }
+      currentGrid = grid;
+      currentFileName = file.name;
+      horizontalSelect.value = grid.horizontalUnits || 'm';
+      verticalSelect.value = grid.verticalUnits || 'm';
+      if (grid.georeferenced === false) {
+        showMessage('The TIFF has no georeferencing; each pixel is taken as one horizontal unit.', 'warning');
+      }
+      showPreview();
+      importBtn.disabled = false;
+    } catch (error) {
+      showMessage(`Error reading DEM: ${error.message}`);
+    }
+  }
+
+  function handleImport() {
+    if (!currentGrid) return;
+    hideMessages();
+
+    try {
+      const crop = cropCheck.checked
+        ? { width: parseFloat(cropWidthInput.value), depth: parseFloat(cropDepthInput.value) }
+        : null;
+      if (crop && !(crop.width > 0 && crop.depth > 0)) {
+        throw new Error('Scene width and depth must be positive');
+      }
+      const options = {
+        horizontalUnits: horizontalSelect.value,
+        verticalUnits: verticalSelect.value,
+        heightScale: parseFloat(heightScaleSelect.value),
+        crop,
+        resolution: resolution && resampleCheck.checked ? resolution : null
+      };
+      const surface = createDemSurface(currentGrid, options);
+
+      closeDialog();
+      if (onImportComplete) {
+        onImportComplete({
+          ...surface,
+          metadata: { ...surface.metadata, fileName: currentFileName, importOptions: options }
+        });
+      }
+    } catch (error) {
+      showMessage(`Import error: ${error.message}`);
+    }
+  }
+
+  function closeDialog() {
+    document.removeEventListener('keydown', escapeHandler);
+    document.head.removeChild(style);
+    document.body.removeChild(overlay);
+  }
+
+  function handleCancel() {
+    closeDialog();
+    if (onCancel) onCancel();
+  }
+
+  function escapeHandler(e) {
+    if (e.key === 'Escape') handleCancel();
+  }
+
+  // Event listeners
+  dropZone.addEventListener('click', () => fileInput.click());
+
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('drag-over');
+  });
+
+  dropZone.addEventListener('dragleave', () => {
+    dropZone.classList.remove('drag-over');
+  });
+
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dropZone.classList.remove('drag-over');
+    if (e.dataTransfer.files.length > 0) {
+      handleFileSelect(e.dataTransfer.files[0]);
+    }
+  });
+
+  fileInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      handleFileSelect(e.target.files[0]);
+    }
+  });
+
+  [horizontalSelect, verticalSelect].forEach(select => {
+    select.addEventListener('change', () => {
+      if (currentGrid) showPreview();
+    });
+  });
+
+  cropCheck.addEventListener('change', () => {
+    cropWidthInput.disabled = !cropCheck.checked;
+    cropDepthInput.disabled = !cropCheck.checked;
+  });
+
+  importBtn.addEventListener('click', handleImport);
+  cancelBtn.addEventListener('click', handleCancel);
+  closeBtn.addEventListener('click', handleCancel);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      handleCancel();
+    }
+  });
+
+  document.addEventListener('keydown', escapeHandler);
+}
@@ -1,9 +1,28 @@
-import { CONSTANTS, HELPERS, BIRD_SETTINGS, EQUIPMENT_COLORS, createMaterials, createGeometries, createTransmissionTower, TOWER_TIER_FRACTIONS } from './config.js';
+import { CONSTANTS, HELPERS, BIRD_SETTINGS, EQUIPMENT_COLORS, ENVIRONMENT_COLORS, createMaterials, createGeometries, createStructureBody, createEquipmentMesh } from './config.js';
 import { buildTerrain as importedBuildTerrain, terrainOffsetZ, fitGroundInView } from './terrain.js';
-import { initUI, setupUI, UIState, getUIValues, elements } from './ui.js';
-import { getConductorCurve } from '../utils/catenary.js';
+import { initUI, setupUI, UIState, getUIValues, elements, updateStructureOptions, updateUnderbuildControls, EQUIPMENT_LABELS } from './ui.js';
+import { getConductorCurve, getConductorGeometry, getBlowoutEnvelope, LOADING_CASES, BLOWOUT_CASE, HOT_CASE, REFERENCE_CASE } from '../utils/catenary.js';
+import { findClosestConductorApproach } from '../utils/conductorSpacing.js';
+import { DEFAULT_CLEARANCE_RULES, CLEARANCE_STATUS, validateRuleTable, getRequiredClearance, evaluateClearance } from '../utils/clearanceRules.js';
+import { suggestClearanceFixes, DEFAULT_FIX_LIMITS } from '../utils/clearanceFixes.js';
+import { createSpatialIndex, boundsOfPoints } from '../utils/spatialIndex.js';
+import { DEFAULT_FRAMING, FRAMING_TYPES, DOUBLE_ARM_GAP, getFraming, selectFraming, getFramedStructure } from '../utils/framing.js';
+import { GUY_CASE, MIN_LEAD_RATIO, getResultantLoad, proposeGuy } from '../utils/guying.js';
+import { POLE_CLASSES, DEFAULT_POLE_CLASS, calculatePoleLoading } from '../utils/poleLoading.js';
+import { UNDERBUILD_TYPES, UNDERBUILD_EQUIPMENT, COMM_POLE_SEPARATION, COMM_MIDSPAN_SEPARATION, getUnderbuildTension, getVerticalSeparation, sanitizeUnderbuildSettings } from '../utils/underbuild.js';
+import { UNDERGROUND_SPAN, DEFAULT_BURIAL_DEPTH, isUndergroundSpan, sanitizeBurialDepth, getUndergroundCablePoints, getCableLength } from '../utils/underground.js';
+import { EQUIPMENT_TYPES, EQUIPMENT_STANDOFF, SERVICE_DROP_MAX_LENGTH, SERVICE_MAST_HEIGHT, getEquipment, sanitizeEquipment, getEquipmentWeight, stackEquipment, getServiceDropPoints } from '../utils/equipment.js';
+import { STRUCTURE_TYPES, getStructure, getPoleStructureId, isTowerStructure, getTopRise, getHalfWidth, isRiserStructure, isBuiltInStructure, getStructureAttachments, getStructureCircuits, getDefaultConnections, pairCircuitAttachments, registerStructure, PHASINGS, DEFAULT_PHASING } from '../utils/structures.js';
+import { findLinePaths, getPathStations, getPointStation, locateStation, sampleGroundProfile } from '../utils/lineProfile.js';
+import { compareClearanceResults, worstClearanceResult, formatRuleId, countClearanceStatuses, clearanceResultsToCSV, clearanceResultsToText } from '../utils/clearanceReport.js';
+import { calculateAmpacity, calculateConductorTemperature } from '../utils/ampacity.js';
+import { CONDUCTOR_LIBRARY, DEFAULT_CONDUCTOR_ID, getConductor } from '../utils/conductors.js';
+import { findStrainSections, getSpanLength } from '../utils/rulingSpan.js';
+import { buildSagTensionTable, sagTensionToCSV, sagTensionToHTML } from '../utils/sagTension.js';
+import { getDemExtent, createDemElevationFunction, serializeDem, sanitizeDem } from '../utils/dem.js';
 import { showGISImportDialog } from './gisImportDialog.js';
 import { showElevationProfileDialog } from './elevationProfileDialog.js';
+import { showDemImportDialog } from './demImportDialog.js';
 
 // Make THREE available to our ES module by accessing it from window
 const THREE = window.THREE;
@@ -57,10 +76,11 @@ document.addEventListener('DOMContentLoaded', () => {
     currentIndex: -1,
     maxSize: 50,
     isRestoring: false, // Flag to prevent state capture during undo/redo
+    isBatching: false, // Flag to hold state capture until a multi-step edit finishes
     
     captureState() {
-      // Don't capture state while restoring from undo/redo
-      if (this.isRestoring) return;
+      // Don't capture state while restoring from undo/redo or in the middle of a batch
+      if (this.isRestoring || this.isBatching) return;
       
       // Create a deep copy of current poles state
       const polesState = poles.map(p => ({
@@ -69,16 +89,16 @@ document.addEventListener('DOMContentLoaded', () => {
         z: p.z,
         h: p.h,
         base: p.base,
-        isTower: p.isTower || false
+        structure: p.structure,
+        framing: p.framing || null,
+        poleClass: p.poleClass || null,
+        equipment: (p.equipment || []).map(item => ({ ...item })),
+        deadEnd: p.deadEnd || false
       }));
       
       // Create a deep copy of current spans state
       // Store pole IDs instead of object references
-      const spansState = spans.map(s => ({
-        aId: s.a.id,
-        bId: s.b.id,
-        type: s.type
-      }));
+      const spansState = spans.map(serializeSpan);
       
       const state = {
         poles: polesState,
@@ -141,35 +161,18 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Restore poles from state
       state.poles.forEach(poleData => {
-        let mesh;
-        const isTower = poleData.isTower || false;
-        
-        if (isTower) {
-          mesh = createTransmissionTower(poleData.h, mPole);
-          const tier3Height = poleData.h + 10; // Fixed tier spacing
-          mesh.position.set(poleData.x, poleData.base + tier3Height / 2, poleData.z + terrainOffsetZ);
-        } else {
-          mesh = new THREE.Mesh(poleGeo, mPole);
-          mesh.scale.y = poleData.h / BASE_H;
-          
-          const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
-          crossArm.position.y = 5;
-          mesh.add(crossArm);
-          mesh.position.set(poleData.x, poleData.base + poleData.h / 2, poleData.z + terrainOffsetZ);
-        }
-        mesh.userData.pole = true;
-        mesh.userData.isTower = isTower;
-
-        scene.add(mesh);
-        poles.push({ 
+        poles.push(createPoleRecord({
           id: poleData.id || nextPoleId++, // Restore ID or assign new one
           x: poleData.x, 
           z: poleData.z, 
           h: poleData.h, 
           base: poleData.base,
-          isTower: isTower, 
-          obj: mesh 
-        });
+          structure: poleData.structure,
+          framing: poleData.framing || null,
+          poleClass: poleData.poleClass || null,
+          equipment: sanitizeEquipment(poleData.equipment),
+          deadEnd: poleData.deadEnd || false
+        }));
         // Update nextPoleId to avoid conflicts
         if (poleData.id && poleData.id >= nextPoleId) {
           nextPoleId = poleData.id + 1;
@@ -182,11 +185,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const poleB = poles.find(p => p.id === spanData.bId);
         
         if (poleA && poleB) {
-          spans.push({
-            a: poleA,
-            b: poleB,
-            type: spanData.type
-          });
+          spans.push(createSpan(poleA, poleB, spanData));
         }
       });
       
@@ -199,6 +198,17 @@ document.addEventListener('DOMContentLoaded', () => {
       this.states = [];
       this.currentIndex = -1;
       updateUndoRedoButtons();
+    },
+    
+    // Run several edits that each capture state as a single undo step
+    batch(edit) {
+      this.isBatching = true;
+      try {
+        edit();
+      } finally {
+        this.isBatching = false;
+      }
+      this.captureState();
     }
   };
   
@@ -235,8 +245,23 @@ document.addEventListener('DOMContentLoaded', () => {
   // Each span entry will store references to pole objects (not meshes directly) for later graph-based operations.
   // Primary poles collection (was implicit previously, now explicitly declared before spans usage)
   const poles = [];
-  const spans = []; // Manual conductor connections: { a: pole1, b: pole2, type: 'pole' }
+  const spans = []; // Manual conductor connections: { a: pole1, b: pole2, type: 'pole' | 'underground', tension, conductorType, phaseCount, circuits, burialDepth }
   let nextPoleId = 1; // Counter for assigning unique IDs to poles
+  
+  // Spatial indexes so clearance checks and picking only look at what's nearby
+  const poleIndex = createSpatialIndex(); // Pole objects, re-indexed by rebuild()
+  const conductorIndex = createSpatialIndex(); // { line, index } steps of the drawn conductors
+  const obstacleIndex = createSpatialIndex(); // Scene objects tagged for clearance checks
+  const conductorLines = []; // Drawn conductor lines, in draw order
+  const underbuildLines = new Map(); // span -> drawn neutral and communication lines
+  const undergroundCables = new Map(); // span -> {line, points, length} of each underground cable
+  const riserObjects = []; // Riser conduits up the poles underground cables end at
+  const poleFramings = new Map(); // pole -> framing picked from its line angle, refreshed by rebuild()
+  const poleGuys = new Map(); // pole -> down-guy from proposeGuy, plus the obstacles it passes through
+  const guyObjects = []; // Guy wires and anchors in the scene
+  const poleLoadings = new Map(); // pole -> loads and utilization from calculatePoleLoading
+  const poleEquipment = new Map(); // pole -> [{item, equipment, centre, drop}] as hung by updateEquipment()
+  const equipmentObjects = []; // Equipment meshes and service drops in the scene
 
   function updateSequentialSpans() {
     // No longer auto-generates spans
@@ -251,7 +276,9 @@ document.addEventListener('DOMContentLoaded', () => {
     );
     
     if (!exists) {
-      spans.push({ a: poleA, b: poleB, type: 'pole' });
+      // Riser to riser is a dip under whatever lies between them
+      const underground = isRiserStructure(poleA.structure) && isRiserStructure(poleB.structure);
+      spans.push(createSpan(poleA, poleB, underground ? { type: UNDERGROUND_SPAN } : {}));
       rebuild();
       updateCrossarmOrientations();
       history.captureState();
@@ -277,6 +304,236 @@ document.addEventListener('DOMContentLoaded', () => {
     );
   }
   
+  function findSpan(poleA, poleB) {
+    return spans.find(s => 
+      (s.a === poleA && s.b === poleB) || (s.a === poleB && s.b === poleA)
+    );
+  }
+  
+  // Per-span conductor properties. A null tension or conductorType means the span
+  // follows the scene-wide setting from the HUD.
+  const DEFAULT_PHASE_COUNT = 3;
+  const MAX_PHASE_COUNT = 3;
+  
+  function createSpan(poleA, poleB, data = {}) {
+    const tension = Number(data.tension);
+    const phaseCount = Number(data.phaseCount);
+    return {
+      a: poleA,
+      b: poleB,
+      type: data.type || 'pole',
+      tension: Number.isFinite(tension) && tension > 0 ? tension : null,
+      conductorType: CONDUCTOR_LIBRARY[data.conductorType] ? data.conductorType : null,
+      phaseCount: Number.isInteger(phaseCount) && phaseCount >= 1 && phaseCount <= MAX_PHASE_COUNT
+        ? phaseCount
+        : DEFAULT_PHASE_COUNT,
+      circuits: sanitizeSpanCircuits(data.circuits),
+      burialDepth: sanitizeBurialDepth(data.burialDepth)
+    };
+  }
+  
+  /**
+   * Circuit connections read from a span's saved data; null when the span
+   * uses its default connections (see getSpanCircuits)
+   * @param {Array<Object>} circuits - [{from, to, conductorType, equipment, phasing}]
+   * @returns {Array<Object>|null}
+   */
+  function sanitizeSpanCircuits(circuits) {
+    if (!Array.isArray(circuits)) return null;
+    const connections = circuits
+      .filter(connection => typeof connection?.from === 'string')
+      .map(connection => ({
+        from: connection.from,
+        // A null end leaves the circuit unstrung in this span
+        to: typeof connection.to === 'string' ? connection.to : null,
+        conductorType: CONDUCTOR_LIBRARY[connection.conductorType] ? connection.conductorType : null,
+        equipment: EQUIPMENT_COLORS[connection.equipment] ? connection.equipment : null,
+        phasing: PHASINGS.includes(connection.phasing) ? connection.phasing : DEFAULT_PHASING
+      }));
+    return connections.length > 0 ? connections : null;
+  }
+  
+  function serializeSpan(span) {
+    return {
+      aId: span.a.id,
+      bId: span.b.id,
+      type: span.type,
+      tension: span.tension,
+      conductorType: span.conductorType,
+      phaseCount: span.phaseCount,
+      circuits: span.circuits ? span.circuits.map(connection => ({ ...connection })) : null,
+      burialDepth: span.burialDepth
+    };
+  }
+  
+  // Spans strung on poles; underground cables carry no tension and are never checked overhead
+  function getOverheadSpans() {
+    return spans.filter(span => !isUndergroundSpan(span));
+  }
+  
+  /**
+   * Resolve the effective conductor properties for a span, falling back to the
+   * global settings for anything the span doesn't override.
+   * @param {Object|undefined} span - Entry from the spans array (undefined for challenge connections)
+   * @returns {{tension: number, conductorType: string, conductor: Object, phaseCount: number, rulingSpan: number|null, operatingTemperature: number|null}}
+   */
+  function getSpanProperties(span) {
+    const conductorType = span?.conductorType ?? UIState.conductorType;
+    const conductor = getConductor(conductorType);
+    const section = span && spanSections.get(span);
+    return {
+      tension: span?.tension ?? UIState.currentTension,
+      conductorType,
+      conductor,
+      phaseCount: span?.phaseCount ?? DEFAULT_PHASE_COUNT,
+      // Single-span sections are solved on their own (inclined) geometry
+      rulingSpan: section && section.spans.length > 1 ? section.rulingSpan : null,
+      operatingTemperature: getOperatingTemperature(conductor)
+    };
+  }
+  
+  /**
+   * Circuits strung in a span, each resolved to the conductors it draws.
+   * A span's saved connections are used where both ends still carry the
+   * named circuits; otherwise circuits are paired by getDefaultConnections.
+   * Each connection can override the span's conductor and the voltage class
+   * its clearances are graded by, which otherwise comes from the circuit at
+   * pole A, then pole B, then the scene.
+   * @param {Object|undefined} span - Entry from the spans array (undefined for challenge connections)
+   * @param {Object} [a=span.a] - Pole at the span's A end
+   * @param {Object} [b=span.b] - Pole at the span's B end
+   * @returns {Array<Object>} Connections ({from, to, conductorType, equipment, phasing}) strung in
+   *   the span, with circuitA, circuitB, conductor, operatingTemperature and attachments (as
+   *   from pairCircuitAttachments)
+   */
+  function getSpanCircuits(span, a = span.a, b = span.b) {
+    const { conductorType, phaseCount } = getSpanProperties(span);
+    // Circuits without a voltage class of their own run at the scene's
+    const withVoltage = circuit => ({ ...circuit, ownVoltage: circuit.voltage, voltage: circuit.voltage || UIState.equipmentType });
+    const circuitsA = getStructureCircuits(getPoleStructure(a), phaseCount).map(withVoltage);
+    const circuitsB = getStructureCircuits(getPoleStructure(b), phaseCount).map(withVoltage);
+    const findA = id => circuitsA.find(circuit => circuit.id === id);
+    const findB = id => circuitsB.find(circuit => circuit.id === id);
+    
+    const saved = (span?.circuits || []).filter(connection => (
+      findA(connection.from) && (connection.to === null || findB(connection.to))
+    ));
+    const connections = saved.length > 0
+      ? saved
+      : getDefaultConnections(circuitsA, circuitsB).map(connection => ({
+        ...connection, conductorType: null, equipment: null, phasing: DEFAULT_PHASING
+      }));
+    
+    return connections.filter(connection => connection.to !== null).map(connection => {
+      const circuitA = findA(connection.from);
+      const circuitB = findB(connection.to);
+      const conductor = getConductor(connection.conductorType ?? conductorType);
+      return {
+        ...connection,
+        circuitA,
+        circuitB,
+        equipment: connection.equipment || circuitA.ownVoltage || circuitB.ownVoltage || UIState.equipmentType,
+        conductor,
+        operatingTemperature: getOperatingTemperature(conductor),
+        attachments: pairCircuitAttachments(circuitA, circuitB, connection.phasing)
+      };
+    });
+  }
+  
+  /**
+   * Weather used for the conductor thermal rating
+   * @returns {{ambientTemperature: number, windSpeed: number, solarRadiation: number}}
+   */
+  function getThermalConditions() {
+    return {
+      ambientTemperature: UIState.ambientTemperature,
+      windSpeed: UIState.ambientWindSpeed,
+      solarRadiation: UIState.solarRadiation
+    };
+  }
+  
+  /**
+   * Conductor temperature driven by the line current, used for the hot case
+   * @param {Object} conductor - Conductor properties
+   * @returns {number|null} Temperature in °F, or null when no current is set (hot case keeps its fixed temperature)
+   */
+  function getOperatingTemperature(conductor) {
+    if (!(UIState.lineCurrent > 0)) return null;
+    return calculateConductorTemperature(UIState.lineCurrent, conductor, getThermalConditions());
+  }
+  
+  function updateThermalRatingSummary() {
+    const summary = elements.thermalRatingSummary;
+    if (!summary) return;
+    
+    // Scene conductor first, then any conductors spans override it with
+    const conductorTypes = [UIState.conductorType];
+    getOverheadSpans().forEach(span => {
+      const { conductorType } = getSpanProperties(span);
+      if (!conductorTypes.includes(conductorType)) conductorTypes.push(conductorType);
+    });
+    
+    const maxTemperature = LOADING_CASES[HOT_CASE].temperature;
+    const conditions = getThermalConditions();
+    summary.innerHTML = conductorTypes.map(conductorType => {
+      const conductor = getConductor(conductorType);
+      const rating = calculateAmpacity(maxTemperature, conductor, conditions);
+      let line = `${conductor.name}: ${Math.round(rating)} A at ${maxTemperature}°F`;
+      if (UIState.lineCurrent > 0) {
+        const temperature = getOperatingTemperature(conductor);
+        const overloaded = UIState.lineCurrent > rating;
+        line += ` · <span style="color: ${overloaded ? '#ff6b6b' : 'inherit'};">${Math.round(temperature)}°F at ${UIState.lineCurrent} A${overloaded ? ' (over rating)' : ''}</span>`;
+      }
+      return `<div>${line}</div>`;
+    }).join('') + (UIState.lineCurrent > 0
+      ? '<div style="opacity: 0.7;">Hot case sag uses the loaded conductor temperature</div>'
+      : '<div style="opacity: 0.7;">Set a line current to derive the hot case from load</div>');
+  }
+  
+  // Strain sections between dead-ends, rebuilt whenever spans are redrawn
+  let strainSections = [];
+  const spanSections = new Map();
+  
+  function updateStrainSections() {
+    // A change of conductor or stringing tension needs a dead-end, so it splits the section too
+    const stringing = (span) => {
+      const { tension, conductorType } = getSpanProperties(span);
+      return `${conductorType}@${tension}`;
+    };
+    
+    spanSections.clear();
+    strainSections = findStrainSections(
+      getOverheadSpans(),
+      pole => Boolean(pole.deadEnd),
+      (first, second) => stringing(first) === stringing(second)
+    );
+    strainSections.forEach(section => {
+      section.spans.forEach(span => spanSections.set(span, section));
+    });
+    
+    updateStrainSectionSummary();
+  }
+  
+  function updateStrainSectionSummary() {
+    const summary = elements.strainSectionSummary;
+    if (!summary) return;
+    
+    if (strainSections.length === 0) {
+      summary.style.display = 'none';
+      summary.innerHTML = '';
+      return;
+    }
+    
+    summary.style.display = 'block';
+    summary.innerHTML = '<div style="font-weight: bold; margin-bottom: 2px;">Strain sections</div>' +
+      strainSections.map((section, index) => {
+        const poleIds = section.poles.map(p => `#${p.id}`);
+        const ends = poleIds.length > 2 ? `${poleIds[0]}…${poleIds[poleIds.length - 1]}` : poleIds.join('–');
+        const spanCount = section.spans.length;
+        return `<div>${index + 1}. ${ends} · ${spanCount} span${spanCount !== 1 ? 's' : ''} · RS ${section.rulingSpan.toFixed(1)} ft</div>`;
+      }).join('');
+  }
+  
   // Initialize UI elements early (without event handlers)
   initUI();
 
@@ -306,10 +563,19 @@ document.addEventListener('DOMContentLoaded', () => {
   window.materials = materials;
   const mPole = materials.pole;
   const mCrossArm = materials.crossArm;
+  const mGuy = materials.guy;
   const mPoleHL = materials.poleHighlight;
+  const mOverstressed = materials.overstressedPole;
+  const mEquipment = materials.equipment;
+  const mServiceDrop = materials.serviceDrop;
+  const mUnderbuild = materials.underbuild;
+  const mUndergroundCable = materials.undergroundCable;
+  const mRiser = materials.riser;
   const mGood = materials.goodSpan;
   const mBird = materials.bird; // Bird material
   const mGhost = materials.ghost;
+  const mObjectHL = materials.treeHighlight; // Scene objects a conductor is too close to
+  const mWarning = new THREE.LineBasicMaterial({ color: 0xffa500 }); // Spans inside a rule's warning margin
   
   // Create enhanced violation material (thicker, brighter red)
   const mViolation = new THREE.LineBasicMaterial({ 
@@ -322,6 +588,20 @@ document.addEventListener('DOMContentLoaded', () => {
   let hoverPt = null;
   let hoverSpan = null; // Track hovered conductor for eraser tool highlighting
   let inspectedPole = null; // Track currently inspected pole for dynamic updates
+  let inspectedSpan = null; // Track currently inspected span for dynamic updates
+  
+  // Clearance state
+  let clearanceRules = DEFAULT_CLEARANCE_RULES; // Active rule table - the built-in one until the user loads their own
+  let clearanceResults = []; // Rows from the last clearance check, worst first
+  let focusedClearanceKey = null; // Results row picked in the panel
+  let clearanceFocusHelper = null; // Outline around the picked span or pole
+  let clearanceFixes = null; // Suggestions for the picked failing span, dropped whenever clearances are rechecked
+  let cameraFlight = null; // Camera move in progress, advanced by animate()
+  
+  // Line profile chart state
+  let profilePathIndex = 0; // Run of spans shown in the profile chart
+  let profileView = null; // Laid-out chart data for hover and click
+  let profileMarker = null; // Station marker in the 3D scene
 
   // Labels / annotation collections
   const poleHeightLabels = [];
@@ -445,18 +725,34 @@ document.addEventListener('DOMContentLoaded', () => {
   const widthParam = urlParams.get('width');
   const terrainWidth = widthParam && !isNaN(Number(widthParam)) ? Number(widthParam) : 20;
   
-  const clearanceThresholdParam = urlParams.get('clearanceThreshold');
-
   const customPoles = [];
   const elevationPoints = []; // For terrain elevation profile only (not poles)
   let useElevations = [];
 
-  // Set clearance threshold from URL parameter if provided
-  if (clearanceThresholdParam && !isNaN(Number(clearanceThresholdParam))) {
-    UIState.clearanceThreshold = Number(clearanceThresholdParam);
-    if (elements.clearanceThreshold) {
-      elements.clearanceThreshold.value = UIState.clearanceThreshold;
-      elements.clearanceLabel.textContent = UIState.clearanceThreshold;
+  // Set equipment type and environment for the clearance rules from URL parameters if provided
+  const equipmentParam = urlParams.get('equipment');
+  if (equipmentParam && EQUIPMENT_COLORS[equipmentParam]) {
+    UIState.equipmentType = equipmentParam;
+    if (elements.equipmentSelect) {
+      elements.equipmentSelect.value = equipmentParam;
+    }
+  }
+
+  const environmentParam = urlParams.get('environment');
+  if (environmentParam && ENVIRONMENT_COLORS[environmentParam] !== undefined) {
+    UIState.environment = environmentParam;
+    if (elements.environmentSelect) {
+      elements.environmentSelect.value = environmentParam;
+    }
+  }
+
+  // Set minimum conductor-to-conductor spacing from URL parameter if provided
+  const phaseClearanceParam = urlParams.get('phaseClearance');
+  if (phaseClearanceParam && !isNaN(Number(phaseClearanceParam))) {
+    UIState.phaseClearance = Number(phaseClearanceParam);
+    if (elements.phaseClearance) {
+      elements.phaseClearance.value = UIState.phaseClearance;
+      elements.phaseClearanceLabel.textContent = UIState.phaseClearance;
     }
   }
 
@@ -479,6 +775,69 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Set conductor type from URL parameter if provided
+  const conductorParam = urlParams.get('conductor');
+  if (conductorParam && CONDUCTOR_LIBRARY[conductorParam]) {
+    UIState.conductorType = conductorParam;
+    if (elements.conductorSelect) {
+      elements.conductorSelect.value = conductorParam;
+    }
+  }
+
+  // Set sag and clearance loading cases from URL parameters if provided
+  const loadingCaseParam = urlParams.get('loadingCase');
+  if (loadingCaseParam && LOADING_CASES[loadingCaseParam]) {
+    UIState.loadingCase = loadingCaseParam;
+    if (elements.loadingCaseSelect) {
+      elements.loadingCaseSelect.value = loadingCaseParam;
+    }
+  }
+
+  const clearanceCaseParam = urlParams.get('clearanceCase');
+  if (clearanceCaseParam && LOADING_CASES[clearanceCaseParam]) {
+    UIState.clearanceCase = clearanceCaseParam;
+    if (elements.clearanceCaseSelect) {
+      elements.clearanceCaseSelect.value = clearanceCaseParam;
+    }
+  }
+
+  // Set line loading and thermal rating weather from URL parameters if provided
+  const lineCurrentParam = urlParams.get('lineCurrent');
+  if (lineCurrentParam && !isNaN(Number(lineCurrentParam))) {
+    UIState.lineCurrent = Number(lineCurrentParam);
+    if (elements.lineCurrentSlider) {
+      elements.lineCurrentSlider.value = UIState.lineCurrent;
+      elements.lineCurrentLabel.textContent = UIState.lineCurrent;
+    }
+  }
+
+  const ambientTemperatureParam = urlParams.get('ambientTemperature');
+  if (ambientTemperatureParam && !isNaN(Number(ambientTemperatureParam))) {
+    UIState.ambientTemperature = Number(ambientTemperatureParam);
+    if (elements.ambientTemperatureSlider) {
+      elements.ambientTemperatureSlider.value = UIState.ambientTemperature;
+      elements.ambientTemperatureLabel.textContent = UIState.ambientTemperature;
+    }
+  }
+
+  const ambientWindSpeedParam = urlParams.get('ambientWindSpeed');
+  if (ambientWindSpeedParam && !isNaN(Number(ambientWindSpeedParam))) {
+    UIState.ambientWindSpeed = Number(ambientWindSpeedParam);
+    if (elements.ambientWindSpeedSlider) {
+      elements.ambientWindSpeedSlider.value = UIState.ambientWindSpeed;
+      elements.ambientWindSpeedLabel.textContent = UIState.ambientWindSpeed;
+    }
+  }
+
+  const solarRadiationParam = urlParams.get('solarRadiation');
+  if (solarRadiationParam && !isNaN(Number(solarRadiationParam))) {
+    UIState.solarRadiation = Number(solarRadiationParam);
+    if (elements.solarRadiationSlider) {
+      elements.solarRadiationSlider.value = UIState.solarRadiation;
+      elements.solarRadiationLabel.textContent = UIState.solarRadiation;
+    }
+  }
+
   // Set display options from URL parameters
   const showPoleHeightLabelsParam = urlParams.get('showPoleHeightLabels');
   if (showPoleHeightLabelsParam === 'true') {
@@ -504,6 +863,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  const showBlowoutEnvelopeParam = urlParams.get('showBlowoutEnvelope');
+  if (showBlowoutEnvelopeParam === 'true') {
+    UIState.showBlowoutEnvelope = true;
+    if (elements.showBlowoutEnvelope) {
+      elements.showBlowoutEnvelope.checked = true;
+    }
+  }
+
   // Handle simplified elevation parameter (creates terrain profile only, no poles)
   if (elevationParam.length > 0) {
     // Use simplified elevation parameter for terrain elevation profile
@@ -534,6 +901,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Custom ground function for sloped surface through elevation points
   let customGround = null;
   let gisElevationSurface = null; // For GIS-imported elevation surface
+  let demSurface = null; // Scene grid of an imported DEM, saved with the scene
   
   // Use elevation points if available (from elevation parameter)
   const terrainProfile = elevationPoints.length > 0 ? elevationPoints : customPoles;
@@ -701,6 +1069,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (indicator.material) indicator.material.dispose();
     });
     document.querySelectorAll('.clearance-label').forEach(label => label.remove());
+    clearClearanceObjectHighlights();
   }
 
     // The buildTerrain function has been moved to terrain.js and is imported as importedBuildTerrain
@@ -781,6 +1150,7 @@ document.addEventListener('DOMContentLoaded', () => {
   function clearSceneElements() {
     scene.children.filter(o => o.userData.environmentElement).forEach(obj => {
       scene.remove(obj);
+      obstacleIndex.remove(obj);
       if (obj.traverse) {
         obj.traverse(child => {
           if (child.geometry) child.geometry.dispose();
@@ -808,6 +1178,7 @@ document.addEventListener('DOMContentLoaded', () => {
   function clearSettingElements() {
     scene.children.filter(o => o.userData.settingElement).forEach(obj => {
       scene.remove(obj);
+      obstacleIndex.remove(obj);
       if (obj.traverse) {
         obj.traverse(child => {
           if (child.geometry) child.geometry.dispose();
@@ -855,6 +1226,7 @@ document.addEventListener('DOMContentLoaded', () => {
     water.position.set(-terrainWidth / 2 - waterWidth / 2, 0.1, terrainPos);
     water.userData.environmentElement = true;
     water.userData.isWater = true;
+    tagClearanceObject(water, 'water');
     const originalPositions = [];
     const posAttr = waterGeometry.attributes.position;
     for (let i = 0; i < posAttr.count; i++) {
@@ -896,6 +1268,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const y = hAt(x, z);
       rock.position.set(x, y + 1.0, z);
       rock.userData.environmentElement = true;
+      tagClearanceObject(rock, 'rock');
       scene.add(rock);
     }
   }
@@ -918,6 +1291,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const y = hAt(x, z);
       dune.position.set(x, y + 0.5, z);
       dune.userData.environmentElement = true;
+      tagClearanceObject(dune, 'rock');
       scene.add(dune);
     }
 
@@ -928,6 +1302,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const y = hAt(x, z);
       trunk.position.set(x, y + 2, z);
       trunk.userData.environmentElement = true;
+      tagClearanceObject(trunk, 'vegetation');
       scene.add(trunk);
     }
   }
@@ -950,6 +1325,7 @@ document.addEventListener('DOMContentLoaded', () => {
     building.position.y += size.y / 2; // Position on ground
     building.userData.challengeBuilding = true;
     building.userData.immovable = true;
+    tagClearanceObject(building, 'building');
     return building;
   }
   
@@ -1084,10 +1460,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Remove buildings
     if (challengeState.substationMesh) {
       scene.remove(challengeState.substationMesh);
+      obstacleIndex.remove(challengeState.substationMesh);
       challengeState.substationMesh = null;
     }
     if (challengeState.customerMesh) {
       scene.remove(challengeState.customerMesh);
+      obstacleIndex.remove(challengeState.customerMesh);
       challengeState.customerMesh = null;
     }
     
@@ -1202,6 +1580,8 @@ document.addEventListener('DOMContentLoaded', () => {
     for (let i = 1; i < poles.length; i++) {
       const p1 = poles[i-1];
       const p2 = poles[i];
+      // Underground cable is costed by its own length below
+      if (isUndergroundSpan(findSpan(p1, p2))) continue;
       const dx = p2.x - p1.x;
       const dz = p2.z - p1.z;
       const distance = Math.sqrt(dx * dx + dz * dz);
@@ -1228,7 +1608,15 @@ document.addEventListener('DOMContentLoaded', () => {
     
     const conductorCost = conductorLength * UIState.costPerFoot;
     
-    const totalSpent = poleCost + conductorCost;
+    // Underground cable runs the length of its trench and up each riser
+    let cableLength = 0;
+    undergroundCables.forEach(cable => { cableLength += cable.length; });
+    const cableCost = cableLength * UIState.costPerCableFoot;
+    
+    // Every guy needs its own anchor
+    const guyCost = poleGuys.size * UIState.costPerGuy;
+    
+    const totalSpent = poleCost + conductorCost + cableCost + guyCost;
     const remaining = UIState.challengeBudget - totalSpent;
     
     UIState.challengeSpent = totalSpent;
@@ -1244,6 +1632,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (elements.challengePoles) {
       elements.challengePoles.textContent = poleCount;
     }
+    if (elements.challengeGuys) {
+      elements.challengeGuys.textContent = poleGuys.size;
+    }
     
     // Check if customer is powered
     checkIfCustomerPowered();
@@ -1542,10 +1933,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Convert spans to catenary curve points
     powerSpans.forEach(span => {
+      const { tension, conductor, rulingSpan } = getSpanProperties(findSpan(span.poleA, span.poleB));
       const curve = getConductorCurve({
         poleA: span.poleA,
         poleB: span.poleB,
-        tension: 2.0,
+        tension,
+        conductor,
+        rulingSpan,
         terrainOffsetZ: terrainOffsetZ,
         samples: 32
       });
@@ -1632,6 +2026,8 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /* ------- UI initialization ------- */
+  updateClearanceRulesName();
+
   // Set up UI with callbacks and dependencies
   setupUI(
     // Callbacks
@@ -1649,9 +2045,20 @@ document.addEventListener('DOMContentLoaded', () => {
       updateSagCalculations,
       copyScenarioLink,
       exportScene,
+      exportSagTensionCSV,
+      exportStringingChart,
+      copyClearanceSummary,
+      exportClearanceResultsCSV,
+      clearClearanceFocus,
+      updateProfileChart,
+      clearProfileMarker,
+      handleClearanceRulesImport,
+      exportClearanceRules,
+      resetClearanceRules,
       handleFileImport,
       handleGISImport,
       handleElevationProfileImport,
+      handleDemImport,
       undoHistory: () => history.undo(),
       redoHistory: () => history.redo(),
       enterChallengeMode,
@@ -1708,9 +2115,18 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /* ------- simple clearance line indicator ------- */
-  function createSimpleClearanceLine(conductorPoint, groundPoint, clearanceValue, isViolation = false) {
+  // Line and label colours for each rule result
+  const CLEARANCE_STATUS_COLORS = {
+    [CLEARANCE_STATUS.PASS]: '#00ff00',
+    [CLEARANCE_STATUS.WARN]: '#ffa500',
+    [CLEARANCE_STATUS.FAIL]: '#ff0000'
+  };
+  
+  function createSimpleClearanceLine(conductorPoint, groundPoint, clearanceValue, status = CLEARANCE_STATUS.PASS) {
     // Create a simple vertical line from conductor to ground
-    const color = isViolation ? 0xff0000 : 0x00ff00;
+    const isViolation = status !== CLEARANCE_STATUS.PASS;
+    const cssColor = CLEARANCE_STATUS_COLORS[status];
+    const color = new THREE.Color(cssColor);
     const opacity = isViolation ? 0.9 : 0.6;
     
     const lineGeometry = new THREE.BufferGeometry().setFromPoints([
@@ -1734,13 +2150,13 @@ document.addEventListener('DOMContentLoaded', () => {
     labelDiv.className = 'clearance-label';
     labelDiv.textContent = `${clearanceValue.toFixed(1)}ft`;
     labelDiv.style.position = 'absolute';
-    labelDiv.style.color = isViolation ? '#ff0000' : '#00ff00';
+    labelDiv.style.color = cssColor;
     labelDiv.style.fontWeight = 'bold';
     labelDiv.style.fontSize = '12px';
     labelDiv.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
     labelDiv.style.padding = '2px 4px';
     labelDiv.style.borderRadius = '3px';
-    labelDiv.style.border = `1px solid ${isViolation ? '#ff0000' : '#00ff00'}`;
+    labelDiv.style.border = `1px solid ${cssColor}`;
     labelDiv.style.userSelect = 'none';
     labelDiv.style.pointerEvents = 'none';
     labelDiv.style.zIndex = '1000';
@@ -1780,137 +2196,999 @@ document.addEventListener('DOMContentLoaded', () => {
     return clearanceBuffer;
   }
 
-  /* ------- span build & check ------- */
-  function checkClearances() {
-    // Remove existing clearance indicators
-    scene.children.filter(o => o.userData.clearanceIndicator || o.userData.clearanceBuffer).forEach(indicator => {
-      scene.remove(indicator);
-      if (indicator.geometry) indicator.geometry.dispose();
-      if (indicator.material) indicator.material.dispose();
-    });
-    
-    // Remove existing clearance labels
-    document.querySelectorAll('.clearance-label').forEach(label => label.remove());
-    
-    const spans = scene.children.filter(o => o.userData.span);
-    let hasIssues = false;
-    const threshold = UIState.clearanceThreshold;
-    const clearanceIndicators = [];
+  /* ------- uplift check ------- */
+  // Uplift is worst when the conductor is coldest and shortest
+  const UPLIFT_CASE = 'cold';
+  const poleVerticalLoads = new Map(); // pole -> net downward conductor load (lbs), negative = uplift
+  
+  /**
+   * Sum the vertical pull of every attached conductor on each pole.
+   * At a support the conductor pulls along its departure angle, so the vertical
+   * component is -H * tan(angle); a net negative load lifts the pole.
+   * Each phase is solved between its own attachment points, and the neutral
+   * and communication lines under it count too.
+   * @returns {Array<{pole: Object, verticalLoad: number}>} Poles with net uplift
+   */
+  function checkUplift() {
+    poleVerticalLoads.clear();
+    
+    // Add the pull at both ends of one conductor strung from span.a to span.b
+    const addConductorLoads = (span, geometryOptions) => {
+      const { supportAngles, tension: horizontalTension } = getConductorGeometry({
+        ...geometryOptions,
+        samples: 2,
+        loadingCase: UPLIFT_CASE
+      });
+      [[span.a, supportAngles.a], [span.b, supportAngles.b]].forEach(([pole, angle]) => {
+        const verticalLoad = -horizontalTension * Math.tan(angle * Math.PI / 180);
+        poleVerticalLoads.set(pole, (poleVerticalLoads.get(pole) || 0) + verticalLoad);
+      });
+    };
     
-    // Group spans by their pole pairs (since we have 3 conductors per span alignment)
-    const spanGroups = new Map();
+    getOverheadSpans().forEach(span => {
+      const { tension, rulingSpan } = getSpanProperties(span);
+      getSpanCircuits(span).forEach(({ conductor, attachments }) => {
+        attachments.forEach(({ lateralOffset, lateralOffsetB, riseA, riseB }) => {
+          addConductorLoads(span, {
+            poleA: span.a,
+            poleB: span.b,
+            tension,
+            conductor,
+            rulingSpan,
+            lateralOffset,
+            lateralOffsetB,
+            terrainOffsetZ,
+            tierHeightA: span.a.h + riseA,
+            tierHeightB: span.b.h + riseB
+          });
+        });
+      });
+      (underbuildLines.get(span) || []).forEach(line => addConductorLoads(span, line.userData.geometryOptions));
+    });
     
-    spans.forEach(span => {
-      if (span.userData.a && span.userData.b) {
-        const key = `${span.userData.a.uuid}-${span.userData.b.uuid}`;
-        if (!spanGroups.has(key)) {
-          spanGroups.set(key, []);
-        }
-        spanGroups.get(key).push(span);
+    const upliftPoles = [];
+    poleVerticalLoads.forEach((verticalLoad, pole) => {
+      if (verticalLoad < 0) {
+        upliftPoles.push({ pole, verticalLoad });
       }
     });
+    return upliftPoles;
+  }
+  
+  function createUpliftIndicator(pole, verticalLoad) {
+    // Red arrow above the pole top pointing up
+    const topY = getStructureTop(pole);
+    const arrow = new THREE.Mesh(
+      new THREE.ConeGeometry(0.6, 1.5, 8),
+      new THREE.MeshBasicMaterial({ color: 0xff0000 })
+    );
+    arrow.position.set(pole.x, topY + 2, pole.z + terrainOffsetZ);
+    arrow.userData.clearanceIndicator = true;
+    scene.add(arrow);
     
-    // Check clearances for each span alignment (group of 3 conductors)
-    spanGroups.forEach((spanGroup, key) => {
-      let minClearance = Infinity;
-      let violationPoint = null;
-      let violationType = null;
-      
-      // Get the first span to determine pole A and B for center conductor calculation
-      const firstSpan = spanGroup[0];
-      const meshA = firstSpan.userData.a;
-      const meshB = firstSpan.userData.b;
-      
-      // Find the actual pole data structures from the meshes
-      const poleA = poles.find(p => p.obj === meshA);
-      const poleB = poles.find(p => p.obj === meshB);
-      
-      // Skip this span if we can't find the pole data
-      if (!poleA || !poleB) {
-        console.warn('Could not find pole data for span');
-        return;
-      }
-      
-      // Calculate the center conductor position for clearance buffer
-      const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-      
-      const centerConductorPoints = getConductorCurve({
-        poleA,
-        poleB,
-        tension: tensionFactor,
-        samples: 32,
-        lateralOffset: 0, // Center conductor
-        terrainOffsetZ
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'clearance-label';
+    labelDiv.textContent = `⬆ ${Math.abs(verticalLoad).toFixed(0)} lbs uplift`;
+    labelDiv.style.position = 'absolute';
+    labelDiv.style.color = '#ff0000';
+    labelDiv.style.fontWeight = 'bold';
+    labelDiv.style.fontSize = '12px';
+    labelDiv.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+    labelDiv.style.padding = '2px 4px';
+    labelDiv.style.borderRadius = '3px';
+    labelDiv.style.border = '1px solid #ff0000';
+    labelDiv.style.userSelect = 'none';
+    labelDiv.style.pointerEvents = 'none';
+    labelDiv.style.zIndex = '1000';
+    document.body.appendChild(labelDiv);
+    
+    return {
+      label: labelDiv,
+      worldPosition: new THREE.Vector3(pole.x, topY + 4, pole.z + terrainOffsetZ)
+    };
+  }
+
+  /* ------- guys ------- */
+  const anchorGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
+  
+  function clearGuys() {
+    poleGuys.clear();
+    guyObjects.splice(0).forEach(object => {
+      if (object.geometry !== anchorGeo) object.geometry.dispose();
+      scene.remove(object);
+    });
+  }
+  
+  /**
+   * What every span does to its poles at GUY_CASE. Each circuit of a span
+   * pulls its poles toward each other with the horizontal tension of all its
+   * conductors, and each pole carries half of the span's conductor length.
+   * attachHeight is the circuit's mean attachment height above the pole base.
+   * @returns {Map<Object, Array<Object>>} pole -> [{dir, tension, windSpan, diameter, weight, count, attachHeight}]
+   */
+  function collectPolePulls() {
+    const pulls = new Map();
+    getOverheadSpans().forEach(span => {
+      const { tension, rulingSpan } = getSpanProperties(span);
+      getSpanCircuits(span).forEach(({ conductor, attachments }) => {
+        [[span.a, span.b, 'riseA'], [span.b, span.a, 'riseB']].forEach(([pole, otherPole, riseKey]) => {
+          const { tension: horizontalTension } = getConductorGeometry({
+            poleA: pole,
+            poleB: otherPole,
+            tension,
+            conductor,
+            rulingSpan,
+            samples: 2,
+            terrainOffsetZ,
+            loadingCase: GUY_CASE
+          });
+          const length = Math.hypot(otherPole.x - pole.x, otherPole.z - pole.z) || 1;
+          if (!pulls.has(pole)) pulls.set(pole, []);
+          pulls.get(pole).push({
+            dir: { x: (otherPole.x - pole.x) / length, z: (otherPole.z - pole.z) / length },
+            tension: horizontalTension * attachments.length,
+            windSpan: length / 2,
+            diameter: conductor.diameter,
+            weight: conductor.weight,
+            count: attachments.length,
+            attachHeight: pole.h + attachments.reduce((sum, attachment) => sum + attachment[riseKey], 0) / Math.max(1, attachments.length)
+          });
+        });
       });
-      
-      // Validate that we have valid conductor points
-      if (!centerConductorPoints || centerConductorPoints.length === 0) {
-        console.warn('Invalid conductor points generated');
-        return;
-      }
-      
-      // Convert to THREE.Vector3 for buffer creation, filtering out any invalid points
-      const centerVector3Points = centerConductorPoints
-        .filter(p => p && typeof p.x === 'number' && typeof p.y === 'number' && typeof p.z === 'number')
-        .map(p => new THREE.Vector3(p.x, p.y, p.z));
-      
-      // Skip if we don't have enough valid points
-      if (centerVector3Points.length < 2) {
-        console.warn('Not enough valid points for clearance buffer');
-        return;
-      }
-      
-      // Check all conductors in this span group to find the worst violation
-      spanGroup.forEach(span => {
-        const positions = span.geometry.attributes.position;
-        
-        // Check each point along the span (check all points for accuracy)
-        for (let i = 0; i < positions.count; i++) {
-          const x = positions.getX(i);
-          const y = positions.getY(i);
-          const z = positions.getZ(i);
-          
-          // Check clearance to ground
-          const groundHeight = hAt(x, z);
-          const clearanceToGround = y - groundHeight;
-          
-          if (clearanceToGround < minClearance) {
-            minClearance = clearanceToGround;
-            violationPoint = { x, y, z, groundHeight };
-            violationType = 'ground';
-          }
-        }
+    });
+    return pulls;
+  }
+  
+  /**
+   * Height above the pole base at which its conductors pull, each circuit
+   * weighted by its tension
+   * @param {Object} pole - Pole
+   * @param {Array<Object>} polePulls - The pole's pulls from collectPolePulls
+   * @returns {number} Height (ft)
+   */
+  function getLoadAttachHeight(pole, polePulls) {
+    const totalTension = polePulls.reduce((sum, pull) => sum + pull.tension, 0);
+    if (totalTension <= 0) return pole.h;
+    return polePulls.reduce((sum, pull) => sum + pull.tension * pull.attachHeight, 0) / totalTension;
+  }
+  
+  /**
+   * Guy every pole its conductors pull sideways and draw the guys.
+   * Towers are self-supporting and never guyed.
+   * @param {Map<Object, Array<Object>>} pulls - From collectPolePulls
+   * @returns {Array<{pole: Object, guy: Object}>} Guys that are too steep or obstructed
+   */
+  function checkGuys(pulls) {
+    clearGuys();
+    
+    const problems = [];
+    pulls.forEach((polePulls, pole) => {
+      if (pole.isTower) return;
+      const guy = proposeGuy({
+        pole,
+        resultant: getResultantLoad(polePulls),
+        groundHeight: hAt,
+        terrainOffsetZ,
+        attachHeight: getLoadAttachHeight(pole, polePulls)
       });
-      
-      // Always create clearance buffer visualization for this span (if enabled)
-      if (UIState.showClearanceBuffers) {
-        const hasViolation = violationPoint && minClearance < threshold;
-        const clearanceBuffer = createClearanceBuffer(centerVector3Points, threshold, hasViolation);
-        scene.add(clearanceBuffer);
-      }
-      
-      // Mark violated spans with enhanced material
-      const hasViolation = violationPoint && minClearance < threshold;
-      spanGroup.forEach(span => {
-        span.userData.hasViolation = hasViolation;
-        if (hasViolation) {
-          span.material = mViolation;
-        } else {
-          span.material = mGood;
+      if (!guy) return;
+      
+      // Objects the guy wire or its anchor run into
+      guy.obstacles = obstacleIndex.querySegment(guy.attach, guy.anchor)
+        .map(object => object.userData.clearanceObstacle);
+      poleGuys.set(pole, guy);
+      const failing = !guy.ok || guy.obstacles.length > 0;
+      if (failing) problems.push({ pole, guy });
+      
+      const wire = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(guy.attach.x, guy.attach.y, guy.attach.z),
+          new THREE.Vector3(guy.anchor.x, guy.anchor.y, guy.anchor.z)
+        ]),
+        failing ? materials.badSpan : mGuy
+      );
+      wire.userData.guy = true;
+      const anchor = new THREE.Mesh(anchorGeo, mCrossArm);
+      anchor.position.set(guy.anchor.x, guy.anchor.y + 0.2, guy.anchor.z);
+      anchor.userData.guy = true;
+      scene.add(wire, anchor);
+      guyObjects.push(wire, anchor);
+    });
+    return problems;
+  }
+  
+  function describeGuy(guy) {
+    if (guy.rise <= 0) return `${guy.lead.toFixed(1)} ft lead, anchor above attachment`;
+    return `${guy.tension.toFixed(0)} lbs, ${guy.lead.toFixed(1)} ft lead (${guy.leadRatio.toFixed(2)}:1)`;
+  }
+
+  /* ------- pole loading ------- */
+  // Body material of a pole that isn't highlighted
+  function getPoleMaterial(poleObj) {
+    return poleObj.userData.overstressed ? mOverstressed : mPole;
+  }
+  
+  /**
+   * Load every pole against the strength of its class and colour the
+   * overstressed ones. Guys must be solved first: a guyed pole takes the
+   * guy's downward pull instead of the line's sideways pull. Towers aren't
+   * rated by pole class and are skipped.
+   * @param {Map<Object, Array<Object>>} pulls - From collectPolePulls
+   * @returns {Array<Object>} Overstressed poles
+   */
+  function checkPoleLoading(pulls) {
+    poleLoadings.clear();
+    
+    const overstressed = [];
+    poles.forEach(pole => {
+      const loading = pole.isTower ? null : calculatePoleLoading({
+        height: getStructureTop(pole) - pole.base,
+        attachHeight: getLoadAttachHeight(pole, pulls.get(pole) || []),
+        poleClass: getPoleClassId(pole),
+        wires: pulls.get(pole) || [],
+        equipmentWeight: getEquipmentWeight(pole.equipment),
+        guy: poleGuys.get(pole) || null
+      });
+      if (loading) poleLoadings.set(pole, loading);
+      if (loading?.overstressed) overstressed.push(pole);
+      
+      pole.obj.userData.overstressed = Boolean(loading?.overstressed);
+      // Recolour the body (and h-frame legs) but leave a highlighted pole alone
+      pole.obj.traverse(child => {
+        if (child.material === mPole || child.material === mOverstressed) {
+          child.material = getPoleMaterial(pole.obj);
         }
       });
-      
-      // If we found a violation, create simple line indicator for this span alignment
-      if (violationPoint && minClearance < threshold) {
-        hasIssues = true;
-        
-        if (violationType === 'ground') {
-          // Find the point with actual minimum clearance (not just lowest conductor point)
+    });
+    return overstressed;
+  }
+  
+  function getPoleClassId(pole) {
+    return POLE_CLASSES[pole.poleClass] ? pole.poleClass : DEFAULT_POLE_CLASS;
+  }
+  
+  function describePoleLoading(loading) {
+    return `${(loading.utilization * 100).toFixed(0)}% (bending ${(loading.bending * 100).toFixed(0)}%, axial ${(loading.axial * 100).toFixed(0)}%)`;
+  }
+
+  /* ------- equipment ------- */
+  function clearEquipment() {
+    poleEquipment.clear();
+    equipmentObjects.splice(0).forEach(object => {
+      object.traverse(child => child.geometry?.dispose());
+      scene.remove(object);
+    });
+  }
+  
+  // Height of a pole's lowest conductor attachment above its base
+  function getLowestAttachmentHeight(pole) {
+    const attachments = getStructureAttachments(getPoleStructure(pole));
+    return pole.h + Math.min(0, ...attachments.map(attachment => attachment.y));
+  }
+  
+  /**
+   * Hang every pole's equipment and draw transformer service drops.
+   * Items stack down the pole below its conductors, on the side facing away
+   * from its first span.
+   */
+  function updateEquipment() {
+    clearEquipment();
+    
+    poles.forEach(pole => {
+      const items = pole.equipment || [];
+      if (items.length === 0) return;
+      
+      const span = spans.find(s => s.a === pole || s.b === pole);
+      const other = span && (span.a === pole ? span.b : span.a);
+      const length = other ? Math.hypot(other.x - pole.x, other.z - pole.z) : 0;
+      const face = length > 0 ? { x: (pole.x - other.x) / length, z: (pole.z - other.z) / length } : { x: 1, z: 0 };
+      const heights = stackEquipment(items, getLowestAttachmentHeight(pole));
+      
+      poleEquipment.set(pole, items.map((item, index) => {
+        const equipment = getEquipment(item.type);
+        const centre = new THREE.Vector3(
+          pole.x + face.x * EQUIPMENT_STANDOFF,
+          pole.base + heights[index],
+          pole.z + face.z * EQUIPMENT_STANDOFF + terrainOffsetZ
+        );
+        const mesh = createEquipmentMesh(equipment, mEquipment, mCrossArm);
+        mesh.position.copy(centre);
+        mesh.rotation.y = -Math.atan2(face.z, face.x);
+        mesh.userData.equipment = true;
+        scene.add(mesh);
+        equipmentObjects.push(mesh);
+        
+        const drop = equipment.serviceDrop ? drawServiceDrop(centre) : null;
+        return { item, equipment, centre, drop };
+      }));
+    });
+  }
+  
+  /**
+   * Secondary service drop from a transformer to the nearest building in reach,
+   * ending on a service mast on the building's near wall
+   * @param {THREE.Vector3} start - Transformer centre
+   * @returns {{building: THREE.Object3D, length: number}|null} Null when no building is in reach
+   */
+  function drawServiceDrop(start) {
+    const nearest = obstacleIndex.nearest(start, {
+      horizontal: true,
+      maxDistance: SERVICE_DROP_MAX_LENGTH,
+      filter: object => object.userData.clearanceObstacle === 'building'
+    });
+    if (!nearest) return null;
+    
+    const box = nearest.item.userData.boundingVolume;
+    const end = {
+      x: Math.min(Math.max(start.x, box.min.x), box.max.x),
+      y: Math.min(box.max.y, box.min.y + SERVICE_MAST_HEIGHT),
+      z: Math.min(Math.max(start.z, box.min.z), box.max.z)
+    };
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(
+        getServiceDropPoints(start, end).map(point => new THREE.Vector3(point.x, point.y, point.z))
+      ),
+      mServiceDrop
+    );
+    line.userData.equipment = true;
+    scene.add(line);
+    equipmentObjects.push(line);
+    return { building: nearest.item, length: nearest.distance };
+  }
+  
+  /**
+   * Scene objects inside the clearance envelope of mounted equipment
+   * @returns {Array<{pole: Object, equipment: Object, obstacle: THREE.Object3D, distance: number}>}
+   */
+  function checkEquipmentClearances() {
+    const problems = [];
+    poleEquipment.forEach((hung, pole) => {
+      hung.forEach(({ equipment, centre }) => {
+        obstacleIndex.queryRadius(centre, equipment.envelope).forEach(({ item, distance }) => {
+          problems.push({ pole, equipment, obstacle: item, distance });
+          highlightClearanceObject(item);
+        });
+      });
+    });
+    return problems;
+  }
+  
+  function describeEquipment({ equipment, drop }) {
+    const details = [equipment.rating, `${equipment.weight} lbs`];
+    if (equipment.serviceDrop) {
+      details.push(drop ? `${drop.length.toFixed(0)} ft drop` : 'no building in reach');
+    }
+    return details.join(', ');
+  }
+
+  /* ------- clearance rules ------- */
+  function getClearanceContext(object, equipment = UIState.equipmentType, direction = 'vertical') {
+    return { equipment, object, environment: UIState.environment, direction };
+  }
+  
+  function updateClearanceRulesName() {
+    if (elements.clearanceRulesName) {
+      elements.clearanceRulesName.textContent = clearanceRules.name || 'Custom rules';
+    }
+  }
+  
+  /**
+   * Switch to a new rule table after validating it
+   * @param {Object} table - Parsed rule table
+   * @returns {boolean} True when the table was applied
+   */
+  function applyClearanceRules(table) {
+    const errors = validateRuleTable(table);
+    if (errors.length > 0) {
+      console.error('Rule table validation errors:', errors);
+      showToast(`❌ Invalid rule table: ${errors[0]}`, 'error', 3000);
+      return false;
+    }
+    clearanceRules = table;
+    updateClearanceRulesName();
+    checkClearances();
+    return true;
+  }
+  
+  function handleClearanceRulesImport() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.multiple = false;
+    
+    fileInput.onchange = function(event) {
+      const file = event.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = function(e) {
+        try {
+          if (applyClearanceRules(JSON.parse(e.target.result))) {
+            showToast(`✅ Loaded rule table: ${clearanceRules.name || file.name}`, 'success', 2000);
+          }
+        } catch (error) {
+          console.error('Error reading rule table:', error);
+          showToast('❌ Error reading rule table. Please select a valid JSON file.', 'error', 3000);
+        }
+      };
+      reader.readAsText(file);
+    };
+    
+    fileInput.click();
+  }
+  
+  function exportClearanceRules() {
+    const blob = new Blob([JSON.stringify(clearanceRules, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = 'gridscaper-clearance-rules.json';
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+  
+  function resetClearanceRules() {
+    applyClearanceRules(DEFAULT_CLEARANCE_RULES);
+    showToast('✅ Restored the built-in rule table', 'success', 2000);
+  }
+  
+  /**
+   * Rule result as a short label, e.g. "FAIL DIST-ROAD+ENV-CITY-BLDG"
+   * @param {Object} result - Result from evaluateClearance
+   * @returns {string}
+   */
+  function formatRuleResult(result) {
+    return `${result.status} ${formatRuleId(result)}`;
+  }
+  
+  /**
+   * Grade a check against a slider limit rather than the rule table
+   * @param {string} ruleId - Name reported as the governing rule
+   * @param {string} object - What the clearance was measured to
+   * @param {number} distance - Measured clearance (ft)
+   * @param {number} required - Minimum clearance (ft)
+   * @returns {Object} Result shaped like evaluateClearance's
+   */
+  function gradeAgainstLimit(ruleId, object, distance, required) {
+    return {
+      status: distance < required ? CLEARANCE_STATUS.FAIL : CLEARANCE_STATUS.PASS,
+      ruleId,
+      modifierIds: [],
+      object,
+      distance,
+      required
+    };
+  }
+  
+  /* ------- scene object clearance ------- */
+  /**
+   * Tag a generated scene object for clearance checks.
+   * Objects don't move once placed, so the world-space bounding box is taken now.
+   * @param {THREE.Object3D} object - Positioned object
+   * @param {string} type - Object type the clearance rules are keyed by (road, water, building, vegetation, rock)
+   */
+  function tagClearanceObject(object, type) {
+    object.userData.clearanceObstacle = type;
+    object.userData.boundingVolume = new THREE.Box3().setFromObject(object);
+    obstacleIndex.insert(object, object.userData.boundingVolume);
+  }
+  
+  function toClearanceObstacle(object) {
+    return { object, type: object.userData.clearanceObstacle, box: object.userData.boundingVolume };
+  }
+  
+  /**
+   * Tagged scene objects, optionally only those whose box overlaps a region
+   * @param {{min: Object, max: Object}} [bounds] - Region to search; every object when omitted
+   * @returns {Array<{object: THREE.Object3D, type: string, box: THREE.Box3}>}
+   */
+  function collectClearanceObstacles(bounds) {
+    const objects = bounds ? obstacleIndex.queryBox(bounds) : obstacleIndex.items();
+    return objects.map(toClearanceObstacle);
+  }
+  
+  /**
+   * Largest warning distance of any tagged object type under the current rules.
+   * Objects farther than this from a conductor can't be graded WARN or FAIL.
+   * @param {string} [direction='vertical'] - Rule direction, 'horizontal' for blowout
+   * @param {string} [equipment] - Voltage class of the conductor (the scene's by default)
+   * @returns {number} Search radius (ft)
+   */
+  function getObstacleSearchRadius(direction = 'vertical', equipment = UIState.equipmentType) {
+    let radius = 0;
+    new Set(obstacleIndex.items().map(o => o.userData.clearanceObstacle)).forEach(type => {
+      const requirement = getRequiredClearance(clearanceRules, getClearanceContext(type, equipment, direction));
+      if (requirement) radius = Math.max(radius, requirement.warning);
+    });
+    return radius;
+  }
+  
+  function highlightClearanceObject(object) {
+    if (object.userData.clearanceOriginalMaterial) return;
+    object.userData.clearanceOriginalMaterial = object.material;
+    // Per-object copy so material tweaks (e.g. a powered customer) don't leak into the shared highlight
+    object.material = mObjectHL.clone();
+  }
+  
+  function clearClearanceObjectHighlights() {
+    scene.children.filter(o => o.userData.clearanceOriginalMaterial).forEach(object => {
+      object.material.dispose();
+      object.material = object.userData.clearanceOriginalMaterial;
+      delete object.userData.clearanceOriginalMaterial;
+    });
+  }
+  
+  /* ------- wind blowout check ------- */
+  
+  /**
+   * Closest horizontal approach of a conductor point to an obstacle's footprint.
+   * Points above the obstacle are left to the vertical clearance check.
+   * @returns {{distance: number, obstaclePoint: Object}|null}
+   */
+  function horizontalClearanceTo(point, obstacle) {
+    const { box } = obstacle;
+    if (point.y > box.max.y || point.y < box.min.y) return null;
+    
+    const nearestX = THREE.MathUtils.clamp(point.x, box.min.x, box.max.x);
+    const nearestZ = THREE.MathUtils.clamp(point.z, box.min.z, box.max.z);
+    return {
+      distance: Math.hypot(point.x - nearestX, point.z - nearestZ),
+      obstaclePoint: { x: nearestX, y: point.y, z: nearestZ }
+    };
+  }
+  
+  function createBlowoutEnvelope(rows, isViolation = false) {
+    // Grid of quads between neighbouring samples and swing steps
+    const columns = rows[0].length;
+    const positions = [];
+    rows.forEach(row => row.forEach(p => positions.push(p.x, p.y, p.z)));
+    
+    const indices = [];
+    for (let i = 0; i < rows.length - 1; i++) {
+      for (let k = 0; k < columns - 1; k++) {
+        const a = i * columns + k;
+        const b = a + columns;
+        indices.push(a, b, a + 1, b, b + 1, a + 1);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: isViolation ? 0xff4444 : 0x66ccff,
+      transparent: true,
+      opacity: isViolation ? 0.45 : 0.2,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    
+    const envelope = new THREE.Mesh(geometry, material);
+    envelope.userData.clearanceBuffer = true;
+    envelope.userData.blowoutEnvelope = true;
+    return envelope;
+  }
+
+  /* ------- span build & check ------- */
+  function checkClearances() {
+    // Remove existing clearance indicators
+    scene.children.filter(o => o.userData.clearanceIndicator || o.userData.clearanceBuffer).forEach(indicator => {
+      scene.remove(indicator);
+      if (indicator.geometry) indicator.geometry.dispose();
+      if (indicator.material) indicator.material.dispose();
+    });
+    
+    // Remove existing clearance labels
+    document.querySelectorAll('.clearance-label').forEach(label => label.remove());
+    clearClearanceObjectHighlights();
+    
+    const spans = conductorLines;
+    let hasIssues = false;
+    const clearanceIndicators = [];
+    let hasSpacingIssues = false;
+    
+    // Required clearance per voltage class, object type and direction in the current environment
+    const requirements = new Map();
+    const requirementFor = (object, equipment = UIState.equipmentType, direction = 'vertical') => {
+      const key = `${equipment}:${object}:${direction}`;
+      if (!requirements.has(key)) {
+        requirements.set(key, getRequiredClearance(clearanceRules, getClearanceContext(object, equipment, direction)));
+      }
+      return requirements.get(key);
+    };
+    const groundRequirement = requirementFor('ground');
+    const threshold = groundRequirement ? groundRequirement.required : 0;
+    
+    const obstacleSearchRadius = getObstacleSearchRadius();
+    // Blown-out conductors are searched as far as their own voltage class's horizontal rules reach
+    const blowoutSearchRadii = new Map();
+    const blowoutSearchRadius = equipment => {
+      if (!blowoutSearchRadii.has(equipment)) {
+        blowoutSearchRadii.set(equipment, getObstacleSearchRadius('horizontal', equipment));
+      }
+      return blowoutSearchRadii.get(equipment);
+    };
+    
+    // Worst WARN/FAIL result for each rule, for the warning summary
+    const ruleResults = new Map();
+    const recordResult = (result, object) => {
+      if (!result || result.status === CLEARANCE_STATUS.PASS) return;
+      const worst = ruleResults.get(result.ruleId);
+      if (!worst || result.distance < worst.distance) {
+        ruleResults.set(result.ruleId, { ...result, object });
+      }
+    };
+    
+    // One row per span and pole for the results panel
+    const resultRows = [];
+    
+    // Group spans by their pole pairs (since we have 3 conductors per span alignment)
+    const spanGroups = new Map();
+    
+    spans.forEach(span => {
+      if (span.userData.a && span.userData.b) {
+        const key = `${span.userData.a.uuid}-${span.userData.b.uuid}`;
+        if (!spanGroups.has(key)) {
+          spanGroups.set(key, []);
+        }
+        spanGroups.get(key).push(span);
+      }
+    });
+    
+    // Check clearances for each span alignment (group of 3 conductors)
+    spanGroups.forEach((spanGroup, key) => {
+      let violationType = null;
+      // Lowest ground clearance of each voltage class's conductors
+      const groundMinimums = new Map();
+      
+      // Get the first span to determine pole A and B for center conductor calculation
+      const firstSpan = spanGroup[0];
+      const meshA = firstSpan.userData.a;
+      const meshB = firstSpan.userData.b;
+      
+      // Find the actual pole data structures from the meshes
+      const poleA = poles.find(p => p.obj === meshA);
+      const poleB = poles.find(p => p.obj === meshB);
+      
+      // Skip this span if we can't find the pole data
+      if (!poleA || !poleB) {
+        console.warn('Could not find pole data for span');
+        return;
+      }
+      
+      const { tension, conductor, rulingSpan, operatingTemperature } = getSpanProperties(findSpan(poleA, poleB));
+      
+      // Calculate the center conductor position for clearance buffer
+      const { points: centerConductorPoints, lowPoint: centerLowPoint } = getConductorGeometry({
+        poleA,
+        poleB,
+        tension,
+        conductor,
+        rulingSpan,
+        samples: 32,
+        lateralOffset: 0, // Center conductor
+        terrainOffsetZ,
+        loadingCase: UIState.clearanceCase,
+        operatingTemperature
+      });
+      
+      // Validate that we have valid conductor points
+      if (!centerConductorPoints || centerConductorPoints.length === 0) {
+        console.warn('Invalid conductor points generated');
+        return;
+      }
+      
+      // Convert to THREE.Vector3 for buffer creation, filtering out any invalid points
+      const centerVector3Points = centerConductorPoints
+        .filter(p => p && typeof p.x === 'number' && typeof p.y === 'number' && typeof p.z === 'number')
+        .map(p => new THREE.Vector3(p.x, p.y, p.z));
+      
+      // Skip if we don't have enough valid points
+      if (centerVector3Points.length < 2) {
+        console.warn('Not enough valid points for clearance buffer');
+        return;
+      }
+      
+      // Approach of the blown-out conductors to trees, rocks and buildings with the least
+      // margin over its horizontal rule, once it is inside the rule's warning distance
+      let blowoutViolation = null;
+      
+      // Each conductor's shape for the conductor-to-conductor spacing check
+      const spacingConductors = [];
+      
+      // Each conductor at the clearance case, for the underbuild separation check
+      const primaryShapes = [];
+      
+      // Closest approach to each scene object that is inside its warning distance
+      const objectViolations = new Map();
+      
+      // Check all conductors in this span group to find the worst violation
+      spanGroup.forEach(span => {
+        // Each circuit has its own conductor and voltage class
+        const lineConductor = span.userData.conductor || conductor;
+        const lineTemperature = span.userData.conductor ? span.userData.operatingTemperature : operatingTemperature;
+        const lineEquipment = span.userData.equipment || UIState.equipmentType;
+        const blowoutOptions = {
+          poleA,
+          poleB,
+          tension,
+          conductor: lineConductor,
+          rulingSpan,
+          samples: SAMPLES,
+          lateralOffset: span.userData.lateralOffset || 0,
+          lateralOffsetB: span.userData.lateralOffsetB || 0,
+          terrainOffsetZ,
+          tierHeightA: span.userData.tierHeightA ?? null,
+          tierHeightB: span.userData.tierHeightB ?? null,
+          loadingCase: BLOWOUT_CASE
+        };
+        
+        // Wind can come from either side, so check the conductor swung both ways
+        const blownConductors = [1, -1].map(windDirection => getConductorGeometry({ ...blowoutOptions, windDirection }).points);
+        const searchRadius = blowoutSearchRadius(lineEquipment);
+        blownConductors.forEach(blownPoints => {
+          blownPoints.forEach(point => {
+            // Objects beside the swung conductor, at its height
+            obstacleIndex.queryRadius(point, searchRadius, { horizontal: true }).forEach(({ item }) => {
+              const obstacle = toClearanceObstacle(item);
+              const approach = horizontalClearanceTo(point, obstacle);
+              const requirement = requirementFor(obstacle.type, lineEquipment, 'horizontal');
+              if (!approach || !requirement || approach.distance >= requirement.warning) return;
+              const margin = approach.distance - requirement.required;
+              if (!blowoutViolation || margin < blowoutViolation.margin) {
+                blowoutViolation = { ...approach, margin, equipment: lineEquipment, conductorPoint: point, type: obstacle.type };
+              }
+            });
+          });
+        });
+        
+        if (UIState.showBlowoutEnvelope) {
+          const { rows } = getBlowoutEnvelope(blowoutOptions);
+          span.userData.blowoutRows = rows;
+        }
+
+        // Drawn geometry can be reused when it was solved for the clearance case,
+        // otherwise re-solve the same attachment for the clearance loading case
+        let conductorPoints;
+        let lowPoint;
+        if (span.userData.loadingCase === UIState.clearanceCase) {
+          const positions = span.geometry.attributes.position;
+          conductorPoints = [];
+          for (let i = 0; i < positions.count; i++) {
+            conductorPoints.push({ x: positions.getX(i), y: positions.getY(i), z: positions.getZ(i) });
+          }
+          lowPoint = span.userData.lowPoint;
+        } else {
+          ({ points: conductorPoints, lowPoint } = getConductorGeometry({
+            poleA,
+            poleB,
+            tension,
+            conductor: lineConductor,
+            rulingSpan,
+            samples: SAMPLES,
+            lateralOffset: span.userData.lateralOffset || 0,
+            lateralOffsetB: span.userData.lateralOffsetB || 0,
+            terrainOffsetZ,
+            tierHeightA: span.userData.tierHeightA ?? null,
+            tierHeightB: span.userData.tierHeightB ?? null,
+            loadingCase: UIState.clearanceCase,
+            operatingTemperature: lineTemperature
+          }));
+        }
+        
+        // A swung conductor is compared with its neighbours hanging at rest in still air
+        if (spanGroup.length > 1) {
+          spacingConductors.push({
+            still: conductorPoints.slice(),
+            rest: getConductorGeometry({ ...blowoutOptions, loadingCase: REFERENCE_CASE }).points,
+            blown: blownConductors
+          });
+        }
+        
+        primaryShapes.push({
+          points: conductorPoints.slice(),
+          tierHeightA: span.userData.tierHeightA ?? poleA.h,
+          tierHeightB: span.userData.tierHeightB ?? poleB.h
+        });
+        
+        // The catenary vertex falls between samples, so check it explicitly when it's on the span
+        if (lowPoint?.withinSpan) {
+          conductorPoints.push(lowPoint);
+        }
+        
+        // Check each point along the span (check all points for accuracy)
+        conductorPoints.forEach(({ x, y, z }) => {
+          
+          // Check clearance to ground
+          const groundHeight = hAt(x, z);
+          const clearanceToGround = y - groundHeight;
+          
+          if (clearanceToGround < (groundMinimums.get(lineEquipment) ?? Infinity)) {
+            groundMinimums.set(lineEquipment, clearanceToGround);
+            violationType = 'ground';
+          }
+          
+          // Check clearance to roads, water, buildings, vegetation and rocks
+          const point = new THREE.Vector3(x, y, z);
+          obstacleIndex.queryRadius(point, obstacleSearchRadius).forEach(({ item, distance }) => {
+            const obstacle = toClearanceObstacle(item);
+            const requirement = requirementFor(obstacle.type, lineEquipment);
+            if (!requirement) return;
+            // Circuits of different voltage classes are compared by their margin over the requirement
+            const margin = distance - requirement.required;
+            const worst = objectViolations.get(obstacle.object);
+            if (distance < requirement.warning && (!worst || margin < worst.margin)) {
+              objectViolations.set(obstacle.object, {
+                distance,
+                margin,
+                equipment: lineEquipment,
+                type: obstacle.type,
+                conductorPoint: { x, y, z },
+                obstaclePoint: obstacle.box.clampPoint(point, new THREE.Vector3())
+              });
+            }
+          });
+        });
+      });
+      
+      // Every graded check on this span, for the results panel
+      const spanResults = [];
+      
+      // Grade the span's closest approach to each object; failed objects light up
+      let hasObjectViolation = false;
+      let hasObjectWarning = false;
+      objectViolations.forEach((violation, object) => {
+        const result = evaluateClearance(clearanceRules, getClearanceContext(violation.type, violation.equipment), violation.distance);
+        recordResult(result, violation.type);
+        spanResults.push({ ...result, object: violation.type });
+        if (result.status === CLEARANCE_STATUS.FAIL) {
+          hasObjectViolation = true;
+          highlightClearanceObject(object);
+        } else {
+          hasObjectWarning = true;
+        }
+        const indicator = createSimpleClearanceLine(violation.conductorPoint, violation.obstaclePoint, violation.distance, result.status);
+        indicator.label.textContent = `${violation.distance.toFixed(1)}ft to ${violation.type} · ${formatRuleResult(result)}`;
+        clearanceIndicators.push({
+          label: indicator.label,
+          worldPosition: indicator.worldPosition
+        });
+      });
+      
+      // Grade the span's lowest clearance to the ground, each voltage class by its own rule
+      const groundResult = worstClearanceResult([...groundMinimums].map(([equipment, clearance]) => (
+        evaluateClearance(clearanceRules, getClearanceContext('ground', equipment), clearance)
+      )).filter(Boolean));
+      recordResult(groundResult, 'ground');
+      if (groundResult) {
+        spanResults.push({ ...groundResult, object: 'ground' });
+      }
+      const groundStatus = groundResult ? groundResult.status : CLEARANCE_STATUS.PASS;
+      
+      // Neutral and communication lines under the primary
+      const underbuildChecks = checkUnderbuildSpan(findSpan(poleA, poleB), primaryShapes);
+      underbuildChecks.forEach(({ result, from, to }) => {
+        recordResult(result, result.object);
+        spanResults.push(result);
+        if (result.status === CLEARANCE_STATUS.PASS) return;
+        if (result.status === CLEARANCE_STATUS.FAIL) hasIssues = true;
+        const indicator = createSimpleClearanceLine(from, to, result.distance, result.status);
+        indicator.label.textContent = `${result.distance.toFixed(1)}ft ${result.object} · ${formatRuleResult(result)}`;
+        clearanceIndicators.push({
+          label: indicator.label,
+          worldPosition: indicator.worldPosition
+        });
+      });
+      
+      // Always create clearance buffer visualization for this span (if enabled)
+      if (UIState.showClearanceBuffers && groundRequirement) {
+        const hasViolation = groundStatus === CLEARANCE_STATUS.FAIL;
+        const clearanceBuffer = createClearanceBuffer(centerVector3Points, threshold, hasViolation);
+        scene.add(clearanceBuffer);
+      }
+      
+      // Grade the closest blowout approach against the horizontal rule for its voltage class
+      let blowoutResult = null;
+      if (blowoutViolation) {
+        const blowoutObject = `${blowoutViolation.type} (blowout)`;
+        blowoutResult = evaluateClearance(
+          clearanceRules,
+          getClearanceContext(blowoutViolation.type, blowoutViolation.equipment, 'horizontal'),
+          blowoutViolation.distance
+        );
+        recordResult(blowoutResult, blowoutObject);
+        spanResults.push({ ...blowoutResult, object: blowoutObject });
+      }
+      const hasBlowoutViolation = blowoutResult?.status === CLEARANCE_STATUS.FAIL;
+      
+      if (UIState.showBlowoutEnvelope) {
+        spanGroup.forEach(span => {
+          if (span.userData.blowoutRows) {
+            scene.add(createBlowoutEnvelope(span.userData.blowoutRows, hasBlowoutViolation));
+            delete span.userData.blowoutRows;
+          }
+        });
+      }
+      
+      if (blowoutResult) {
+        const indicator = createSimpleClearanceLine(
+          blowoutViolation.conductorPoint,
+          blowoutViolation.obstaclePoint,
+          blowoutViolation.distance,
+          blowoutResult.status
+        );
+        indicator.label.textContent = `${blowoutViolation.distance.toFixed(1)}ft to ${blowoutViolation.type} · ${formatRuleResult(blowoutResult)}`;
+        clearanceIndicators.push({
+          label: indicator.label,
+          worldPosition: indicator.worldPosition
+        });
+      }
+      
+      // Phases and circuits closing up at midspan
+      const spacingApproach = findClosestConductorApproach(spacingConductors);
+      const hasSpacingViolation = Boolean(spacingApproach) && spacingApproach.distance < UIState.phaseClearance;
+      
+      if (hasSpacingViolation) {
+        hasSpacingIssues = true;
+        const indicator = createSimpleClearanceLine(
+          spacingApproach.pointA,
+          spacingApproach.pointB,
+          spacingApproach.distance,
+          CLEARANCE_STATUS.FAIL
+        );
+        indicator.label.textContent = `${spacingApproach.distance.toFixed(1)}ft phase spacing${spacingApproach.condition === 'blowout' ? ' (blowout)' : ''}`;
+        clearanceIndicators.push({
+          label: indicator.label,
+          worldPosition: indicator.worldPosition
+        });
+      }
+      
+      if (spacingApproach) {
+        const spacingObject = spacingApproach.condition === 'blowout' ? 'phase spacing (blowout)' : 'phase spacing';
+        spanResults.push(gradeAgainstLimit('PHASE-SPACING', spacingObject, spacingApproach.distance, UIState.phaseClearance));
+      }
+      resultRows.push({
+        ...getResultRowDefaults(),
+        ...worstClearanceResult(spanResults),
+        key: `span:${poleA.id}-${poleB.id}`,
+        kind: 'span',
+        label: `#${poleA.id} – #${poleB.id}`,
+        poleIds: [poleA.id, poleB.id]
+      });
+      
+      // Mark violated spans with enhanced material, and spans inside a warning margin in orange
+      const hasViolation = groundStatus === CLEARANCE_STATUS.FAIL || hasBlowoutViolation || hasSpacingViolation || hasObjectViolation;
+      const hasWarning = !hasViolation && (groundStatus === CLEARANCE_STATUS.WARN || hasObjectWarning || blowoutResult?.status === CLEARANCE_STATUS.WARN);
+      spanGroup.forEach(span => {
+        span.userData.hasViolation = hasViolation;
+        if (hasViolation) {
+          span.material = mViolation;
+        } else if (hasWarning) {
+          span.material = mWarning;
+        } else {
+          span.material = mGood;
+        }
+      });
+      
+      // If the ground rule failed or warned, create simple line indicator for this span alignment
+      if (groundStatus !== CLEARANCE_STATUS.PASS) {
+        if (groundStatus === CLEARANCE_STATUS.FAIL) {
+          hasIssues = true;
+        }
+        
+        if (violationType === 'ground') {
+          // Find the point with actual minimum clearance (not just lowest conductor point)
           // This is important for sloped terrain where min clearance may not be at the sag point
           let minClearancePoint = null;
           let minClearanceValue = Infinity;
+          const centerCheckPoints = centerLowPoint.withinSpan
+            ? [...centerConductorPoints, centerLowPoint]
+            : centerConductorPoints;
           
-          centerConductorPoints.forEach(point => {
+          centerCheckPoints.forEach(point => {
             const groundHeight = hAt(point.x, point.z);
             const clearance = point.y - groundHeight;
             
@@ -1920,12 +3198,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
           });
           
-          // Only show warning line if clearance is actually below threshold
-          if (minClearancePoint && minClearanceValue < threshold) {
+          // Only show warning line if the center conductor is actually inside the warning distance
+          if (minClearancePoint && minClearanceValue < groundResult.warning) {
             const groundHeight = hAt(minClearancePoint.x, minClearancePoint.z);
             const groundPoint = { x: minClearancePoint.x, y: groundHeight, z: minClearancePoint.z };
             
-            const indicator = createSimpleClearanceLine(minClearancePoint, groundPoint, minClearanceValue, true);
+            const indicator = createSimpleClearanceLine(minClearancePoint, groundPoint, minClearanceValue, groundStatus);
+            indicator.label.textContent = `${minClearanceValue.toFixed(1)}ft · ${formatRuleResult(groundResult)}`;
             clearanceIndicators.push({
               label: indicator.label,
               worldPosition: indicator.worldPosition
@@ -1935,138 +3214,759 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
     
+    // Flag poles that the conductors pull upward
+    const upliftPoles = checkUplift();
+    upliftPoles.forEach(({ pole, verticalLoad }) => {
+      clearanceIndicators.push(createUpliftIndicator(pole, verticalLoad));
+    });
+    
+    // Guy the poles the line pulls sideways, then check what's left against each pole's strength
+    const polePulls = collectPolePulls();
+    const guyProblems = checkGuys(polePulls);
+    const overstressedPoles = checkPoleLoading(polePulls);
+    const equipmentProblems = checkEquipmentClearances();
+    
+    // Poles are graded on their lowest attachment above the ground, and warn when uplifted
+    poles.forEach(pole => {
+      const poleResults = [];
+      const attachmentResult = evaluateClearance(clearanceRules, getClearanceContext('ground'), getLowestAttachmentHeight(pole));
+      if (attachmentResult) {
+        poleResults.push({ ...attachmentResult, object: 'attachment height' });
+      }
+      const uplift = upliftPoles.find(entry => entry.pole === pole);
+      if (uplift) {
+        poleResults.push({
+          ...getResultRowDefaults(),
+          status: CLEARANCE_STATUS.WARN,
+          ruleId: 'UPLIFT',
+          object: `uplift ${Math.abs(uplift.verticalLoad).toFixed(0)} lbs`
+        });
+      }
+      const guy = poleGuys.get(pole);
+      if (guy && guy.obstacles.length > 0) {
+        poleResults.push({
+          ...getResultRowDefaults(),
+          status: CLEARANCE_STATUS.FAIL,
+          ruleId: 'GUY-OBSTRUCTION',
+          object: `guy through ${guy.obstacles[0]}`
+        });
+      }
+      if (guy && !guy.ok) {
+        // A guy anchored above its attachment can't hold the pole at all
+        poleResults.push({
+          ...getResultRowDefaults(),
+          status: guy.rise > 0 ? CLEARANCE_STATUS.WARN : CLEARANCE_STATUS.FAIL,
+          ruleId: 'GUY-LEAD',
+          object: 'guy lead',
+          distance: guy.lead,
+          required: Math.max(0, guy.rise) * MIN_LEAD_RATIO
+        });
+      }
+      const loading = poleLoadings.get(pole);
+      if (loading?.overstressed) {
+        poleResults.push({
+          ...getResultRowDefaults(),
+          status: CLEARANCE_STATUS.FAIL,
+          ruleId: 'POLE-STRENGTH',
+          object: `${loading.poleClass.label} at ${(loading.utilization * 100).toFixed(0)}%`
+        });
+      }
+      equipmentProblems.filter(problem => problem.pole === pole).forEach(({ equipment, obstacle, distance }) => {
+        poleResults.push({
+          ...getResultRowDefaults(),
+          status: CLEARANCE_STATUS.FAIL,
+          ruleId: 'EQUIPMENT-ENVELOPE',
+          object: `${equipment.label.toLowerCase()} near ${obstacle.userData.clearanceObstacle}`,
+          distance,
+          required: equipment.envelope
+        });
+      });
+      resultRows.push({
+        ...getResultRowDefaults(),
+        ...worstClearanceResult(poleResults),
+        key: `pole:${pole.id}`,
+        kind: 'pole',
+        label: `#${pole.id}`,
+        poleIds: [pole.id]
+      });
+    });
+    
+    clearanceResults = resultRows.sort(compareClearanceResults);
+    // Suggestions were solved for the old geometry
+    clearanceFixes = null;
+    updateClearanceResultsPanel();
+    updateProfileChart();
+    
     // Store clearance indicators for animation loop positioning
     window.clearanceIndicators = clearanceIndicators;
     
     // Update warning display
     const warning = elements.clearanceWarning;
     if (warning) {
-      warning.style.display = hasIssues ? 'block' : 'none';
+      const messages = [];
+      // Failures first, then warnings
+      Array.from(ruleResults.values())
+        .sort((a, b) => (a.status === b.status ? 0 : a.status === CLEARANCE_STATUS.FAIL ? -1 : 1))
+        .forEach(result => {
+          messages.push(`⚠️ ${formatRuleResult(result)}: ${result.object} at ${result.distance.toFixed(1)} ft (min ${result.required} ft)`);
+        });
+      if (hasSpacingIssues) {
+        messages.push(`⚠️ PHASE SPACING: Conductors come within ${UIState.phaseClearance} ft of each other`);
+      }
+      if (upliftPoles.length > 0) {
+        const poleList = upliftPoles.map(({ pole }) => `#${pole.id}`).join(', ');
+        messages.push(`⚠️ UPLIFT at ${LOADING_CASES[UPLIFT_CASE].label}: Pole ${poleList}`);
+      }
+      if (guyProblems.length > 0) {
+        const poleList = guyProblems.map(({ pole }) => `#${pole.id}`).join(', ');
+        messages.push(`⚠️ GUY too steep or obstructed: Pole ${poleList}`);
+      }
+      if (overstressedPoles.length > 0) {
+        const poleList = overstressedPoles.map(pole => `#${pole.id}`).join(', ');
+        messages.push(`⚠️ OVERSTRESSED: Pole ${poleList} over 100% of class strength`);
+      }
+      if (equipmentProblems.length > 0) {
+        const poleList = [...new Set(equipmentProblems.map(({ pole }) => `#${pole.id}`))].join(', ');
+        messages.push(`⚠️ EQUIPMENT envelope entered: Pole ${poleList}`);
+      }
+      warning.innerHTML = messages.join('<br>');
+      warning.style.display = messages.length > 0 ? 'block' : 'none';
     }
     
+    // Uplift is reported as a warning but doesn't fail the ground clearance check
     return !hasIssues;
   }
-
-  function drawSpan(a, b) {
-    // Determine if either pole is a tower
-    const aIsTower = a.isTower || false;
-    const bIsTower = b.isTower || false;
-    
-    // Define tower tier positions: fixed spacing with lowest tier at pole height
-    // tier1 = height, tier2 = height + 5, tier3 = height + 10
-    const getTowerTierHeights = (pole) => [pole.h, pole.h + 5, pole.h + 10];
-    
-    // If both are towers, draw conductors at tower tier heights
-    if (aIsTower && bIsTower) {
-      // Draw 2 conductors per tier (left and right)
-      const lateralOffsets = [-1.5, 1.5]; // Wider spacing for tower conductors
-      const tierHeightsA = getTowerTierHeights(a);
-      const tierHeightsB = getTowerTierHeights(b);
-      
-      tierHeightsA.forEach((tierHeightA, tierIdx) => {
-        const tierHeightB = tierHeightsB[tierIdx];
-        lateralOffsets.forEach(offset => {
-          const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-          
-          const curvePoints = getConductorCurve({
-            poleA: a,
-            poleB: b,
-            tension: tensionFactor,
-            samples: SAMPLES,
-            lateralOffset: offset,
-            terrainOffsetZ,
-            tierHeightA: tierHeightA,
-            tierHeightB: tierHeightB
-          });
-          
-          const pts = curvePoints.map(p => new THREE.Vector3(p.x, p.y, p.z));
-          const geo = new THREE.BufferGeometry().setFromPoints(pts);
-          const line = new THREE.Line(geo, mGood);
-          line.userData = { 
-            span: true, 
-            a: a.obj, 
-            b: b.obj,
-            hasViolation: false
-          };
-          scene.add(line);
-        });
+
+  /* ------- clearance results panel ------- */
+  // Fields a row shows when no check applies to it
+  function getResultRowDefaults() {
+    return {
+      status: CLEARANCE_STATUS.PASS,
+      ruleId: null,
+      modifierIds: [],
+      object: '-',
+      distance: null,
+      required: null
+    };
+  }
+  
+  function updateClearanceResultsPanel() {
+    const list = elements.clearanceResultsList;
+    if (!list) return;
+    
+    const counts = countClearanceStatuses(clearanceResults);
+    if (elements.clearanceResultsCounts) {
+      elements.clearanceResultsCounts.textContent = `${counts.FAIL} FAIL · ${counts.WARN} WARN · ${counts.PASS} PASS`;
+    }
+    
+    list.innerHTML = '';
+    if (clearanceResults.length === 0) {
+      list.innerHTML = '<div class="clearance-results-empty">Add poles and spans to see clearance results</div>';
+    }
+    
+    clearanceResults.forEach(row => {
+      const item = document.createElement('div');
+      item.className = 'clearance-result-row';
+      item.classList.toggle('focused', row.key === focusedClearanceKey);
+      item.title = row.kind === 'span' ? 'Zoom to span' : 'Zoom to pole';
+      
+      const status = document.createElement('span');
+      status.className = 'clearance-result-status';
+      status.textContent = row.status;
+      status.style.color = CLEARANCE_STATUS_COLORS[row.status];
+      
+      const label = document.createElement('span');
+      label.className = 'clearance-result-label';
+      label.textContent = row.kind === 'span' ? `Span ${row.label}` : `Pole ${row.label}`;
+      
+      const distance = document.createElement('span');
+      distance.className = 'clearance-result-distance';
+      distance.textContent = typeof row.distance === 'number' ? `${row.distance.toFixed(1)} ft` : '';
+      
+      const rule = document.createElement('span');
+      rule.className = 'clearance-result-rule';
+      rule.textContent = `${row.object}${row.ruleId ? ` · ${formatRuleId(row)}` : ''}`;
+      
+      item.append(status, label, distance, rule);
+      item.onclick = () => focusClearanceResult(row);
+      list.appendChild(item);
+      
+      if (clearanceFixes && clearanceFixes.key === row.key) {
+        list.appendChild(createClearanceFixList(clearanceFixes));
+      }
+    });
+    
+    // Keep the highlight on the focused item through rebuilds, or drop it once the item is gone
+    const focused = clearanceResults.find(row => row.key === focusedClearanceKey);
+    if (focused) {
+      highlightClearanceResult(focused);
+    } else {
+      clearClearanceFocus();
+    }
+  }
+  
+  /**
+   * Bounding box of a results row in the scene
+   * @param {Object} row - Clearance results row
+   * @returns {THREE.Box3|null} Box around the span's conductors or the pole, or null if it no longer exists
+   */
+  function getClearanceResultBox(row) {
+    const box = new THREE.Box3();
+    if (row.kind === 'span') {
+      const [idA, idB] = row.poleIds;
+      const poleA = poles.find(p => p.id === idA);
+      const poleB = poles.find(p => p.id === idB);
+      if (!poleA || !poleB) return null;
+      conductorLines
+        .filter(o => o.userData.a === poleA.obj && o.userData.b === poleB.obj)
+        .forEach(line => box.expandByObject(line));
+    } else {
+      const pole = poles.find(p => p.id === row.poleIds[0]);
+      if (!pole) return null;
+      box.expandByObject(pole.obj);
+    }
+    return box.isEmpty() ? null : box;
+  }
+  
+  function highlightClearanceResult(row) {
+    if (clearanceFocusHelper) {
+      scene.remove(clearanceFocusHelper);
+      clearanceFocusHelper.geometry.dispose();
+      clearanceFocusHelper = null;
+    }
+    const box = getClearanceResultBox(row);
+    if (!box) return null;
+    // Pad the box so a thin span still gets a visible outline
+    clearanceFocusHelper = new THREE.Box3Helper(box.expandByScalar(1), 0x00ffe7);
+    clearanceFocusHelper.userData.clearanceFocus = true;
+    scene.add(clearanceFocusHelper);
+    return box;
+  }
+  
+  function clearClearanceFocus() {
+    focusedClearanceKey = null;
+    if (clearanceFocusHelper) {
+      scene.remove(clearanceFocusHelper);
+      clearanceFocusHelper.geometry.dispose();
+      clearanceFocusHelper = null;
+    }
+  }
+  
+  function focusClearanceResult(row) {
+    focusedClearanceKey = row.key;
+    clearanceFixes = row.kind === 'span' && row.status === CLEARANCE_STATUS.FAIL
+      ? { key: row.key, span: findSpanByPoleIds(row.poleIds), fixes: null }
+      : null;
+    if (clearanceFixes?.span) {
+      clearanceFixes.fixes = suggestClearanceFixes(getClearanceFixOptions(clearanceFixes.span));
+    }
+    updateClearanceResultsPanel();
+    
+    const box = getClearanceResultBox(row);
+    if (!box) return;
+    
+    // Keep the current viewing direction and back off far enough to frame the item
+    const target = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3()).length();
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    flyCameraTo(target, target.clone().add(direction.multiplyScalar(Math.max(size * 1.2, 25))));
+  }
+  
+  /**
+   * Start a smooth camera move; animate() advances it each frame
+   * @param {THREE.Vector3} target - New orbit target
+   * @param {THREE.Vector3} position - New camera position
+   * @param {number} [duration=800] - Flight time (ms)
+   */
+  function flyCameraTo(target, position, duration = 800) {
+    cameraFlight = {
+      fromTarget: controls.target.clone(),
+      toTarget: target,
+      fromPosition: camera.position.clone(),
+      toPosition: position,
+      start: performance.now(),
+      duration
+    };
+  }
+  
+  function updateCameraFlight() {
+    if (!cameraFlight) return;
+    const t = Math.min(1, (performance.now() - cameraFlight.start) / cameraFlight.duration);
+    const eased = t * t * (3 - 2 * t); // Smoothstep
+    controls.target.lerpVectors(cameraFlight.fromTarget, cameraFlight.toTarget, eased);
+    camera.position.lerpVectors(cameraFlight.fromPosition, cameraFlight.toPosition, eased);
+    if (t >= 1) {
+      cameraFlight = null;
+    }
+  }
+  
+  /* ------- clearance fix suggestions ------- */
+  function findSpanByPoleIds([idA, idB]) {
+    return spans.find(s => s.a.id === idA && s.b.id === idB) || null;
+  }
+  
+  /**
+   * Describe a span for the fix solver with the same conductors, loading case
+   * and rules that checkClearances grades it with
+   * @param {Object} span - Entry from the spans array
+   * @returns {Object} Options for suggestClearanceFixes
+   */
+  function getClearanceFixOptions(span) {
+    const { tension, conductor, rulingSpan, operatingTemperature } = getSpanProperties(span);
+    const section = spanSections.get(span);
+    
+    // Drawn conductors carry their attachment offsets and heights
+    const conductors = conductorLines
+      .filter(o => o.userData.a === span.a.obj && o.userData.b === span.b.obj)
+      .map(line => ({
+        lateralOffset: line.userData.lateralOffset || 0,
+        lateralOffsetB: line.userData.lateralOffsetB || 0,
+        tierRiseA: line.userData.tierHeightA == null ? null : line.userData.tierHeightA - span.a.h,
+        tierRiseB: line.userData.tierHeightB == null ? null : line.userData.tierHeightB - span.b.h
+      }));
+    
+    // Conductors stay over the span's footprint, so only objects within reach of it can matter
+    const reach = Math.max(0, ...conductors.map(c => Math.max(Math.abs(c.lateralOffset), Math.abs(c.lateralOffsetB)))) + getObstacleSearchRadius();
+    const corridor = boundsOfPoints([
+      { x: span.a.x, y: 0, z: span.a.z + terrainOffsetZ },
+      { x: span.b.x, y: 0, z: span.b.z + terrainOffsetZ }
+    ]);
+    corridor.min = { x: corridor.min.x - reach, y: -Infinity, z: corridor.min.z - reach };
+    corridor.max = { x: corridor.max.x + reach, y: Infinity, z: corridor.max.z + reach };
+    
+    const point = new THREE.Vector3();
+    const obstacles = [];
+    collectClearanceObstacles(corridor).forEach(obstacle => {
+      const requirement = getRequiredClearance(clearanceRules, getClearanceContext(obstacle.type));
+      if (requirement) {
+        obstacles.push({
+          required: requirement.required,
+          distanceTo: ({ x, y, z }) => obstacle.box.distanceToPoint(point.set(x, y, z))
+        });
+      }
+    });
+    const groundRequirement = getRequiredClearance(clearanceRules, getClearanceContext('ground'));
+    
+    return {
+      poleA: span.a,
+      poleB: span.b,
+      conductors,
+      tension,
+      conductor,
+      rulingSpan,
+      sectionSpanLengths: section ? section.spans.filter(s => s !== span).map(getSpanLength) : [],
+      loadingCase: UIState.clearanceCase,
+      operatingTemperature,
+      terrainOffsetZ,
+      samples: SAMPLES,
+      groundHeight: hAt,
+      groundClearance: groundRequirement ? groundRequirement.required : null,
+      obstacles,
+      limits: { ...DEFAULT_FIX_LIMITS, minHeight: MINH, maxHeight: MAXH }
+    };
+  }
+  
+  function describeClearanceFix(fix, span) {
+    if (fix.type === 'raise') {
+      const pole = fix.end === 'a' ? span.a : span.b;
+      return `Raise pole #${pole.id} to ${fix.height} ft (+${fix.rise} ft)`;
+    }
+    if (fix.type === 'tension') {
+      const section = spanSections.get(span);
+      const split = section && section.spans.length > 1 ? ' - leaves its strain section' : '';
+      return `String at ${fix.tension} lbs${split}`;
+    }
+    return `Add a ${fix.height} ft ${getStructure(fix.structure).label.toLowerCase()} ${fix.station.toFixed(0)} ft from #${span.a.id}`;
+  }
+  
+  function createClearanceFixList({ span, fixes }) {
+    const container = document.createElement('div');
+    container.className = 'clearance-fix-list';
+    
+    if (!span || !fixes || fixes.length === 0) {
+      container.textContent = 'No ground or object clearance fix found within pole height and tension limits';
+      return container;
+    }
+    
+    fixes.forEach(fix => {
+      const row = document.createElement('div');
+      row.className = 'clearance-fix-row';
+      
+      const text = document.createElement('span');
+      text.textContent = `💡 ${describeClearanceFix(fix, span)}`;
+      
+      const apply = document.createElement('button');
+      apply.textContent = 'Apply';
+      apply.onclick = (event) => {
+        event.stopPropagation();
+        applyClearanceFix(fix, span);
+      };
+      
+      row.append(text, apply);
+      container.appendChild(row);
+    });
+    return container;
+  }
+  
+  /**
+   * Apply a suggested fix as one undoable edit
+   * @param {Object} fix - Suggestion from suggestClearanceFixes
+   * @param {Object} span - Entry from the spans array the fix was solved for
+   */
+  function applyClearanceFix(fix, span) {
+    if (!spans.includes(span)) {
+      showToast('⚠️ That span has changed - pick it again for fresh suggestions', 'warning', 2500);
+      return;
+    }
+    
+    if (fix.type === 'raise') {
+      setPoleHeight(fix.end === 'a' ? span.a : span.b, fix.height);
+      rebuild();
+      updateCrossarmOrientations();
+      history.captureState();
+    } else if (fix.type === 'tension') {
+      span.tension = fix.tension;
+      applySpanEdit();
+    } else if (fix.type === 'insert') {
+      if (!insertPoleInSpan(span, fix.x, fix.z, fix.height, fix.structure)) return;
+    }
+    
+    showToast(`✅ ${describeClearanceFix(fix, span)}`, 'success', 2000);
+  }
+  
+  function copyClearanceSummary() {
+    if (clearanceResults.length === 0) {
+      showToast('⚠️ Add some poles before copying a clearance summary', 'warning', 2500);
+      return;
+    }
+    const summary = clearanceResultsToText(clearanceResults, `GridScaper Clearance Summary (${clearanceRules.name || 'custom rules'})`);
+    navigator.clipboard.writeText(summary).then(() => {
+      showToast('📋 Clearance summary copied', 'success', 2000);
+    }).catch(err => {
+      console.warn('Failed to copy to clipboard:', err);
+      showToast('❌ Could not copy the summary to the clipboard', 'error', 3000);
+    });
+  }
+  
+  function exportClearanceResultsCSV() {
+    if (clearanceResults.length === 0) {
+      showToast('⚠️ Add some poles before exporting clearance results', 'warning', 2500);
+      return;
+    }
+    try {
+      downloadReport(clearanceResultsToCSV(clearanceResults), 'text/csv', 'csv', 'clearance-results');
+      showToast('✅ Clearance results exported', 'success', 2000);
+    } catch (error) {
+      console.error('Error exporting clearance results:', error);
+      showToast('❌ Error exporting clearance results. Check console for details.', 'error', 3000);
+    }
+  }
+
+  function drawSpan(a, b, span) {
+    // Span-specific tension, conductor and phase count (globals for challenge connections)
+    const { tension, conductor, rulingSpan } = getSpanProperties(span);
+    
+    // Each circuit's conductors run between matching attachment points of its two structures
+    const circuits = getSpanCircuits(span, a, b);
+    circuits.forEach(circuit => circuit.attachments.forEach(({ phase, lateralOffset, lateralOffsetB, riseA, riseB }) => {
+      const tierHeightA = a.h + riseA;
+      const tierHeightB = b.h + riseB;
+      const { points: curvePoints, lowPoint } = getConductorGeometry({
+        poleA: a,
+        poleB: b,
+        tension,
+        conductor: circuit.conductor,
+        rulingSpan,
+        samples: SAMPLES,
+        lateralOffset,
+        lateralOffsetB,
+        terrainOffsetZ,
+        tierHeightA,
+        tierHeightB,
+        loadingCase: UIState.loadingCase,
+        operatingTemperature: circuit.operatingTemperature
+      });
+      
+      const pts = curvePoints.map(p => new THREE.Vector3(p.x, p.y, p.z));
+      const geo = new THREE.BufferGeometry().setFromPoints(pts);
+      const line = new THREE.Line(geo, mGood);
+      line.userData = { 
+        span: true, 
+        a: a.obj, 
+        b: b.obj,
+        hasViolation: false,
+        phase,
+        circuit: circuit.from,
+        equipment: circuit.equipment,
+        conductor: circuit.conductor,
+        operatingTemperature: circuit.operatingTemperature,
+        lateralOffset,
+        lateralOffsetB,
+        tierHeightA,
+        tierHeightB,
+        loadingCase: UIState.loadingCase,
+        lowPoint
+      };
+      scene.add(line);
+      indexConductor(line);
+    }));
+    
+    // Neutral and communication lines hang below the lowest primary attachment, on poles only
+    const attachments = circuits.flatMap(circuit => circuit.attachments);
+    if (span && !a.isTower && !b.isTower && attachments.length > 0) {
+      drawUnderbuild(span, {
+        tension,
+        conductor,
+        rulingSpan,
+        tierHeightA: a.h + Math.min(...attachments.map(attachment => attachment.riseA)),
+        tierHeightB: b.h + Math.min(...attachments.map(attachment => attachment.riseB))
+      });
+    }
+  }
+  
+  /* ------- underground cable ------- */
+  const riserGeo = new THREE.CylinderGeometry(0.15, 0.15, 1, 8);
+  
+  function clearUndergroundCables() {
+    undergroundCables.forEach(({ line }) => {
+      line.geometry.dispose();
+      scene.remove(line);
+    });
+    undergroundCables.clear();
+    riserObjects.splice(0).forEach(object => scene.remove(object));
+  }
+  
+  /**
+   * Draw an underground span as a dashed cable at its burial depth, with a
+   * conduit up the side of each riser pole it ends at
+   * @param {Object} span - Entry from the spans array
+   */
+  function drawUndergroundCable(span) {
+    const depth = span.burialDepth ?? DEFAULT_BURIAL_DEPTH;
+    const points = getUndergroundCablePoints({ poleA: span.a, poleB: span.b, groundHeight: hAt, depth, terrainOffsetZ });
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z))),
+      mUndergroundCable
+    );
+    line.computeLineDistances();
+    line.renderOrder = 1;
+    line.userData = { cable: true, a: span.a.obj, b: span.b.obj };
+    scene.add(line);
+    
+    let length = getCableLength(points);
+    [[span.a, span.b], [span.b, span.a]].forEach(([pole, other]) => {
+      if (!isRiserStructure(pole.structure)) return;
+      const rise = getLowestAttachmentHeight(pole);
+      const distance = Math.hypot(other.x - pole.x, other.z - pole.z) || 1;
+      // Conduit on the face of the pole toward the cable
+      const standoff = R + 0.15;
+      const conduit = new THREE.Mesh(riserGeo, mRiser);
+      conduit.scale.y = rise;
+      conduit.position.set(
+        pole.x + (other.x - pole.x) / distance * standoff,
+        pole.base + rise / 2,
+        pole.z + terrainOffsetZ + (other.z - pole.z) / distance * standoff
+      );
+      scene.add(conduit);
+      riserObjects.push(conduit);
+      length += rise;
+    });
+    undergroundCables.set(span, { line, points, length });
+  }
+  
+  /* ------- underbuild ------- */
+  function clearUnderbuild() {
+    underbuildLines.forEach(lines => lines.forEach(line => {
+      line.geometry.dispose();
+      scene.remove(line);
+    }));
+    underbuildLines.clear();
+  }
+  
+  /**
+   * Draw the enabled underbuild lines of a span, each its drop below the
+   * lowest primary attachment with its own conductor and tension
+   * @param {Object} span - Entry from the spans array
+   * @param {Object} primary - The span's tension, conductor and rulingSpan, and its
+   *   lowest primary attachment heights tierHeightA and tierHeightB
+   */
+  function drawUnderbuild(span, primary) {
+    const lines = [];
+    Object.entries(UNDERBUILD_TYPES).forEach(([id, type]) => {
+      const setting = UIState.underbuild[id];
+      if (!setting?.enabled) return;
+      // Kept on the line so checkClearances can re-solve it for the clearance case
+      const geometryOptions = {
+        poleA: span.a,
+        poleB: span.b,
+        tension: getUnderbuildTension(type, primary.tension),
+        conductor: type.conductor || primary.conductor,
+        rulingSpan: primary.rulingSpan,
+        samples: SAMPLES,
+        lateralOffset: type.x,
+        terrainOffsetZ,
+        tierHeightA: primary.tierHeightA - setting.drop,
+        tierHeightB: primary.tierHeightB - setting.drop,
+        operatingTemperature: type.operatingTemperature
+      };
+      const { points } = getConductorGeometry({ ...geometryOptions, loadingCase: UIState.loadingCase });
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z))),
+        mUnderbuild
+      );
+      line.userData = { underbuild: id, geometryOptions };
+      scene.add(line);
+      lines.push(line);
+    });
+    underbuildLines.set(span, lines);
+  }
+  
+  /**
+   * Grade a span's underbuild at the clearance case: ground clearance of every
+   * line, and separation of each communication cable from the lowest power
+   * conductor above it - the neutral when there is one, else the lowest phase.
+   * Lines are recoloured by their worst result.
+   * @param {Object} span - Entry from the spans array
+   * @param {Array<{points: Array<Object>, tierHeightA: number, tierHeightB: number}>} primaryShapes -
+   *   The span's phase conductors at the clearance case
+   * @returns {Array<{result: Object, from: Object, to: Object}>} Graded checks with the points they measured between
+   */
+  function checkUnderbuildSpan(span, primaryShapes) {
+    const lines = underbuildLines.get(span) || [];
+    if (lines.length === 0) return [];
+    
+    const shapes = lines.map(line => ({
+      line,
+      type: UNDERBUILD_TYPES[line.userData.underbuild],
+      points: getConductorGeometry({ ...line.userData.geometryOptions, loadingCase: UIState.clearanceCase }).points
+    }));
+    const lowestPhase = primaryShapes.reduce((lowest, shape) => (
+      !lowest || shape.tierHeightA + shape.tierHeightB < lowest.tierHeightA + lowest.tierHeightB ? shape : lowest
+    ), null);
+    const neutral = shapes.find(shape => !shape.type.communication);
+    const power = neutral
+      ? { label: neutral.type.label.toLowerCase(), points: neutral.points }
+      : lowestPhase && { label: 'primary', points: lowestPhase.points };
+    
+    const checks = [];
+    shapes.forEach(shape => {
+      const label = shape.type.label;
+      const shapeChecks = [];
+      
+      let lowest = null;
+      shape.points.forEach(point => {
+        const groundHeight = hAt(point.x, point.z);
+        if (!lowest || point.y - groundHeight < lowest.clearance) {
+          lowest = { point, groundHeight, clearance: point.y - groundHeight };
+        }
       });
-    } else if (aIsTower || bIsTower) {
-      // Mixed tower/pole connection - conductors from each tower tier connect to pole top
-      const lateralOffsets = [-1.5, 1.5];
-      const tierHeightsA = aIsTower ? getTowerTierHeights(a) : [null, null, null];
-      const tierHeightsB = bIsTower ? getTowerTierHeights(b) : [null, null, null];
-      
-      tierHeightsA.forEach((tierHeightA, tierIdx) => {
-        const tierHeightB = tierHeightsB[tierIdx];
-        lateralOffsets.forEach(offset => {
-          const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-          
-          const curvePoints = getConductorCurve({
-            poleA: a,
-            poleB: b,
-            tension: tensionFactor,
-            samples: SAMPLES,
-            lateralOffset: offset,
-            terrainOffsetZ,
-            tierHeightA: tierHeightA,
-            tierHeightB: tierHeightB
-          });
-          
-          const pts = curvePoints.map(p => new THREE.Vector3(p.x, p.y, p.z));
-          const geo = new THREE.BufferGeometry().setFromPoints(pts);
-          const line = new THREE.Line(geo, mGood);
-          line.userData = { 
-            span: true, 
-            a: a.obj, 
-            b: b.obj,
-            hasViolation: false
-          };
-          scene.add(line);
+      const groundResult = evaluateClearance(clearanceRules, { ...getClearanceContext('ground'), equipment: UNDERBUILD_EQUIPMENT }, lowest.clearance);
+      if (groundResult) {
+        shapeChecks.push({
+          result: { ...groundResult, object: `${label} to ground` },
+          from: lowest.point,
+          to: { x: lowest.point.x, y: lowest.groundHeight, z: lowest.point.z }
         });
-      });
-    } else {
-      // Standard distribution pole rendering with 3 conductors at crossarm height
-      const crossarmPositions = [-1.2, 0, 1.2];
+      }
       
-      crossarmPositions.forEach(offset => {
-        const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-        
-        const curvePoints = getConductorCurve({
-          poleA: a,
-          poleB: b,
-          tension: tensionFactor,
-          samples: SAMPLES,
-          lateralOffset: offset,
-          terrainOffsetZ
+      if (shape.type.communication && power) {
+        const { pole, midspan } = getVerticalSeparation(power.points, shape.points);
+        shapeChecks.push({
+          result: gradeAgainstLimit('COMM-POLE-SEPARATION', `${label} below ${power.label} at pole`, pole.distance, COMM_POLE_SEPARATION),
+          from: power.points[pole.index],
+          to: shape.points[pole.index]
         });
-        
-        const pts = curvePoints.map(p => new THREE.Vector3(p.x, p.y, p.z));
-        const geo = new THREE.BufferGeometry().setFromPoints(pts);
-        const line = new THREE.Line(geo, mGood);
-        line.userData = { 
-          span: true, 
-          a: a.obj, 
-          b: b.obj,
-          hasViolation: false
-        };
-        scene.add(line);
-      });
-    }
+        if (midspan) {
+          shapeChecks.push({
+            result: gradeAgainstLimit('COMM-MIDSPAN-SEPARATION', `${label} below ${power.label} midspan`, midspan.distance, COMM_MIDSPAN_SEPARATION),
+            from: power.points[midspan.index],
+            to: shape.points[midspan.index]
+          });
+        }
+      }
+      
+      const statuses = shapeChecks.map(check => check.result.status);
+      if (statuses.includes(CLEARANCE_STATUS.FAIL)) {
+        shape.line.material = mViolation;
+      } else if (statuses.includes(CLEARANCE_STATUS.WARN)) {
+        shape.line.material = mWarning;
+      } else {
+        shape.line.material = mUnderbuild;
+      }
+      checks.push(...shapeChecks);
+    });
+    return checks;
   }
 
+  /**
+   * Add a drawn conductor line to the conductor index, one entry per step
+   * between samples
+   * @param {THREE.Line} line - Conductor line from drawSpan
+   */
+  function indexConductor(line) {
+    conductorLines.push(line);
+    const positions = line.geometry.attributes.position;
+    for (let i = 0; i < positions.count - 1; i++) {
+      conductorIndex.insert({ line, index: i }, boundsOfPoints([
+        { x: positions.getX(i), y: positions.getY(i), z: positions.getZ(i) },
+        { x: positions.getX(i + 1), y: positions.getY(i + 1), z: positions.getZ(i + 1) }
+      ]));
+    }
+  }
+  
+  /**
+   * Every drawn conductor or underground cable between the same two poles as a line
+   * @param {THREE.Line} line - Conductor line or underground cable
+   * @returns {Array<THREE.Line>} Lines of that span, including the given one
+   */
+  function getSpanLineGroup(line) {
+    const { a, b } = line.userData;
+    const cableLines = [...undergroundCables.values()].map(cable => cable.line);
+    return [...conductorLines, ...cableLines].filter(other => other.userData.a === a && other.userData.b === b);
+  }
+  
+  /**
+   * Index every pole from the ground to its top, as wide as its framing.
+   * Poles move while dragging, so rebuild() re-indexes them all.
+   */
+  function indexPoles() {
+    poleIndex.clear();
+    poles.forEach(pole => {
+      const top = getStructureTop(pole);
+      const reach = getHalfWidth(getPoleStructure(pole));
+      const z = pole.z + terrainOffsetZ;
+      poleIndex.insert(pole, {
+        min: { x: pole.x - reach, y: pole.base, z: z - reach },
+        max: { x: pole.x + reach, y: top, z: z + reach }
+      });
+    });
+  }
+  
   function rebuild() {
     // Remove existing conductor span meshes
-    const oldSpans = scene.children.filter(o => o.userData.span);
+    const oldSpans = conductorLines.splice(0);
     oldSpans.forEach(l => { l.geometry.dispose(); scene.remove(l); });
+    conductorIndex.clear();
+    clearUnderbuild();
+    clearUndergroundCables();
+    updatePoleFramings();
+    indexPoles();
     // Clear previous clearance indicators so we don't accumulate duplicates
     clearClearanceIndicators();
     
     // Reset hover span since we're redrawing all spans
     hoverSpan = null;
 
+    // Group spans into strain sections before solving any sag
+    updateStrainSections();
+    updateThermalRatingSummary();
+
     // Early exit when no poles (still update stats/emissive state)
     if (poles.length === 0) {
+      clearGuys();
+      clearEquipment();
+      poleLoadings.clear();
+      updateProfileChart();
       if (challengeState.active) updateChallengeStats();
       updateLastPoleIndicator();
       return;
@@ -2089,7 +3989,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Draw all sequential spans
-    spans.forEach(s => drawSpan(s.a, s.b));
+    spans.forEach(s => isUndergroundSpan(s) ? drawUndergroundCable(s) : drawSpan(s.a, s.b, s));
 
     // Challenge: connection from last pole to customer if within range
     if (challengeState.active && challengeState.customerBuilding) {
@@ -2142,6 +4042,7 @@ document.addEventListener('DOMContentLoaded', () => {
     updateLastPoleIndicator();
     updatePoleHeightLabels();
     updateSagCalculations();
+    updateEquipment();
     checkClearances();
     if (challengeState.active) {
       updateChallengeStats();
@@ -2153,16 +4054,117 @@ document.addEventListener('DOMContentLoaded', () => {
     if (inspectedPole && elements.inspectionPanel?.classList.contains('active')) {
       updateInspectionPanel();
     }
+    
+    if (inspectedSpan && elements.spanInspectionPanel?.classList.contains('active')) {
+      updateSpanInspectionPanel();
+    }
   }
 
-  function addPole(x, z, h) {
+  /* ------- structures ------- */
+  /**
+   * Pick every pole's framing from the spans at it. Runs before spans are
+   * drawn, since framing decides where conductors attach.
+   */
+  function updatePoleFramings() {
+    poleFramings.clear();
+    const neighbours = new Map(); // pole -> poles it has overhead spans to
+    getOverheadSpans().forEach(span => {
+      [[span.a, span.b], [span.b, span.a]].forEach(([pole, other]) => {
+        if (!neighbours.has(pole)) neighbours.set(pole, []);
+        neighbours.get(pole).push(other);
+      });
+    });
+    poles.forEach(pole => {
+      const others = neighbours.get(pole) || [];
+      // A straight line has a 180° top angle; deflection is how far it turns
+      poleFramings.set(pole, selectFraming({
+        connections: others.length,
+        deflection: others.length === 2 ? 180 - calculateTopAngle(others[0], pole, others[1]) : 0,
+        deadEnd: pole.deadEnd
+      }));
+    });
+  }
+  
+  // Framing set on the pole, else the one its line angle calls for
+  function getPoleFramingId(pole) {
+    return pole.framing || poleFramings.get(pole) || DEFAULT_FRAMING;
+  }
+  
+  // Structure definition of a pole with its framing applied
+  function getPoleStructure(pole) {
+    return getFramedStructure(getStructure(getPoleStructureId(pole)), getPoleFramingId(pole));
+  }
+  
+  function getStructureTop(pole) {
+    return pole.base + pole.h + getTopRise(getStructure(getPoleStructureId(pole)));
+  }
+  
+  /**
+   * Height of a crossarm in a pole mesh's local frame. The shared cylinder
+   * is BASE_H tall and centred, then scaled to the structure's full height.
+   * @param {Object} structure - Structure definition
+   * @param {number} h - Nominal height (ft)
+   * @param {number} rise - Crossarm height above the nominal height (ft)
+   * @returns {number} Local y
+   */
+  function getCrossarmLocalY(structure, h, rise) {
+    return (h + rise) / (h + getTopRise(structure)) * BASE_H - BASE_H / 2;
+  }
+  
+  /**
+   * Body object for a structure, standing on the ground
+   * @param {string} structureId - Key into STRUCTURE_TYPES
+   * @param {number} x - Position (pole coordinates)
+   * @param {number} z - Position (pole coordinates)
+   * @param {number} base - Ground elevation
+   * @param {number} h - Nominal height (ft)
+   * @param {THREE.Material} [material=mPole] - Body material
+   * @returns {THREE.Object3D}
+   */
+  function createStructureMesh(structureId, x, z, base, h, material = mPole) {
+    const structure = getStructure(structureId);
+    const mesh = createStructureBody(structure, h, material, poleGeo);
+    // Square-on crossarms until updateCrossarmOrientations turns them to the spans
+    if (structure.body.type === 'pole') {
+      (structure.body.crossarms || []).forEach(arm => {
+        const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
+        crossArm.scale.x = arm.width / crossArmGeo.parameters.width;
+        crossArm.position.y = getCrossarmLocalY(structure, h, arm.rise);
+        mesh.add(crossArm);
+      });
+    }
+    mesh.position.set(x, base + (h + getTopRise(structure)) / 2, z + terrainOffsetZ);
+    return mesh;
+  }
+  
+  // Stand a pole's body on the ground at its current position
+  function positionPoleMesh(pole) {
+    pole.obj.position.set(pole.x, (pole.base + getStructureTop(pole)) / 2, pole.z + terrainOffsetZ);
+  }
+  
+  /**
+   * Build a pole's mesh, add it to the scene and return the pole record
+   * (the caller adds it to the poles array)
+   * @param {Object} data - Pole fields: id, x, z, h, base, structure, deadEnd and any extras
+   * @returns {Object} Pole
+   */
+  function createPoleRecord(data) {
+    const structure = getPoleStructureId(data);
+    const mesh = createStructureMesh(structure, data.x, data.z, data.base, data.h);
+    mesh.userData.pole = true;
+    mesh.userData.structure = structure;
+    mesh.userData.isTower = isTowerStructure(structure);
+    scene.add(mesh);
+    return { ...data, structure, isTower: isTowerStructure(structure), obj: mesh };
+  }
+  
+  function addPole(x, z, h, structure = UIState.structureType) {
     // Prevent placing pole at same location or too close to existing poles
     const minDistance = 0.5; // Less than 0.5 ft is essentially the same spot
-    const tooClose = poles.some(p => {
-      const dx = p.x - x;
-      const dz = p.z - z;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      return distance < minDistance;
+    const tooClose = poleIndex.nearest({ x, y: 0, z: z + terrainOffsetZ }, {
+      horizontal: true,
+      maxDistance: minDistance,
+      filter: p => Math.hypot(p.x - x, p.z - z) < minDistance
     });
     if (tooClose) {
       showToast('⚠️ Pole too close to existing pole', 'warning', 1500);
@@ -2198,31 +4200,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     const base = hAt(x, z + terrainOffsetZ);
-    
-    let mesh;
-    const isTower = UIState.towerMode; // Capture current mode for this pole
-    
-    if (isTower) {
-      // Create transmission tower
-      // h is the lowest tier height; tiers are spaced 5 units apart
-      mesh = createTransmissionTower(h, mPole);
-      const tier3Height = h + 10; // tier3 is at h + 5 + 5
-      mesh.position.set(x, base + tier3Height / 2, z + terrainOffsetZ);
-    } else {
-      // Create standard pole
-      mesh = new THREE.Mesh(poleGeo, mPole);
-      mesh.scale.y = h / BASE_H;
-      mesh.position.set(x, base + h / 2, z + terrainOffsetZ);
-      
-      const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
-      crossArm.position.y = 5;  
-      mesh.add(crossArm);
-    }
-    
-    mesh.userData.pole = true;
-    mesh.userData.isTower = isTower;
-    scene.add(mesh);
-    poles.push({ id: nextPoleId++, x, z, h, base, obj: mesh, isTower });
+    const pole = createPoleRecord({ id: nextPoleId++, x, z, h, base, structure, deadEnd: false });
+    poles.push(pole);
     rebuild();
     updateCrossarmOrientations();
     updateLastPoleIndicator(); // Update the last pole indicator
@@ -2234,6 +4213,44 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Capture state for undo/redo
     history.captureState();
+    return pole;
+  }
+  
+  /**
+   * Add a pole part way along a span, splitting it in two, as one undo step
+   * @param {Object} span - Entry from the spans array
+   * @param {number} x - Pole position
+   * @param {number} z - Pole position
+   * @param {number} h - Pole height
+   * @param {string} [structure=UIState.structureType] - Structure type to add
+   * @returns {Object|undefined} The new pole, or undefined if it couldn't be placed
+   */
+  function insertPoleInSpan(span, x, z, h, structure = UIState.structureType) {
+    let inserted;
+    history.batch(() => {
+      inserted = addPole(x, z, h, structure);
+      if (!inserted) return;
+      // Both halves keep the span's conductor settings
+      spans.splice(spans.indexOf(span), 1, createSpan(span.a, inserted, span), createSpan(inserted, span.b, span));
+      rebuild();
+      updateCrossarmOrientations();
+    });
+    return inserted;
+  }
+  
+  function setPoleHeight(pole, h) {
+    pole.h = h;
+    const structure = getStructure(pole.structure);
+    const totalHeight = pole.h + getTopRise(structure);
+    if (structure.body.type === 'pole') {
+      pole.obj.scale.y = totalHeight / BASE_H;
+    } else {
+      // Built-to-size bodies are rebuilt in place so the pole keeps its object
+      const body = createStructureBody(structure, pole.h, mPole, poleGeo);
+      pole.obj.clear();
+      body.children.slice().forEach(child => pole.obj.add(child));
+    }
+    positionPoleMesh(pole);
   }
 
   function removePole(obj){ 
@@ -2271,15 +4288,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function updateCrossarmOrientations() {
     poles.forEach((pole, index) => {
-      // Skip towers - they don't use crossarms
-      if (pole.isTower) return;
+      const structure = getPoleStructure(pole);
+      const isPoleBody = structure.body.type === 'pole';
       
       // Remove all existing crossarms
-      pole.obj.children.filter(child => child.geometry.type === 'BoxGeometry')
-        .forEach(child => pole.obj.remove(child));
+      if (isPoleBody) {
+        pole.obj.children.filter(child => child.geometry === crossArmGeo)
+          .forEach(child => pole.obj.remove(child));
+      }
 
-      // Find all spans connected to this pole
-      const connectedSpans = spans.filter(s => s.a === pole || s.b === pole);
+      // Find all overhead spans connected to this pole
+      const connectedSpans = getOverheadSpans().filter(s => s.a === pole || s.b === pole);
       
       // Get directions to connected poles
       const dirs = [];
@@ -2322,67 +4341,49 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
-      // Check if this is an angle pole (2+ connections with acute angle)
-      let acuteCase = false;
-      if (dirs.length >= 2) {
-        const topAngle = calculateTopAngle(
-          { x: pole.x + dirs[0].x, z: pole.z + dirs[0].z }, 
-          pole, 
-          { x: pole.x + dirs[1].x, z: pole.z + dirs[1].z }
-        );
-        acuteCase = topAngle < 90;
+      // Built bodies (towers, H-frames) carry their own arms; turn the whole structure across the line
+      if (!isPoleBody) {
+        const perp = new THREE.Vector3(-dirs[0].z, 0, dirs[0].x).normalize();
+        pole.obj.rotation.y = -Math.atan2(perp.z, perp.x);
+        return;
       }
       
-      // Terminal pole (only one connection) - add TWO parallel crossarms
-      if (dirs.length === 1) {
-        const spanDir = dirs[0];
-        const perp1 = new THREE.Vector3(-spanDir.z, 0, spanDir.x).normalize();
-        const perp2 = new THREE.Vector3(spanDir.z, 0, -spanDir.x).normalize();
-        
-        // For towers, place crossarms at each tier; for poles, use fixed height
-        const getTierHeights = (poleHeight, isTower) => {
-          if (isTower) {
-            // Tier fractions relative to tower's full local height
-            return TOWER_TIER_FRACTIONS.map(frac => (-poleHeight / 2) + frac * poleHeight);
-          }
-          return [5];
-        };
-        
-        const armHeights = getTierHeights(pole.h, pole.isTower);
-        
-        [perp1, perp2].forEach((perp, perpIdx) => {
-          armHeights.forEach(armHeight => {
-            const angle = -Math.atan2(perp.z, perp.x);
-            const arm = new THREE.Mesh(crossArmGeo, mCrossArm);
-            arm.position.y = armHeight;
-            arm.rotation.y = angle;
-            pole.obj.add(arm);
-          });
+      // Crossarms come from the structure definition, hung the way the pole's framing says
+      const framing = structure.framed ? getFraming(getPoleFramingId(pole)) : FRAMING_TYPES[DEFAULT_FRAMING];
+      const addArms = (along, shift) => {
+        // Positive arm offsets sit on the conductors' positive side, to the right of the line direction
+        const perp = new THREE.Vector3(-along.z, 0, along.x);
+        (structure.body.crossarms || []).forEach(arm => {
+          const mesh = new THREE.Mesh(crossArmGeo, mCrossArm);
+          mesh.scale.x = arm.width / crossArmGeo.parameters.width;
+          mesh.position.set(
+            perp.x * (arm.offset || 0) + along.x * shift,
+            getCrossarmLocalY(structure, pole.h, arm.rise),
+            perp.z * (arm.offset || 0) + along.z * shift
+          );
+          mesh.rotation.y = -Math.atan2(perp.z, perp.x);
+          pole.obj.add(mesh);
         });
-      } else {
-        // Multiple connections - add crossarm for each direction
-        const getTierHeights = (poleHeight, isTower) => {
-          if (isTower) {
-            return TOWER_TIER_FRACTIONS.map(frac => (-poleHeight / 2) + frac * poleHeight);
-          }
-          return [5];
-        };
-        
-        const armHeights = getTierHeights(pole.h, pole.isTower);
-        
+      };
+      
+      if (framing.orient === 'span') {
+        // One arm facing each span, set off toward it
         dirs.forEach(dir => {
-          const perp = new THREE.Vector3(-dir.z, 0, dir.x).normalize();
-          const angle = -Math.atan2(perp.z, perp.x);
-          
-          armHeights.forEach(armHeight => {
-            const arm = new THREE.Mesh(crossArmGeo, mCrossArm);
-            if (acuteCase) arm.scale.x = 1;
-            arm.position.y = armHeight;
-            arm.rotation.y = angle;
-            pole.obj.add(arm);
-          });
+          addArms(dir, DOUBLE_ARM_GAP);
+          if (framing.doubled) addArms(dir, DOUBLE_ARM_GAP * 2);
+        });
+      } else {
+        // Square to the line through the pole, taken in the direction its spans are strung
+        const through = new THREE.Vector3();
+        connectedSpans.forEach(span => {
+          const dir = new THREE.Vector3(span.b.x - span.a.x, 0, span.b.z - span.a.z).normalize();
+          through.add(dir);
         });
+        if (through.lengthSq() < 1e-6) through.copy(dirs[0]);
+        through.normalize();
+        (framing.doubled ? [-DOUBLE_ARM_GAP, DOUBLE_ARM_GAP] : [0]).forEach(shift => addArms(through, shift));
       }
+
     });
   }
 
@@ -2402,7 +4403,32 @@ document.addEventListener('DOMContentLoaded', () => {
     return list.includes(obj) ? obj : null;
   }
   
-  const poleMeshes = () => poles.map(p => p.obj);
+  /**
+   * Aim the pick ray at the pointer and cut it at the camera's far plane
+   * @param {MouseEvent} evt - Pointer event
+   * @returns {{start: THREE.Vector3, end: THREE.Vector3}} Ray as a segment
+   */
+  function getPickSegment(evt) {
+    mouse.set((evt.clientX / window.innerWidth) * 2 - 1, -(evt.clientY / window.innerHeight) * 2 + 1);
+    ray.setFromCamera(mouse, camera);
+    return { start: ray.ray.origin.clone(), end: ray.ray.at(camera.far, new THREE.Vector3()) };
+  }
+  
+  // Pole mesh under the pointer, raycasting only the poles the ray passes
+  function pickPole(evt) {
+    const { start, end } = getPickSegment(evt);
+    return pick(evt, poleIndex.querySegment(start, end).map(p => p.obj));
+  }
+  
+  // Conductor line under the pointer, raycasting only the conductors the ray passes
+  function pickConductor(evt) {
+    const { start, end } = getPickSegment(evt);
+    const lines = new Set(conductorIndex.querySegment(start, end, ray.params.Line.threshold).map(({ line }) => line));
+    // Few enough underground cables to test them all
+    undergroundCables.forEach(({ line }) => lines.add(line));
+    const hit = ray.intersectObjects(Array.from(lines), true)[0];
+    return hit && (hit.object.userData.span || hit.object.userData.cable) ? hit.object : null;
+  }
   
 
   function updateGhost() {
@@ -2431,18 +4457,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const h = UIState.currentHeight;
     const base = hAt(hoverPt.x, hoverPt.z + terrainOffsetZ);
 
-    // Recreate ghost as tower or pole based on current mode
-    if (UIState.towerMode) {
-      ghost = createTransmissionTower(h, mGhost);
-      ghost.userData.ghost = true;
-      const tier3Height = h + 10;
-      ghost.position.set(hoverPt.x, base + tier3Height / 2, hoverPt.z + terrainOffsetZ);
-    } else {
-      ghost = new THREE.Mesh(poleGeo, mGhost.clone());
-      ghost.scale.y = h / BASE_H;
-      ghost.userData.ghost = true;
-      ghost.position.set(hoverPt.x, base + h / 2, hoverPt.z + terrainOffsetZ);
-    }
+    // Recreate ghost as the structure about to be placed
+    const structure = getStructure(UIState.structureType);
+    const ghostMaterial = mGhost.clone();
+    ghost = createStructureBody(structure, h, ghostMaterial, poleGeo);
+    // Built bodies share one material across their parts; expose it for the span-limit tint
+    ghost.material = ghost.material || ghostMaterial;
+    ghost.userData.ghost = true;
+    ghost.position.set(hoverPt.x, base + (h + getTopRise(structure)) / 2, hoverPt.z + terrainOffsetZ);
     ghost.visible = true;
     scene.add(ghost);
 
@@ -2533,7 +4555,7 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    let pPick = pick(e, poleMeshes());
+    let pPick = pickPole(e);
     
     // Use larger click radius for easier targeting (same as inspect tool)
     if (!pPick) {
@@ -2736,23 +4758,21 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const base = hAt(pole.x, pole.z + terrainOffsetZ);
             pole.base = base;
-            pole.obj.position.set(pole.x, base + pole.h / 2, pole.z + terrainOffsetZ);
+            positionPoleMesh(pole);
           } else {
             // Restore to drag start position if move is invalid
             pole.x = dragStartPos.x;
             pole.z = dragStartPos.z;
             const base = hAt(pole.x, pole.z + terrainOffsetZ);
             pole.base = base;
-            pole.obj.position.set(pole.x, base + pole.h / 2, pole.z + terrainOffsetZ);
+            positionPoleMesh(pole);
           }
         }
       } else if (dragMode === 'height') {
         // Height dragging doesn't need terrain intersection - just use mouse delta
         const deltaY = startY - e.clientY;
         const newHeight = Math.max(MINH, Math.min(MAXH, dragStartHeight + deltaY * DRAG_SENS));
-        pole.h = SNAP(newHeight);
-        pole.obj.scale.y = pole.h / BASE_H;
-        pole.obj.position.y = pole.base + pole.h / 2;
+        setPoleHeight(pole, SNAP(newHeight));
       }
       
       if (pole) {
@@ -2767,19 +4787,12 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    let pPick = pick(e, poleMeshes());
+    let pPick = pickPole(e);
     let conductorHit = null;
     
     // In eraser mode, check conductor hover first to give it priority
     if (UIState.eraserToolActive) {
-      mouse.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
-      ray.setFromCamera(mouse, camera);
-      const spanLines = scene.children.filter(o => o.userData.span);
-      const spanHitResult = ray.intersectObjects(spanLines, true)[0];
-      
-      if (spanHitResult && spanHitResult.object.userData.span) {
-        conductorHit = spanHitResult.object;
-      }
+      conductorHit = pickConductor(e);
     }
     
     // Use larger hit radius for easier targeting, but only if not hovering a conductor in eraser mode
@@ -2818,7 +4831,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (hoverPole) {
         // Don't reset material if this is the conductor start pole
         if (!UIState.conductorStartPole || hoverPole !== UIState.conductorStartPole.obj) {
-          hoverPole.material = mPole;
+          hoverPole.material = getPoleMaterial(hoverPole);
         }
       }
       hoverPole = pPick;
@@ -2831,21 +4844,17 @@ document.addEventListener('DOMContentLoaded', () => {
     } else if (conductorHit && hoverPole) {
       // Reset pole highlight when hovering conductor
       if (!UIState.conductorStartPole || hoverPole !== UIState.conductorStartPole.obj) {
-        hoverPole.material = mPole;
+        hoverPole.material = getPoleMaterial(hoverPole);
       }
       hoverPole = null;
     }
     
     // Handle conductor hover highlighting for eraser tool
     if (UIState.eraserToolActive && conductorHit) {
-      const spanLines = scene.children.filter(o => o.userData.span);
       const hitSpan = conductorHit;
       
       // Find all 3 conductor strands for this span (they share the same pole pair)
-      const spanGroup = spanLines.filter(line => 
-        line.userData.a === hitSpan.userData.a && 
-        line.userData.b === hitSpan.userData.b
-      );
+      const spanGroup = getSpanLineGroup(hitSpan);
       
       // Check if we're hovering a different span group
       const isSameGroup = hoverSpan && spanGroup.includes(hoverSpan);
@@ -2853,10 +4862,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!isSameGroup) {
         // Reset previous span group - store their original material state first
         if (hoverSpan) {
-          const prevGroup = spanLines.filter(line =>
-            line.userData.a === hoverSpan.userData.a &&
-            line.userData.b === hoverSpan.userData.b
-          );
+          const prevGroup = getSpanLineGroup(hoverSpan);
           // Restore original material based on stored state
           prevGroup.forEach(line => {
             if (line.userData.originalMaterial) {
@@ -2884,11 +4890,7 @@ document.addEventListener('DOMContentLoaded', () => {
     } else {
       // Not in eraser mode or hovering a pole - reset any highlighted span group
       if (hoverSpan) {
-        const spanLines = scene.children.filter(o => o.userData.span);
-        const spanGroup = spanLines.filter(line =>
-          line.userData.a === hoverSpan.userData.a &&
-          line.userData.b === hoverSpan.userData.b
-        );
+        const spanGroup = getSpanLineGroup(hoverSpan);
         // Restore original material based on stored state
         spanGroup.forEach(line => {
           if (line.userData.originalMaterial) {
@@ -2996,7 +4998,7 @@ document.addEventListener('DOMContentLoaded', () => {
             pole.z = dragStartPos.z;
             const base = hAt(pole.x, pole.z + terrainOffsetZ);
             pole.base = base;
-            pole.obj.position.set(pole.x, base + pole.h / 2, pole.z + terrainOffsetZ);
+            positionPoleMesh(pole);
             rebuild();
             updateCrossarmOrientations();
             
@@ -3053,13 +5055,13 @@ document.addEventListener('DOMContentLoaded', () => {
   
   function handleToolClick(e) {
     // Ignore clicks on UI elements (tool panel, HUD, etc.)
-    if (e.target.closest('#toolPanel, #hud, #challengePanel, #scenariosPanel, #inspectionPanel')) {
+    if (e.target.closest('#toolPanel, #hud, #challengePanel, #scenariosPanel, #inspectionPanel, #spanInspectionPanel')) {
       return;
     }
     
     // Handle inspect tool
     if (UIState.inspectToolActive) {
-      let pPick = pick(e, poleMeshes());
+      let pPick = pickPole(e);
       
       // Use larger click radius for easier targeting
       if (!pPick) {
@@ -3095,26 +5097,37 @@ document.addEventListener('DOMContentLoaded', () => {
         inspectPole(pPick);
         return;
       }
+      
+      // No pole nearby - inspect the conductor span under the cursor instead
+      const spanLine = pickConductor(e);
+      
+      if (spanLine) {
+        const poleA = poles.find(p => p.obj === spanLine.userData.a);
+        const poleB = poles.find(p => p.obj === spanLine.userData.b);
+        const span = poleA && poleB && findSpan(poleA, poleB);
+        
+        if (span) {
+          inspectSpan(span);
+        }
+      }
+      return;
     }
     
     // Handle eraser tool
     if (UIState.eraserToolActive) {
-      const pPick = pick(e, poleMeshes());
+      const pPick = pickPole(e);
       if (pPick) {
         removePole(pPick);
         return;
       }
       
       // Check if clicking on a conductor
-      mouse.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
-      ray.setFromCamera(mouse, camera);
-      const spanLines = scene.children.filter(o => o.userData.span);
-      const spanHit = ray.intersectObjects(spanLines, true)[0];
+      const spanLine = pickConductor(e);
       
-      if (spanHit && spanHit.object.userData.span) {
+      if (spanLine) {
         // Find the poles this span connects
-        const spanA = spanHit.object.userData.a;
-        const spanB = spanHit.object.userData.b;
+        const spanA = spanLine.userData.a;
+        const spanB = spanLine.userData.b;
         const poleA = poles.find(p => p.obj === spanA);
         const poleB = poles.find(p => p.obj === spanB);
         
@@ -3127,7 +5140,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Handle conductor-only tool
     if (UIState.conductorToolActive && !UIState.poleToolActive) {
-      let pPick = pick(e, poleMeshes());
+      let pPick = pickPole(e);
       
       // Use larger click radius in conductor mode
       if (!pPick) {
@@ -3197,7 +5210,7 @@ document.addEventListener('DOMContentLoaded', () => {
     } else if (UIState.conductorStartPole === pole) {
       // Clicked same pole - deselect
       if (UIState.conductorStartPole.obj) {
-        UIState.conductorStartPole.obj.material = mPole;
+        UIState.conductorStartPole.obj.material = getPoleMaterial(UIState.conductorStartPole.obj);
       }
       UIState.conductorStartPole = null;
       UIState.conductorHoverPole = null;
@@ -3211,7 +5224,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Reset selection completely after removing
         if (UIState.conductorStartPole.obj) {
-          UIState.conductorStartPole.obj.material = mPole;
+          UIState.conductorStartPole.obj.material = getPoleMaterial(UIState.conductorStartPole.obj);
         }
         UIState.conductorStartPole = null;
         UIState.conductorHoverPole = null;
@@ -3222,7 +5235,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Keep selection active - make the second pole the new "from" pole
         // This allows quick chaining: click A -> B -> C -> D without reselecting
         if (UIState.conductorStartPole.obj) {
-          UIState.conductorStartPole.obj.material = mPole;
+          UIState.conductorStartPole.obj.material = getPoleMaterial(UIState.conductorStartPole.obj);
         }
         UIState.conductorStartPole = pole;
         poleObj.material = mPoleHL;
@@ -3315,10 +5328,18 @@ document.addEventListener('DOMContentLoaded', () => {
     poles.length = 0;
     spans.length = 0; // Clear the spans array
     nextPoleId = 1; // Reset pole ID counter
-    scene.children.filter(o => o.userData.span).forEach(l => {
+    conductorLines.splice(0).forEach(l => {
       l.geometry.dispose();
       scene.remove(l);
     });
+    conductorIndex.clear();
+    clearUnderbuild();
+    clearUndergroundCables();
+    poleIndex.clear();
+    poleFramings.clear();
+    clearGuys();
+    clearEquipment();
+    poleLoadings.clear();
     
     // Do NOT clear terrain surface when clearing scene
     // Only clear GIS elevation surfaces if needed
@@ -3335,14 +5356,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Clear clearance violation indicators (red vertical lines)
     clearClearanceIndicators();
     
-    // Close inspection panel when scene is cleared
+    // Close inspection panels when scene is cleared
     closeInspectionPanel();
+    closeSpanInspectionPanel();
     
     // Hide clearance warning when scene is reset
     if (elements.clearanceWarning) {
       elements.clearanceWarning.style.display = 'none';
     }
     
+    // No spans left, so no strain sections
+    updateStrainSections();
+    
     // Clear undo/redo history
     history.clear();
   }
@@ -3401,30 +5426,15 @@ document.addEventListener('DOMContentLoaded', () => {
     poles.length = 0;
 
     for (const pole of customPoles) {
-      let mesh;
-      const scaledHeight = pole.h;
-      
-      if (UIState.towerMode) {
-        mesh = createTransmissionTower(scaledHeight, mPole);
-      } else {
-        mesh = new THREE.Mesh(poleGeo, mPole);
-        mesh.scale.y = scaledHeight / BASE_H;
-        
-        const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
-        crossArm.position.y = 5;
-        mesh.add(crossArm);
-      }
-      
-      const zPos = pole.z;
-      const xPos = 0; // Center poles in the strip
-      const base = pole.elev;
-      const actualHeight = UIState.towerMode ? (pole.h + 10) / 2 : scaledHeight / 2;
-      mesh.position.set(xPos, base + actualHeight / 2, zPos + terrainOffsetZ);
-      mesh.userData.pole = true;
-      mesh.userData.isTower = UIState.towerMode;
-
-      scene.add(mesh);
-      poles.push({ id: nextPoleId++, x: xPos, z: zPos, h: scaledHeight, base, obj: mesh, isTower: false });
+      poles.push(createPoleRecord({
+        id: nextPoleId++,
+        x: 0, // Center poles in the strip
+        z: pole.z,
+        h: pole.h,
+        base: pole.elev,
+        structure: UIState.structureType,
+        deadEnd: false
+      }));
     }
     
     rebuild();
@@ -3538,20 +5548,19 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // If the span is removed, fly away
-        if (!scene.children.includes(this.span)) {
+        if (!conductorLines.includes(this.span)) {
           this.flyAway();
         }
       },
       
       findPerch: function() {
-        const spans = scene.children.filter(o => o.userData.span);
-        if (spans.length === 0) {
+        if (conductorLines.length === 0) {
           this.flyAway();
           return;
         }
         
         // Pick a random span
-        const span = spans[Math.floor(Math.random() * spans.length)];
+        const span = conductorLines[Math.floor(Math.random() * conductorLines.length)];
         
         // Pick a random point along the span
         const positions = span.geometry.attributes.position;
@@ -3625,8 +5634,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
     birds.length = 0;
-      const spans = scene.children.filter(o => o.userData.span);
-    if (spans.length === 0) return;
+    if (conductorLines.length === 0) return;
     
     for (let i = 0; i < BIRD_SETTINGS.count; i++) {
       if (Math.random() < BIRD_SETTINGS.spawnChance) {
@@ -3642,6 +5650,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function animate() {
     requestAnimationFrame(animate);
+    updateCameraFlight();
     controls.update();
     
     // Update power pulse particles
@@ -3652,7 +5661,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const time = Date.now() * 0.003; // Slow pulse
     const pulseIntensity = Math.sin(time) * 0.3 + 0.7; // Oscillate between 0.4 and 1.0
     
-    scene.children.filter(o => o.userData.span && o.userData.hasViolation).forEach(span => {
+    conductorLines.filter(o => o.userData.hasViolation).forEach(span => {
       // Pulse the color brightness
       const baseRed = 255;
       const pulsedRed = Math.floor(baseRed * pulseIntensity);
@@ -3829,10 +5838,10 @@ document.addEventListener('DOMContentLoaded', () => {
     let poleColor = EQUIPMENT_COLORS.distribution.pole;
     let crossArmColor = EQUIPMENT_COLORS.distribution.crossArm;
     
-    // Check if equipmentSelect exists and has a valid value
-    if (elements.equipmentSelect && elements.equipmentSelect.value && elements.equipmentSelect.value in EQUIPMENT_COLORS) {
-      poleColor = EQUIPMENT_COLORS[elements.equipmentSelect.value].pole;
-      crossArmColor = EQUIPMENT_COLORS[elements.equipmentSelect.value].crossArm;
+    // Equipment type also selects the clearance rules
+    if (UIState.equipmentType in EQUIPMENT_COLORS) {
+      poleColor = EQUIPMENT_COLORS[UIState.equipmentType].pole;
+      crossArmColor = EQUIPMENT_COLORS[UIState.equipmentType].crossArm;
     }
     
     poles.forEach(pole => {
@@ -3882,6 +5891,7 @@ document.addEventListener('DOMContentLoaded', () => {
       road.geometry.computeVertexNormals();
       road.userData.environmentElement = true;
       road.userData.settingElement = true;
+      tagClearanceObject(road, 'road');
       scene.add(road);
     }
 
@@ -3901,6 +5911,7 @@ document.addEventListener('DOMContentLoaded', () => {
       road.geometry.computeVertexNormals();
       road.userData.environmentElement = true;
       road.userData.settingElement = true;
+      tagClearanceObject(road, 'road');
       scene.add(road);
     }
   }  function updateLastPoleIndicator() {
@@ -4070,10 +6081,11 @@ document.addEventListener('DOMContentLoaded', () => {
       return; // Sag calculations are disabled or no spans
     }
 
-    // Create sag visualization for each span
-    spans.forEach(span => {
+    // Create sag visualization for each overhead span
+    getOverheadSpans().forEach(span => {
       const poleA = span.a;
       const poleB = span.b;
+      const { tension, conductor, rulingSpan, operatingTemperature } = getSpanProperties(span);
 
       try {
         // Calculate straight line between poles at crossarm height
@@ -4095,16 +6107,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const straightLine = new THREE.Line(straightLineGeometry, straightLineMaterial);
 
         // Get the catenary curve points to find maximum sag
-        // Convert pounds to tension factor for catenary calculation
-        const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-        
         const curvePoints = getConductorCurve({
           poleA,
           poleB,
-          tension: tensionFactor,
+          tension,
+          conductor,
+          rulingSpan,
           samples: 32,
           lateralOffset: 0, // Use center conductor
-          terrainOffsetZ
+          terrainOffsetZ,
+          loadingCase: UIState.loadingCase,
+          operatingTemperature
         });
 
         // Measure sag at midpoint (industry standard practice)
@@ -4214,21 +6227,53 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       // Add current UI state
-      if (UIState.clearanceThreshold !== 15) { // Only add if not default
-        params.set('clearanceThreshold', UIState.clearanceThreshold.toString());
+      if (UIState.phaseClearance !== 1) { // Only add if not default
+        params.set('phaseClearance', UIState.phaseClearance.toString());
       }
       
       if (UIState.currentTension !== 2000) { // Only add if not default
         params.set('tension', UIState.currentTension.toString());
       }
       
+      if (UIState.conductorType !== DEFAULT_CONDUCTOR_ID) { // Only add if not default
+        params.set('conductor', UIState.conductorType);
+      }
+      
+      if (UIState.loadingCase !== 'everyday') { // Only add if not default
+        params.set('loadingCase', UIState.loadingCase);
+      }
+      
+      if (UIState.clearanceCase !== 'hot') { // Only add if not default
+        params.set('clearanceCase', UIState.clearanceCase);
+      }
+      
+      if (UIState.lineCurrent !== 0) { // Only add if not default
+        params.set('lineCurrent', UIState.lineCurrent.toString());
+      }
+      
+      if (UIState.ambientTemperature !== 104) { // Only add if not default
+        params.set('ambientTemperature', UIState.ambientTemperature.toString());
+      }
+      
+      if (UIState.ambientWindSpeed !== 2) { // Only add if not default
+        params.set('ambientWindSpeed', UIState.ambientWindSpeed.toString());
+      }
+      
+      if (UIState.solarRadiation !== 1000) { // Only add if not default
+        params.set('solarRadiation', UIState.solarRadiation.toString());
+      }
+      
       // Add terrain/environment/setting if not default
       if (elements.terrainSelect && elements.terrainSelect.value !== 'flat') {
         params.set('terrain', elements.terrainSelect.value);
       }
       
-      if (elements.equipmentSelect && elements.equipmentSelect.value) {
-        params.set('equipment', elements.equipmentSelect.value);
+      if (UIState.equipmentType !== 'distribution') { // Only add if not default
+        params.set('equipment', UIState.equipmentType);
+      }
+      
+      if (UIState.environment !== 'default') { // Only add if not default
+        params.set('environment', UIState.environment);
       }
       
       // Grid visibility
@@ -4248,6 +6293,10 @@ document.addEventListener('DOMContentLoaded', () => {
       if (UIState.showClearanceBuffers === true) { // Only add if enabled
         params.set('showClearanceBuffers', 'true');
       }
+
+      if (UIState.showBlowoutEnvelope === true) { // Only add if enabled
+        params.set('showBlowoutEnvelope', 'true');
+      }
       
       // Build the full URL
       const baseUrl = window.location.origin + window.location.pathname;
@@ -4349,6 +6398,11 @@ document.addEventListener('DOMContentLoaded', () => {
         surfaceData.sampleCount = sampleCount;
       }
 
+      // An imported DEM is saved whole so it can be rebuilt exactly
+      if (demSurface) {
+        surfaceData.dem = serializeDem(demSurface);
+      }
+
       // Create scene data object
       const sceneData = {
         version: "1.3", // Increment version to include spans
@@ -4358,22 +6412,41 @@ document.addEventListener('DOMContentLoaded', () => {
           x: pole.x,
           z: pole.z,
           height: pole.h,
-          elevation: pole.base
-        })),
-        spans: spans.map(span => ({
-          aId: span.a.id,
-          bId: span.b.id,
-          type: span.type
+          elevation: pole.base,
+          structure: pole.structure,
+          isTower: pole.isTower || false,
+          framing: pole.framing || null,
+          poleClass: pole.poleClass || null,
+          equipment: pole.equipment || [],
+          deadEnd: pole.deadEnd || false
         })),
+        // Definitions of the user-defined structures in use, so custom framings travel with the scene
+        structures: Object.fromEntries([...new Set(poles.map(pole => pole.structure))]
+          .filter(id => STRUCTURE_TYPES[id] && !isBuiltInStructure(id))
+          .map(id => [id, STRUCTURE_TYPES[id]])),
+        spans: spans.map(serializeSpan),
         terrain: terrainData,
         surface: surfaceData,
         settings: {
           tension: UIState.currentTension,
-          clearanceThreshold: UIState.clearanceThreshold,
+          conductor: UIState.conductorType,
+          loadingCase: UIState.loadingCase,
+          clearanceCase: UIState.clearanceCase,
+          equipment: UIState.equipmentType,
+          environment: UIState.environment,
+          // Only a user-loaded rule table travels with the scene
+          clearanceRules: clearanceRules === DEFAULT_CLEARANCE_RULES ? undefined : clearanceRules,
+          phaseClearance: UIState.phaseClearance,
+          underbuild: UIState.underbuild,
+          lineCurrent: UIState.lineCurrent,
+          ambientTemperature: UIState.ambientTemperature,
+          ambientWindSpeed: UIState.ambientWindSpeed,
+          solarRadiation: UIState.solarRadiation,
           terrain: elements.terrainSelect?.value || 'flat',
           showGrid: UIState.showGrid,
           showSagCalculations: UIState.showSagCalculations,
           showClearanceBuffers: UIState.showClearanceBuffers,
+          showBlowoutEnvelope: UIState.showBlowoutEnvelope,
           showPoleHeightLabels: UIState.showPoleHeightLabels
         },
         metadata: {
@@ -4413,6 +6486,97 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Rise from a conductor's attachment at pole A to its attachment at pole B,
+   * at the tier heights drawSpan hands to getConductorGeometry
+   * @param {Object} span - Entry from the spans array
+   * @param {{riseA: number, riseB: number}} attachment - Paired attachment points
+   * @returns {number} Height difference (ft)
+   */
+  function getAttachmentHeightDiff(span, { riseA, riseB }) {
+    return (span.b.base + span.b.h + riseB) - (span.a.base + span.a.h + riseA);
+  }
+  
+  /**
+   * Sag-tension rows for every circuit strung in the overhead spans. A circuit
+   * whose phases rise differently between its poles (a tier stepping down
+   * onto a crossarm) gets one row per phase.
+   * @returns {Array<Object>} Rows from buildSagTensionTable
+   */
+  function getSagTensionRows() {
+    const spanInputs = getOverheadSpans().flatMap(span => {
+      const { tension, rulingSpan } = getSpanProperties(span);
+      const circuits = getSpanCircuits(span);
+      const spanLabel = `#${span.a.id} – #${span.b.id}`;
+      return circuits.flatMap(circuit => {
+        const label = circuits.length > 1 ? `${spanLabel} ${circuit.circuitA.label}` : spanLabel;
+        const heightDiffs = circuit.attachments.map(attachment => getAttachmentHeightDiff(span, attachment));
+        if (heightDiffs.length === 0) return [];
+        const sameRise = heightDiffs.every(heightDiff => Math.abs(heightDiff - heightDiffs[0]) < 1e-6);
+        const rows = sameRise ? [{ label, heightDiff: heightDiffs[0] }] : circuit.attachments.map((attachment, index) => ({
+          label: `${label} phase ${attachment.phase}`,
+          heightDiff: heightDiffs[index]
+        }));
+        return rows.map(row => ({
+          ...row,
+          length: getSpanLength(span),
+          tension,
+          conductor: circuit.conductor,
+          rulingSpan
+        }));
+      });
+    });
+    return buildSagTensionTable(spanInputs);
+  }
+
+  /**
+   * Download a generated report file
+   * @param {string} content - File contents
+   * @param {string} type - MIME type
+   * @param {string} extension - File extension without the dot
+   * @param {string} name - Report name used in the file name
+   */
+  function downloadReport(content, type, extension, name) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    link.download = `gridscaper-${name}-${timestamp}.${extension}`;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  function exportSagTensionCSV() {
+    if (spans.length === 0) {
+      showToast('⚠️ Add some spans before exporting a sag-tension table', 'warning', 2500);
+      return;
+    }
+    try {
+      downloadReport(sagTensionToCSV(getSagTensionRows()), 'text/csv', 'csv', 'sag-tension');
+      showToast('✅ Sag-tension table exported', 'success', 2000);
+    } catch (error) {
+      console.error('Error exporting sag-tension table:', error);
+      showToast('❌ Error exporting sag-tension table. Check console for details.', 'error', 3000);
+    }
+  }
+
+  function exportStringingChart() {
+    if (spans.length === 0) {
+      showToast('⚠️ Add some spans before exporting a stringing chart', 'warning', 2500);
+      return;
+    }
+    try {
+      downloadReport(sagTensionToHTML(getSagTensionRows(), 'GridScaper Stringing Chart'), 'text/html', 'html', 'sag-tension');
+      showToast('✅ Stringing chart exported - open it in a browser to print', 'success', 2500);
+    } catch (error) {
+      console.error('Error exporting stringing chart:', error);
+      showToast('❌ Error exporting stringing chart. Check console for details.', 'error', 3000);
+    }
+  }
+
   function validateSceneData(data) {
     const errors = [];
     
@@ -4471,6 +6635,13 @@ document.addEventListener('DOMContentLoaded', () => {
       // Clear existing scene
       resetScene();
       
+      // Restore an imported DEM, which takes priority over the sampled surface
+      const savedDem = sanitizeDem(sceneData.surface?.dem);
+      if (savedDem || demSurface) {
+        gisElevationSurface = savedDem ? createDemElevationFunction(savedDem) : null;
+      }
+      demSurface = savedDem;
+
       // Restore terrain and surface data if available (v1.1+)
       if (sceneData.terrain && sceneData.surface && sceneData.version !== "1.0") {
         // Restore custom ground function if elevation profile exists
@@ -4549,7 +6720,10 @@ document.addEventListener('DOMContentLoaded', () => {
         hAt, 
         addGridLines, 
         null, // No tree function - trees aren't used anymore
-        null
+        null,
+        [],
+        20,
+        demSurface ? getDemExtent(demSurface, 'ft') : null
       );
       
       fitGroundInView(camera, controls, terrain);
@@ -4558,40 +6732,35 @@ document.addEventListener('DOMContentLoaded', () => {
       updateSceneLabelStylesForDarkMode(darkModeSync);
       toggleGridVisibility(UIState.showGrid);
       
+      // Structure definitions the scene's poles refer to
+      if (sceneData.structures) {
+        // Older scene files list the built-in structures too; those keep their own definitions
+        Object.entries(sceneData.structures).filter(([id]) => !isBuiltInStructure(id)).forEach(([id, structure]) => {
+          const structureErrors = registerStructure(id, structure);
+          if (structureErrors.length > 0) {
+            console.warn(`Ignoring invalid structure "${id}" in scene file:`, structureErrors);
+          }
+        });
+        updateStructureOptions();
+      }
+      
       // Now import poles with correct terrainOffsetZ
       showLoadingOverlay('Importing poles...');
       sceneData.poles.forEach(poleData => {
         // Add pole with imported data
-        let mesh;
-        const isTower = poleData.isTower || false;
-        
-        if (isTower) {
-          mesh = createTransmissionTower(poleData.height, mPole);
-          const tier3Height = poleData.height + 10;
-          mesh.position.set(poleData.x, poleData.elevation + tier3Height / 2, poleData.z + terrainOffsetZ);
-        } else {
-          mesh = new THREE.Mesh(poleGeo, mPole);
-          mesh.scale.y = poleData.height / BASE_H;
-          
-          const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
-          crossArm.position.y = 5;
-          mesh.add(crossArm);
-          mesh.position.set(poleData.x, poleData.elevation + poleData.height / 2, poleData.z + terrainOffsetZ);
-        }
-        
-        mesh.userData.pole = true;
-        mesh.userData.isTower = isTower;
-
-        scene.add(mesh);
-        poles.push({ 
+        poles.push(createPoleRecord({
           id: poleData.id || nextPoleId++, // Restore ID or assign new one
           x: poleData.x, 
           z: poleData.z, 
           h: poleData.height, 
           base: poleData.elevation, 
+          structure: poleData.structure,
           isTower: poleData.isTower || false,
-          obj: mesh 
-        });
+          framing: poleData.framing || null,
+          poleClass: poleData.poleClass || null,
+          equipment: sanitizeEquipment(poleData.equipment),
+          deadEnd: poleData.deadEnd || false
+        }));
         // Update nextPoleId to avoid conflicts
         if (poleData.id && poleData.id >= nextPoleId) {
           nextPoleId = poleData.id + 1;
@@ -4606,11 +6775,7 @@ document.addEventListener('DOMContentLoaded', () => {
           const poleB = poles.find(p => p.id === spanData.bId);
           
           if (poleA && poleB) {
-            spans.push({
-              a: poleA,
-              b: poleB,
-              type: spanData.type
-            });
+            spans.push(createSpan(poleA, poleB, spanData));
           } else {
             console.warn('Could not restore span - pole not found:', spanData);
           }
@@ -4628,11 +6793,93 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
       
-      if (settings.clearanceThreshold !== undefined) {
-        UIState.clearanceThreshold = settings.clearanceThreshold;
-        if (elements.clearanceThreshold) {
-          elements.clearanceThreshold.value = settings.clearanceThreshold;
-          elements.clearanceLabel.textContent = settings.clearanceThreshold;
+      if (settings.conductor && CONDUCTOR_LIBRARY[settings.conductor]) {
+        UIState.conductorType = settings.conductor;
+        if (elements.conductorSelect) {
+          elements.conductorSelect.value = settings.conductor;
+        }
+      }
+      
+      if (settings.loadingCase && LOADING_CASES[settings.loadingCase]) {
+        UIState.loadingCase = settings.loadingCase;
+        if (elements.loadingCaseSelect) {
+          elements.loadingCaseSelect.value = settings.loadingCase;
+        }
+      }
+      
+      if (settings.clearanceCase && LOADING_CASES[settings.clearanceCase]) {
+        UIState.clearanceCase = settings.clearanceCase;
+        if (elements.clearanceCaseSelect) {
+          elements.clearanceCaseSelect.value = settings.clearanceCase;
+        }
+      }
+      
+      if (settings.equipment && EQUIPMENT_COLORS[settings.equipment]) {
+        UIState.equipmentType = settings.equipment;
+        if (elements.equipmentSelect) {
+          elements.equipmentSelect.value = settings.equipment;
+        }
+      }
+      
+      if (settings.environment && ENVIRONMENT_COLORS[settings.environment] !== undefined) {
+        UIState.environment = settings.environment;
+        if (elements.environmentSelect) {
+          elements.environmentSelect.value = settings.environment;
+        }
+      }
+      
+      if (settings.clearanceRules) {
+        const ruleErrors = validateRuleTable(settings.clearanceRules);
+        if (ruleErrors.length === 0) {
+          clearanceRules = settings.clearanceRules;
+          updateClearanceRulesName();
+        } else {
+          console.warn('Ignoring invalid rule table in scene file:', ruleErrors);
+        }
+      }
+      
+      if (settings.phaseClearance !== undefined) {
+        UIState.phaseClearance = settings.phaseClearance;
+        if (elements.phaseClearance) {
+          elements.phaseClearance.value = settings.phaseClearance;
+          elements.phaseClearanceLabel.textContent = settings.phaseClearance;
+        }
+      }
+      
+      if (settings.underbuild) {
+        UIState.underbuild = sanitizeUnderbuildSettings(settings.underbuild);
+        updateUnderbuildControls();
+      }
+      
+      if (settings.lineCurrent !== undefined) {
+        UIState.lineCurrent = settings.lineCurrent;
+        if (elements.lineCurrentSlider) {
+          elements.lineCurrentSlider.value = settings.lineCurrent;
+          elements.lineCurrentLabel.textContent = settings.lineCurrent;
+        }
+      }
+      
+      if (settings.ambientTemperature !== undefined) {
+        UIState.ambientTemperature = settings.ambientTemperature;
+        if (elements.ambientTemperatureSlider) {
+          elements.ambientTemperatureSlider.value = settings.ambientTemperature;
+          elements.ambientTemperatureLabel.textContent = settings.ambientTemperature;
+        }
+      }
+      
+      if (settings.ambientWindSpeed !== undefined) {
+        UIState.ambientWindSpeed = settings.ambientWindSpeed;
+        if (elements.ambientWindSpeedSlider) {
+          elements.ambientWindSpeedSlider.value = settings.ambientWindSpeed;
+          elements.ambientWindSpeedLabel.textContent = settings.ambientWindSpeed;
+        }
+      }
+      
+      if (settings.solarRadiation !== undefined) {
+        UIState.solarRadiation = settings.solarRadiation;
+        if (elements.solarRadiationSlider) {
+          elements.solarRadiationSlider.value = settings.solarRadiation;
+          elements.solarRadiationLabel.textContent = settings.solarRadiation;
         }
       }
       
@@ -4662,6 +6909,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
       
+      if (settings.showBlowoutEnvelope !== undefined) {
+        UIState.showBlowoutEnvelope = settings.showBlowoutEnvelope;
+        if (elements.showBlowoutEnvelope) {
+          elements.showBlowoutEnvelope.checked = settings.showBlowoutEnvelope;
+        }
+      }
+      
       if (settings.showPoleHeightLabels !== undefined) {
         UIState.showPoleHeightLabels = settings.showPoleHeightLabels;
         if (elements.showPoleHeightLabels) {
@@ -4777,6 +7031,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Store the GIS elevation surface
         gisElevationSurface = gisData.elevationSurface;
+        demSurface = null;
         
         // Create custom ground function that uses GIS elevations
         customGround = gisElevationSurface;
@@ -4815,40 +7070,22 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Add poles with GIS data
         gisData.poles.forEach(poleData => {
-          let mesh;
-          const isTower = poleData.isTower || false;
-          
-          if (isTower) {
-            mesh = createTransmissionTower(poleData.height, mPole);
-            const tier3Height = poleData.height + 10;
-            mesh.position.set(poleData.x, poleData.elevation + tier3Height / 2, poleData.z + terrainOffsetZ);
-          } else {
-            mesh = new THREE.Mesh(poleGeo, mPole);
-            mesh.scale.y = poleData.height / BASE_H;
-            
-            const crossArm = new THREE.Mesh(crossArmGeo, mCrossArm);
-            crossArm.position.y = 5;
-            mesh.add(crossArm);
-            mesh.position.set(poleData.x, poleData.elevation + poleData.height / 2, poleData.z + terrainOffsetZ);
-          }
-          
-          mesh.userData.pole = true;
-          mesh.userData.gisId = poleData.id;
-          mesh.userData.originalCoords = poleData.originalCoords;
-          mesh.userData.isTower = isTower;
-
-          scene.add(mesh);
-          poles.push({ 
+          const pole = createPoleRecord({ 
             id: nextPoleId++, // Assign unique GridScaper ID
             x: poleData.x, 
             z: poleData.z, 
             h: poleData.height, 
             base: poleData.elevation, 
-            obj: mesh,
             gisId: poleData.id, // Keep original GIS ID separate
             originalCoords: poleData.originalCoords,
-            isTower: poleData.isTower || false
+            structure: poleData.structure,
+            isTower: poleData.isTower || false,
+            poleClass: poleData.poleClass || null,
+            deadEnd: poleData.deadEnd || false
           });
+          pole.obj.userData.gisId = poleData.id;
+          pole.obj.userData.originalCoords = poleData.originalCoords;
+          poles.push(pole);
         });
         
         showLoadingOverlay('Finalizing GIS scene...');
@@ -4909,6 +7146,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Store the elevation function for terrain lookups
         gisElevationSurface = elevationData.elevationFunction;
         customGround = gisElevationSurface;
+        demSurface = null;
         
         showLoadingOverlay('Building terrain surface...');
         
@@ -4949,6 +7187,62 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  function handleDemImport() {
+    showDemImportDialog((demData) => {
+      try {
+        showLoadingOverlay('Processing elevation model...');
+
+        // Clear existing scene
+        resetScene();
+
+        // The DEM drives every terrain lookup
+        demSurface = demData.grid;
+        gisElevationSurface = demData.elevationFunction;
+        customGround = gisElevationSurface;
+
+        showLoadingOverlay('Building terrain from elevation model...');
+
+        const terrain = importedBuildTerrain(
+          scene,
+          new URLSearchParams(),
+          [],
+          elements.terrainSelect,
+          null,
+          SEG,
+          hAt,
+          addGridLines,
+          null, // No tree function - trees aren't used anymore
+          null,
+          [],
+          20,
+          { width: demData.width, depth: demData.depth }
+        );
+
+        fitGroundInView(camera, controls, terrain);
+        const demDarkMode = isDarkModeActive();
+        scene.background = demDarkMode ? new THREE.Color('#0a1014') : new THREE.Color(0x87ceeb);
+        updateSceneLabelStylesForDarkMode(demDarkMode);
+        toggleGridVisibility(UIState.showGrid);
+
+        updateSceneElements();
+        updateLastPoleIndicator();
+
+        setTimeout(() => {
+          hideLoadingOverlay();
+
+          const { metadata } = demData;
+          const filled = metadata.filledCells > 0 ? `, ${metadata.filledCells} empty cells filled` : '';
+          showToast(`✅ Elevation model imported! ${metadata.cols}×${metadata.rows} samples, ${Math.round(demData.width)}×${Math.round(demData.depth)} ft, ${metadata.relief.toFixed(1)} ft relief${filled}`, 'success', 4000);
+        }, 100);
+
+      } catch (error) {
+        hideLoadingOverlay();
+        console.error('Error importing elevation model:', error);
+        showToast(`❌ Error importing elevation model: ${error.message}`, 'error', 4000);
+      }
+    }, null, { resolution: SEG + 1 });
+  }
+
   // Add drag and drop functionality
   function setupDragAndDrop() {
     const overlay = document.getElementById('dragDropOverlay');
@@ -5106,6 +7400,679 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Dead-end flag on the inspected pole splits the strain section there
+  if (elements.inspectDeadEnd) {
+    elements.inspectDeadEnd.addEventListener('change', () => {
+      if (!inspectedPole) return;
+      inspectedPole.deadEnd = elements.inspectDeadEnd.checked;
+      rebuild();
+      updateCrossarmOrientations();
+      history.captureState();
+    });
+  }
+  
+  // Framing override on the inspected pole; blank goes back to picking it from the line angle
+  if (elements.inspectFramingSelect) {
+    elements.inspectFramingSelect.addEventListener('change', () => {
+      if (!inspectedPole) return;
+      inspectedPole.framing = elements.inspectFramingSelect.value || null;
+      rebuild();
+      updateCrossarmOrientations();
+      history.captureState();
+    });
+  }
+  
+  // Pole class of the inspected pole sets the strength its loading is checked against
+  if (elements.inspectPoleClassSelect) {
+    elements.inspectPoleClassSelect.addEventListener('change', () => {
+      if (!inspectedPole) return;
+      inspectedPole.poleClass = elements.inspectPoleClassSelect.value;
+      rebuild();
+      history.captureState();
+    });
+  }
+  
+  // Hang the chosen equipment on the inspected pole, below anything already there
+  if (elements.inspectEquipmentSelect) {
+    elements.inspectEquipmentSelect.addEventListener('change', () => {
+      const type = elements.inspectEquipmentSelect.value;
+      elements.inspectEquipmentSelect.value = '';
+      if (!inspectedPole || !getEquipment(type)) return;
+      inspectedPole.equipment = [...(inspectedPole.equipment || []), { type }];
+      rebuild();
+      history.captureState();
+    });
+  }
+  
+  // Span inspection panel close button and property editors
+  if (elements.closeSpanInspection) {
+    elements.closeSpanInspection.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeSpanInspectionPanel();
+    });
+  }
+  
+  if (elements.spanConstructionSelect) {
+    elements.spanConstructionSelect.addEventListener('change', () => {
+      if (!inspectedSpan) return;
+      inspectedSpan.type = elements.spanConstructionSelect.value;
+      applySpanEdit();
+    });
+  }
+  
+  if (elements.spanBurialDepthInput) {
+    elements.spanBurialDepthInput.addEventListener('change', () => {
+      if (!inspectedSpan) return;
+      const value = elements.spanBurialDepthInput.value.trim();
+      const depth = sanitizeBurialDepth(value);
+      if (value !== '' && depth === null) {
+        showToast('⚠️ Burial depth must be between 0 and 20 ft', 'warning', 2000);
+        updateSpanInspectionPanel();
+        return;
+      }
+      inspectedSpan.burialDepth = depth;
+      applySpanEdit();
+    });
+  }
+  
+  if (elements.spanConductorSelect) {
+    elements.spanConductorSelect.addEventListener('change', () => {
+      if (!inspectedSpan) return;
+      inspectedSpan.conductorType = elements.spanConductorSelect.value || null;
+      applySpanEdit();
+    });
+  }
+  
+  if (elements.spanTensionInput) {
+    elements.spanTensionInput.addEventListener('change', () => {
+      if (!inspectedSpan) return;
+      const value = elements.spanTensionInput.value.trim();
+      if (value === '') {
+        inspectedSpan.tension = null;
+      } else {
+        const tension = Number(value);
+        if (!Number.isFinite(tension) || tension <= 0) {
+          showToast('⚠️ Tension must be a positive number of pounds', 'warning', 2000);
+          updateSpanInspectionPanel();
+          return;
+        }
+        inspectedSpan.tension = tension;
+      }
+      applySpanEdit();
+    });
+  }
+  
+  if (elements.spanPhaseCountSelect) {
+    elements.spanPhaseCountSelect.addEventListener('change', () => {
+      if (!inspectedSpan) return;
+      inspectedSpan.phaseCount = Number(elements.spanPhaseCountSelect.value);
+      applySpanEdit();
+    });
+  }
+  
+  if (elements.spanResetButton) {
+    elements.spanResetButton.addEventListener('click', () => {
+      if (!inspectedSpan) return;
+      inspectedSpan.tension = null;
+      inspectedSpan.conductorType = null;
+      applySpanEdit();
+    });
+  }
+  
+  function applySpanEdit() {
+    rebuild();
+    updateCrossarmOrientations();
+    history.captureState();
+  }
+  
+  // Span Inspection Functions
+  function inspectSpan(span) {
+    inspectedSpan = span;
+    closeInspectionPanel();
+    
+    updateSpanInspectionPanel();
+    
+    elements.spanInspectionPanel?.classList.add('active');
+  }
+  
+  function updateSpanInspectionPanel() {
+    if (!inspectedSpan) return;
+    
+    // Undo/redo rebuilds the spans array, so re-find the span by its pole IDs
+    if (!spans.includes(inspectedSpan)) {
+      const { a, b } = inspectedSpan;
+      inspectedSpan = spans.find(s => s.a.id === a.id && s.b.id === b.id) || null;
+      if (!inspectedSpan) {
+        closeSpanInspectionPanel();
+        return;
+      }
+    }
+    
+    const span = inspectedSpan;
+    const { tension, phaseCount, rulingSpan } = getSpanProperties(span);
+    
+    if (elements.spanInspectionTitle) {
+      elements.spanInspectionTitle.textContent = `Span #${span.a.id} – #${span.b.id}`;
+    }
+    
+    const underground = isUndergroundSpan(span);
+    if (elements.spanConstructionSelect) {
+      elements.spanConstructionSelect.value = underground ? UNDERGROUND_SPAN : 'pole';
+    }
+    if (elements.spanBurialDepthRow) {
+      elements.spanBurialDepthRow.style.display = underground ? '' : 'none';
+    }
+    if (elements.spanBurialDepthInput) {
+      elements.spanBurialDepthInput.value = span.burialDepth ?? '';
+      elements.spanBurialDepthInput.placeholder = `${DEFAULT_BURIAL_DEPTH} (default)`;
+    }
+    
+    // Buried cable has no sag to report
+    if (underground) {
+      const cable = undergroundCables.get(span);
+      if (elements.inspectSpanLength) {
+        elements.inspectSpanLength.textContent = `${calculateSpanDistance(span.a, span.b).toFixed(1)} ft`;
+      }
+      if (elements.inspectSpanSag) elements.inspectSpanSag.textContent = '-';
+      if (elements.inspectSpanLowPoint) {
+        elements.inspectSpanLowPoint.textContent = `${span.burialDepth ?? DEFAULT_BURIAL_DEPTH} ft below grade`;
+        elements.inspectSpanLowPoint.style.color = '';
+      }
+      if (elements.inspectSpanArcLength) {
+        elements.inspectSpanArcLength.textContent = cable ? `${cable.length.toFixed(1)} ft of cable` : '-';
+      }
+      if (elements.inspectSpanAngles) elements.inspectSpanAngles.textContent = '-';
+      if (elements.spanCircuitsList) elements.spanCircuitsList.innerHTML = '';
+      return;
+    }
+    
+    // Midspan sag of each circuit's middle phase below the chord between its own
+    // attachment points, measured the same way as the sag overlay
+    const circuits = getSpanCircuits(span).filter(circuit => circuit.attachments.length > 0);
+    const circuitShapes = circuits.map(circuit => {
+      const { lateralOffset, lateralOffsetB, riseA, riseB } = circuit.attachments[Math.floor(circuit.attachments.length / 2)];
+      const tierHeightA = span.a.h + riseA;
+      const tierHeightB = span.b.h + riseB;
+      const geometry = getConductorGeometry({
+        poleA: span.a,
+        poleB: span.b,
+        tension,
+        conductor: circuit.conductor,
+        rulingSpan,
+        samples: 32,
+        lateralOffset,
+        lateralOffsetB,
+        terrainOffsetZ,
+        tierHeightA,
+        tierHeightB,
+        loadingCase: UIState.loadingCase,
+        operatingTemperature: circuit.operatingTemperature
+      });
+      const sagPoint = geometry.points[Math.floor(geometry.points.length / 2)];
+      const chordHeight = (span.a.base + tierHeightA + span.b.base + tierHeightB) / 2;
+      return { ...geometry, label: circuit.circuitA.label, sag: chordHeight - sagPoint.y };
+    });
+    
+    // One line per circuit, labelled when the span strings more than one
+    const showCircuitValues = (element, format) => {
+      if (!element) return [];
+      if (circuitShapes.length === 0) {
+        element.textContent = '-';
+        return [];
+      }
+      const lines = circuitShapes.map(shape => {
+        const line = document.createElement('div');
+        line.textContent = circuitShapes.length > 1 ? `${shape.label}: ${format(shape)}` : format(shape);
+        return line;
+      });
+      element.replaceChildren(...lines);
+      return lines;
+    };
+    
+    if (elements.inspectSpanLength) {
+      elements.inspectSpanLength.textContent = `${calculateSpanDistance(span.a, span.b).toFixed(1)} ft`;
+    }
+    showCircuitValues(elements.inspectSpanSag, ({ sag }) => `${sag.toFixed(2)} ft`);
+    // Off-span vertex means the conductor pulls up on the lower pole
+    showCircuitValues(elements.inspectSpanLowPoint, ({ lowPoint }) => (lowPoint.withinSpan
+      ? `${lowPoint.distance.toFixed(1)} ft from #${span.a.id}`
+      : `Off span (uplift at #${(lowPoint.distance < 0 ? span.a : span.b).id})`
+    )).forEach((line, index) => {
+      line.style.color = circuitShapes[index].lowPoint.withinSpan ? '' : '#ff6b6b';
+    });
+    showCircuitValues(elements.inspectSpanArcLength, ({ arcLength }) => `${arcLength.toFixed(2)} ft`);
+    showCircuitValues(elements.inspectSpanAngles, ({ supportAngles }) => (
+      `#${span.a.id} ${supportAngles.a.toFixed(1)}° / #${span.b.id} ${supportAngles.b.toFixed(1)}°`
+    ));
+    
+    // Conductor options - the blank option follows the scene-wide conductor
+    const conductorSelect = elements.spanConductorSelect;
+    if (conductorSelect) {
+      conductorSelect.innerHTML = '';
+      const defaultOption = document.createElement('option');
+      defaultOption.value = '';
+      defaultOption.textContent = `Scene (${getConductor(UIState.conductorType).name})`;
+      conductorSelect.appendChild(defaultOption);
+      Object.entries(CONDUCTOR_LIBRARY).forEach(([key, libraryConductor]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = libraryConductor.name;
+        conductorSelect.appendChild(option);
+      });
+      conductorSelect.value = span.conductorType || '';
+    }
+    
+    if (elements.spanTensionInput) {
+      elements.spanTensionInput.value = span.tension ?? '';
+      elements.spanTensionInput.placeholder = `${UIState.currentTension} (scene)`;
+    }
+    
+    if (elements.spanPhaseCountSelect) {
+      elements.spanPhaseCountSelect.value = String(phaseCount);
+    }
+    
+    updateSpanCircuitsList(span);
+  }
+  
+  /**
+   * Circuit editors for the inspected span: where each circuit at pole A is
+   * strung to at pole B, its voltage class, conductor and phasing. Any edit
+   * saves every connection on the span, so it stops following the defaults.
+   * @param {Object} span - Entry from the spans array
+   */
+  function updateSpanCircuitsList(span) {
+    const list = elements.spanCircuitsList;
+    if (!list) return;
+    list.innerHTML = '';
+    
+    const { conductorType, phaseCount } = getSpanProperties(span);
+    const circuitsA = getStructureCircuits(getPoleStructure(span.a), phaseCount);
+    const circuitsB = getStructureCircuits(getPoleStructure(span.b), phaseCount);
+    const strung = getSpanCircuits(span);
+    const connections = strung.map(({ from, to, conductorType, equipment, phasing }) => ({ from, to, conductorType, equipment, phasing }));
+    // Circuits the span no longer strings stay listed so they can be strung again
+    (span.circuits || []).filter(connection => connection.to === null).forEach(connection => {
+      if (circuitsA.some(circuit => circuit.id === connection.from)) {
+        connections.push({ ...connection });
+      }
+    });
+    
+    const addSelect = (labelText, options, value, onChange) => {
+      const row = document.createElement('div');
+      row.className = 'inspection-row';
+      const label = document.createElement('span');
+      label.className = 'data-label';
+      label.textContent = labelText;
+      const select = document.createElement('select');
+      options.forEach(([optionValue, text]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = value;
+      select.addEventListener('change', () => onChange(select.value));
+      row.append(label, select);
+      list.appendChild(row);
+    };
+    
+    connections.forEach((connection, index) => {
+      const edit = (changes) => {
+        span.circuits = connections.map((entry, i) => i === index ? { ...entry, ...changes } : { ...entry });
+        applySpanEdit();
+      };
+      const circuit = strung.find(entry => entry.from === connection.from && entry.to === connection.to);
+      const circuitLabel = circuit?.circuitA.label
+        || circuitsA.find(entry => entry.id === connection.from)?.label
+        || connection.from;
+      
+      addSelect(`${circuitLabel} →`, [
+        ...circuitsB.map(entry => [entry.id, `#${span.b.id} ${entry.label}`]),
+        ['', 'Not strung']
+      ], connection.to ?? '', value => edit({ to: value || null }));
+      if (connection.to === null) return;
+      
+      addSelect('Voltage:', [
+        ['', `Circuit (${EQUIPMENT_LABELS[circuit.circuitA.ownVoltage || circuit.circuitB.ownVoltage || UIState.equipmentType]})`],
+        ...Object.keys(EQUIPMENT_COLORS).map(key => [key, EQUIPMENT_LABELS[key] || key])
+      ], connection.equipment || '', value => edit({ equipment: value || null }));
+      addSelect('Conductor:', [
+        ['', `Span (${getConductor(conductorType).name})`],
+        ...Object.entries(CONDUCTOR_LIBRARY).map(([key, libraryConductor]) => [key, libraryConductor.name])
+      ], connection.conductorType || '', value => edit({ conductorType: value || null }));
+      addSelect('Phasing:', PHASINGS.map(phasing => [phasing, phasing]), connection.phasing, value => edit({ phasing: value }));
+    });
+  }
+  
+  function closeSpanInspectionPanel() {
+    inspectedSpan = null;
+    elements.spanInspectionPanel?.classList.remove('active');
+  }
+  
+  /* ------- line profile chart ------- */
+  const PROFILE_MARGIN = { left: 44, right: 12, top: 24, bottom: 22 };
+  
+  /**
+   * Round a chart range to a tick spacing of 1, 2 or 5 times a power of ten
+   * @param {number} range - Axis range
+   * @param {number} count - Rough number of ticks wanted
+   * @returns {number} Tick spacing
+   */
+  function getProfileTickStep(range, count) {
+    const raw = range / count;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const scaled = raw / power;
+    return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power;
+  }
+  
+  function updateProfilePathSelect(paths) {
+    const select = elements.profilePathSelect;
+    if (!select) return;
+    select.innerHTML = '';
+    paths.forEach((path, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      const poleIds = path.poles.map(p => `#${p.id}`);
+      option.textContent = poleIds.length > 3
+        ? `${poleIds[0]} … ${poleIds[poleIds.length - 1]} (${path.spans.length} spans)`
+        : poleIds.join(' – ');
+      select.appendChild(option);
+    });
+    select.value = String(profilePathIndex);
+  }
+  
+  /**
+   * Lay out the selected run for the profile chart: ground, the clearance line
+   * and every conductor at the clearance case, all by station
+   */
+  function updateProfileChart() {
+    if (!UIState.showProfile || !elements.profileCanvas) return;
+    
+    const paths = findLinePaths(getOverheadSpans());
+    profilePathIndex = Math.max(0, Math.min(profilePathIndex, paths.length - 1));
+    updateProfilePathSelect(paths);
+    
+    const path = paths[profilePathIndex];
+    if (!path) {
+      profileView = null;
+      renderProfileChart();
+      return;
+    }
+    
+    const stations = getPathStations(path);
+    const total = stations[stations.length - 1];
+    const ground = sampleGroundProfile(path, stations, hAt, Math.max(0.5, total / 400), terrainOffsetZ);
+    const groundRequirement = getRequiredClearance(clearanceRules, getClearanceContext('ground'));
+    
+    const conductorSpans = path.spans.map(({ span }, index) => {
+      const { tension, conductor, rulingSpan, operatingTemperature } = getSpanProperties(span);
+      const lines = conductorLines.filter(o => o.userData.a === span.a.obj && o.userData.b === span.b.obj);
+      return {
+        hasViolation: lines.some(line => line.userData.hasViolation),
+        curves: lines.map(line => getConductorCurve({
+          poleA: span.a,
+          poleB: span.b,
+          tension,
+          conductor: line.userData.conductor || conductor,
+          rulingSpan,
+          samples: SAMPLES,
+          lateralOffset: line.userData.lateralOffset || 0,
+          lateralOffsetB: line.userData.lateralOffsetB || 0,
+          terrainOffsetZ,
+          tierHeightA: line.userData.tierHeightA ?? null,
+          tierHeightB: line.userData.tierHeightB ?? null,
+          loadingCase: UIState.clearanceCase,
+          operatingTemperature: line.userData.conductor ? line.userData.operatingTemperature : operatingTemperature
+        }).map(point => ({ station: getPointStation(path, stations, index, point, terrainOffsetZ), y: point.y })))
+      };
+    });
+    
+    // Vertical range covers the ground and everything hanging above it
+    const heights = ground.map(sample => sample.elevation);
+    path.poles.forEach(pole => heights.push(getStructureTop(pole)));
+    const minY = Math.min(...heights);
+    const maxY = Math.max(...heights, minY + (groundRequirement ? groundRequirement.required : 0));
+    const padding = Math.max(2, (maxY - minY) * 0.1);
+    
+    profileView = {
+      path,
+      stations,
+      total,
+      ground,
+      groundRequirement,
+      conductorSpans,
+      minY: minY - padding,
+      maxY: maxY + padding,
+      hoverStation: profileView?.path === path ? profileView.hoverStation : null
+    };
+    renderProfileChart();
+  }
+  
+  function renderProfileChart() {
+    const canvas = elements.profileCanvas;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    
+    if (!profileView) {
+      ctx.fillStyle = '#888';
+      ctx.font = '12px Consolas, monospace';
+      ctx.fillText('Connect poles with conductors to see the line profile', PROFILE_MARGIN.left, height / 2);
+      if (elements.profileReadout) elements.profileReadout.textContent = '';
+      return;
+    }
+    
+    const { path, stations, total, ground, groundRequirement, conductorSpans, minY, maxY, hoverStation } = profileView;
+    const plotWidth = width - PROFILE_MARGIN.left - PROFILE_MARGIN.right;
+    const plotHeight = height - PROFILE_MARGIN.top - PROFILE_MARGIN.bottom;
+    const toX = (station) => PROFILE_MARGIN.left + (total > 0 ? station / total : 0) * plotWidth;
+    const toY = (y) => PROFILE_MARGIN.top + (1 - (y - minY) / (maxY - minY)) * plotHeight;
+    
+    // Grid and axis labels
+    ctx.strokeStyle = '#222';
+    ctx.fillStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.font = '10px Consolas, monospace';
+    const stationStep = getProfileTickStep(Math.max(total, 1), 8);
+    for (let station = 0; station <= total; station += stationStep) {
+      ctx.beginPath();
+      ctx.moveTo(toX(station), PROFILE_MARGIN.top);
+      ctx.lineTo(toX(station), height - PROFILE_MARGIN.bottom);
+      ctx.stroke();
+      ctx.fillText(`${station.toFixed(0)}`, toX(station) - 8, height - 8);
+    }
+    const elevationStep = getProfileTickStep(maxY - minY, 5);
+    for (let y = Math.ceil(minY / elevationStep) * elevationStep; y <= maxY; y += elevationStep) {
+      ctx.beginPath();
+      ctx.moveTo(PROFILE_MARGIN.left, toY(y));
+      ctx.lineTo(width - PROFILE_MARGIN.right, toY(y));
+      ctx.stroke();
+      ctx.fillText(`${y.toFixed(0)}`, 4, toY(y) + 3);
+    }
+    
+    // Ground
+    ctx.fillStyle = 'rgba(139, 90, 43, 0.5)';
+    ctx.beginPath();
+    ctx.moveTo(toX(0), height - PROFILE_MARGIN.bottom);
+    ground.forEach(sample => ctx.lineTo(toX(sample.station), toY(sample.elevation)));
+    ctx.lineTo(toX(total), height - PROFILE_MARGIN.bottom);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = '#a0785a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ground.forEach((sample, i) => {
+      if (i === 0) ctx.moveTo(toX(sample.station), toY(sample.elevation));
+      else ctx.lineTo(toX(sample.station), toY(sample.elevation));
+    });
+    ctx.stroke();
+    
+    // Minimum ground clearance from the rule table, following the terrain
+    if (groundRequirement) {
+      ctx.strokeStyle = '#ff6b6b';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ground.forEach((sample, i) => {
+        const y = toY(sample.elevation + groundRequirement.required);
+        if (i === 0) ctx.moveTo(toX(sample.station), y);
+        else ctx.lineTo(toX(sample.station), y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
+    // Conductors at the clearance case
+    conductorSpans.forEach(({ hasViolation, curves }) => {
+      ctx.strokeStyle = hasViolation ? '#ff0000' : '#4ade80';
+      ctx.lineWidth = 1.5;
+      curves.forEach(curve => {
+        ctx.beginPath();
+        curve.forEach((point, i) => {
+          if (i === 0) ctx.moveTo(toX(point.station), toY(point.y));
+          else ctx.lineTo(toX(point.station), toY(point.y));
+        });
+        ctx.stroke();
+      });
+    });
+    
+    // Poles
+    ctx.strokeStyle = '#00ffe7';
+    ctx.fillStyle = '#00ffe7';
+    ctx.lineWidth = 3;
+    ctx.font = 'bold 10px Consolas, monospace';
+    path.poles.forEach((pole, i) => {
+      const x = toX(stations[i]);
+      const top = toY(getStructureTop(pole));
+      ctx.beginPath();
+      ctx.moveTo(x, toY(pole.base));
+      ctx.lineTo(x, top);
+      ctx.stroke();
+      ctx.fillText(`#${pole.id}`, x - 8, top - 4);
+    });
+    
+    // Hover cursor and readout
+    if (hoverStation !== null) {
+      const x = toX(hoverStation);
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, PROFILE_MARGIN.top);
+      ctx.lineTo(x, height - PROFILE_MARGIN.bottom);
+      ctx.stroke();
+    }
+    if (elements.profileReadout) {
+      elements.profileReadout.textContent = hoverStation === null
+        ? 'Hover to locate a station · click to add a pole'
+        : describeProfileStation(hoverStation);
+    }
+  }
+  
+  /**
+   * Ground, lowest conductor and clearance at a station of the profile
+   * @param {number} station - Station (ft)
+   * @returns {string} Readout text
+   */
+  function describeProfileStation(station) {
+    const { path, stations, conductorSpans } = profileView;
+    const { x, z, index } = locateStation(path, stations, station);
+    const groundElevation = hAt(x, z + terrainOffsetZ);
+    
+    // Lowest conductor of the span under the cursor, interpolated between samples
+    let lowest = Infinity;
+    conductorSpans[index].curves.forEach(curve => {
+      for (let i = 0; i < curve.length - 1; i++) {
+        const first = curve[i];
+        const second = curve[i + 1];
+        if (station < Math.min(first.station, second.station) || station > Math.max(first.station, second.station)) continue;
+        const t = second.station !== first.station ? (station - first.station) / (second.station - first.station) : 0;
+        lowest = Math.min(lowest, first.y + (second.y - first.y) * t);
+      }
+    });
+    
+    const clearance = Number.isFinite(lowest) ? ` · Clearance ${(lowest - groundElevation).toFixed(1)} ft` : '';
+    return `Sta ${station.toFixed(1)} ft · Ground ${groundElevation.toFixed(1)} ft${clearance}`;
+  }
+  
+  function getProfileStationFromEvent(event) {
+    const canvas = elements.profileCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+    const plotWidth = canvas.width - PROFILE_MARGIN.left - PROFILE_MARGIN.right;
+    const fraction = (x - PROFILE_MARGIN.left) / plotWidth;
+    if (fraction < 0 || fraction > 1) return null;
+    return fraction * profileView.total;
+  }
+  
+  function updateProfileMarker(station) {
+    clearProfileMarker();
+    if (station === null || !profileView) return;
+    
+    const { x, z } = locateStation(profileView.path, profileView.stations, station);
+    const sceneZ = z + terrainOffsetZ;
+    const ground = hAt(x, sceneZ);
+    profileMarker = new THREE.Group();
+    profileMarker.add(new THREE.Line(createTerrainConformingCircle(x, sceneZ, 1.5, 24), mConductorHalo));
+    profileMarker.add(new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(x, ground, sceneZ), new THREE.Vector3(x, ground + MAXH, sceneZ)]),
+      mConductorHalo
+    ));
+    scene.add(profileMarker);
+  }
+  
+  function clearProfileMarker() {
+    if (!profileMarker) return;
+    profileMarker.children.forEach(line => line.geometry.dispose());
+    scene.remove(profileMarker);
+    profileMarker = null;
+  }
+  
+  if (elements.profileCanvas) {
+    elements.profileCanvas.addEventListener('mousemove', (e) => {
+      if (!profileView) return;
+      profileView.hoverStation = getProfileStationFromEvent(e);
+      renderProfileChart();
+      updateProfileMarker(profileView.hoverStation);
+    });
+    
+    elements.profileCanvas.addEventListener('mouseleave', () => {
+      if (!profileView) return;
+      profileView.hoverStation = null;
+      renderProfileChart();
+      clearProfileMarker();
+    });
+    
+    // Clicking a station adds a pole there at the current pole height, splitting its span
+    elements.profileCanvas.addEventListener('click', (e) => {
+      if (!profileView) return;
+      const station = getProfileStationFromEvent(e);
+      if (station === null) return;
+      const { path, stations } = profileView;
+      const { x, z, index, offset } = locateStation(path, stations, SNAP(station));
+      const spanLength = stations[index + 1] - stations[index];
+      if (offset < 1 || spanLength - offset < 1) {
+        showToast('⚠️ Pick a station between two poles', 'warning', 1500);
+        return;
+      }
+      if (insertPoleInSpan(path.spans[index].span, x, z, UIState.currentHeight)) {
+        showToast(`✅ Added a pole at station ${SNAP(station)} ft`, 'success', 1500);
+      }
+    });
+  }
+  
+  if (elements.profilePathSelect) {
+    elements.profilePathSelect.addEventListener('change', () => {
+      profilePathIndex = Number(elements.profilePathSelect.value) || 0;
+      profileView = null;
+      updateProfileChart();
+    });
+  }
+  
   // Pole Inspection Functions
   function inspectPole(poleObj) {
     const pole = poles.find(p => p.obj === poleObj);
@@ -5113,6 +8080,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Store reference to currently inspected pole for dynamic updates
     inspectedPole = pole;
+    closeSpanInspectionPanel();
     
     // Update the inspection display
     updateInspectionPanel();
@@ -5132,11 +8100,10 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
-    // Get connected spans - check both from spans array and scene objects
-    const sceneSpans = scene.children.filter(o => o.userData.span);
+    // Get connected spans from the drawn conductors
     const connectedSpans = [];
     
-    for (const spanLine of sceneSpans) {
+    for (const spanLine of conductorLines) {
       const spanA = spanLine.userData.a;
       const spanB = spanLine.userData.b;
       
@@ -5180,50 +8147,31 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   function calculateConductorAngle(pole, otherPole) {
-    // Get conductor curve points using the same logic as drawSpan
-    const tensionFactor = (UIState.currentTension - 500) / (5000 - 500) * (5.0 - 0.2) + 0.2;
-    
-    const curvePoints = getConductorCurve({
-      poleA: pole.x < otherPole.x ? pole : otherPole,
-      poleB: pole.x < otherPole.x ? otherPole : pole,
-      tension: tensionFactor,
+    const { tension, conductor, rulingSpan, operatingTemperature } = getSpanProperties(findSpan(pole, otherPole));
+    
+    // Solve the center conductor from this pole's side so support angle 'a' is its departure angle
+    const { points, supportAngles, lowPoint, arcLength } = getConductorGeometry({
+      poleA: pole,
+      poleB: otherPole,
+      tension,
+      conductor,
+      rulingSpan,
       samples: SAMPLES,
       lateralOffset: 0, // Use center conductor for angle calculation
-      terrainOffsetZ
+      terrainOffsetZ,
+      loadingCase: UIState.loadingCase,
+      operatingTemperature
     });
     
-    // Determine if we're looking from pole's perspective
-    const isPoleA = pole.x < otherPole.x;
-    
-    // Use a point that's ~10% along the span for better angle measurement
-    // This captures the initial departure angle more accurately
-    const sampleIndex = Math.floor(curvePoints.length * 0.1);
-    const minIndex = Math.max(3, sampleIndex); // At least use index 3
-    
-    // Get the first few points from the pole to calculate departure angle
-    let point1, point2;
-    if (isPoleA) {
-      point1 = curvePoints[0];
-      point2 = curvePoints[minIndex];
-    } else {
-      point1 = curvePoints[curvePoints.length - 1];
-      point2 = curvePoints[curvePoints.length - 1 - minIndex];
-    }
-    
-    // Calculate angle from horizontal
-    const dx = Math.abs(point2.x - point1.x);
-    const dz = Math.abs(point2.z - point1.z);
-    const horizontalDist = Math.sqrt(dx * dx + dz * dz);
-    const dy = point2.y - point1.y;
-    
     // Angle from horizontal (negative means downward)
-    const angleRad = Math.atan2(dy, horizontalDist);
-    const angleDeg = angleRad * (180 / Math.PI);
+    const angleDeg = supportAngles.a;
     
     return {
       degrees: angleDeg,
-      radians: angleRad,
-      sag: Math.min(...curvePoints.map(p => p.y)) // Minimum y is the lowest point
+      radians: angleDeg * (Math.PI / 180),
+      sag: Math.min(...points.map(p => p.y)), // Minimum y is the lowest point
+      lowPoint,
+      arcLength
     };
   }
   
@@ -5232,6 +8180,108 @@ document.addEventListener('DOMContentLoaded', () => {
     elements.inspectPosition.textContent = `(${pole.x.toFixed(1)}, ${pole.z.toFixed(1)})`;
     elements.inspectHeight.textContent = `${pole.h.toFixed(1)} ft`;
     elements.inspectBase.textContent = `${pole.base.toFixed(1)} ft`;
+    if (elements.inspectDeadEnd) {
+      elements.inspectDeadEnd.checked = Boolean(pole.deadEnd);
+    }
+    if (elements.inspectGuy) {
+      const guy = poleGuys.get(pole);
+      elements.inspectGuy.textContent = guy ? describeGuy(guy) : 'None needed';
+      elements.inspectGuy.style.color = guy && (!guy.ok || guy.obstacles.length > 0) ? '#ff6b6b' : '';
+    }
+    // Framing options - the blank option follows the line angle
+    const framingSelect = elements.inspectFramingSelect;
+    if (framingSelect) {
+      const framed = Boolean(getStructure(getPoleStructureId(pole)).framed);
+      framingSelect.innerHTML = '';
+      const autoOption = document.createElement('option');
+      autoOption.value = '';
+      autoOption.textContent = `Auto (${getFraming(poleFramings.get(pole)).label})`;
+      framingSelect.appendChild(autoOption);
+      Object.entries(FRAMING_TYPES).forEach(([key, framing]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = framing.label;
+        framingSelect.appendChild(option);
+      });
+      framingSelect.value = pole.framing || '';
+      framingSelect.disabled = !framed;
+    }
+    const poleClassSelect = elements.inspectPoleClassSelect;
+    if (poleClassSelect) {
+      if (poleClassSelect.options.length === 0) {
+        Object.entries(POLE_CLASSES).forEach(([key, poleClass]) => {
+          const option = document.createElement('option');
+          option.value = key;
+          option.textContent = poleClass.label;
+          poleClassSelect.appendChild(option);
+        });
+      }
+      poleClassSelect.value = getPoleClassId(pole);
+      // Towers aren't rated by pole class
+      poleClassSelect.disabled = Boolean(pole.isTower);
+    }
+    const equipmentSelect = elements.inspectEquipmentSelect;
+    if (equipmentSelect && equipmentSelect.options.length === 0) {
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Add...';
+      equipmentSelect.appendChild(placeholder);
+      Object.entries(EQUIPMENT_TYPES).forEach(([key, equipment]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = equipment.label;
+        equipmentSelect.appendChild(option);
+      });
+    }
+    const equipmentList = elements.inspectEquipmentList;
+    if (equipmentList) {
+      equipmentList.innerHTML = '';
+      (poleEquipment.get(pole) || []).forEach((hung, index) => {
+        const row = document.createElement('div');
+        row.className = 'inspection-row';
+        const label = document.createElement('span');
+        label.className = 'data-label';
+        label.textContent = hung.equipment.label;
+        const value = document.createElement('span');
+        value.className = 'data-value';
+        value.textContent = describeEquipment(hung);
+        const remove = document.createElement('button');
+        remove.className = 'equipment-remove';
+        remove.textContent = '×';
+        remove.title = `Remove ${hung.equipment.label.toLowerCase()}`;
+        remove.addEventListener('click', () => {
+          pole.equipment.splice(index, 1);
+          rebuild();
+          history.captureState();
+        });
+        value.appendChild(remove);
+        row.append(label, value);
+        equipmentList.appendChild(row);
+      });
+    }
+    if (elements.inspectPoleLoading) {
+      const loading = poleLoadings.get(pole);
+      if (!loading) {
+        elements.inspectPoleLoading.textContent = '-';
+        elements.inspectPoleLoading.style.color = '';
+      } else {
+        elements.inspectPoleLoading.textContent = `${loading.overstressed ? '⚠️ ' : ''}${describePoleLoading(loading)}`;
+        elements.inspectPoleLoading.style.color = loading.overstressed ? '#ff6b6b' : '';
+      }
+    }
+    if (elements.inspectUplift) {
+      const verticalLoad = poleVerticalLoads.get(pole);
+      if (verticalLoad === undefined) {
+        elements.inspectUplift.textContent = '-';
+        elements.inspectUplift.style.color = '';
+      } else if (verticalLoad < 0) {
+        elements.inspectUplift.textContent = `⚠️ ${Math.abs(verticalLoad).toFixed(0)} lbs up`;
+        elements.inspectUplift.style.color = '#ff6b6b';
+      } else {
+        elements.inspectUplift.textContent = `OK (${verticalLoad.toFixed(0)} lbs down)`;
+        elements.inspectUplift.style.color = '';
+      }
+    }
     
     // Update pole ID in diagram title with connection count
     const diagramTitle = document.getElementById('inspectionPoleTitle');
@@ -2,7 +2,7 @@ const THREE = window.THREE;
 
 export let terrainOffsetZ = 0;
 
-export function buildTerrain(scene, urlParams, customPoles, terrainSel, environmentSel, SEG, hAt, addGridLines, addDefaultTrees, updateEnvironment, elevationPoints = [], terrainWidth = 20) {
+export function buildTerrain(scene, urlParams, customPoles, terrainSel, environmentSel, SEG, hAt, addGridLines, addDefaultTrees, updateEnvironment, elevationPoints = [], terrainWidth = 20, extent = null) {
   let terrain = null;
 
   if (window.terrain) {
@@ -18,8 +18,9 @@ export function buildTerrain(scene, urlParams, customPoles, terrainSel, environm
   const maxPoleDistance = customPoles.length > 0 ? Math.max(...customPoles.map((p) => p.z)) : 0;
   const maxElevationDistance = elevationPoints.length > 0 ? Math.max(...elevationPoints.map((p) => p.z)) : 0;
 
-  const finalTerrainWidth = gridSizeX;
-  const terrainDepth = Math.max(gridSizeY, maxPoleDistance + 40, maxElevationDistance + 40);
+  // A DEM surface sets its own extent
+  const finalTerrainWidth = extent ? extent.width : gridSizeX;
+  const terrainDepth = extent ? extent.depth : Math.max(gridSizeY, maxPoleDistance + 40, maxElevationDistance + 40);
   terrainOffsetZ = 0;
 
   const geometry = new THREE.PlaneGeometry(finalTerrainWidth, terrainDepth, SEG, SEG);
@@ -39,7 +40,7 @@ export function buildTerrain(scene, urlParams, customPoles, terrainSel, environm
     const x = positions.getX(i);
     const localZ = positions.getZ(i);
     const worldZ = localZ + terrain.position.z;
-    const elevation = (customPoles.length > 0 || elevationPoints.length > 0) ? hAt(x, worldZ) : 0;
+    const elevation = (extent || customPoles.length > 0 || elevationPoints.length > 0) ? hAt(x, worldZ) : 0;
     positions.setY(i, elevation);
   }
 
@@ -1,20 +1,39 @@
-import { CONSTANTS } from './config.js';
+import { CONSTANTS, EQUIPMENT_COLORS, ENVIRONMENT_COLORS } from './config.js';
+import { LOADING_CASES } from '../utils/catenary.js';
+import { CONDUCTOR_LIBRARY, DEFAULT_CONDUCTOR_ID } from '../utils/conductors.js';
+import { STRUCTURE_TYPES, DEFAULT_STRUCTURE, DEFAULT_TOWER_STRUCTURE, isTowerStructure } from '../utils/structures.js';
+import { UNDERBUILD_TYPES, getDefaultUnderbuildSettings } from '../utils/underbuild.js';
 
 export const UIState = {
   currentHeight: 20,
   currentTension: 2000, // Changed to pounds
+  conductorType: DEFAULT_CONDUCTOR_ID, // Key into CONDUCTOR_LIBRARY
+  loadingCase: 'everyday', // Weather case used to draw conductor sag
+  clearanceCase: 'hot', // Weather case used for clearance checks (worst-case hot sag)
   showGrid: true,
   showGridLabels: false,
-  clearanceThreshold: 15,
+  equipmentType: 'distribution', // Key into EQUIPMENT_COLORS; picks the voltage class of the clearance rules
+  environment: 'default', // Key into ENVIRONMENT_COLORS; picks environment modifiers of the clearance rules
+  phaseClearance: 1, // Minimum distance (ft) between conductors of a span, at rest or with one blown out
+  underbuild: getDefaultUnderbuildSettings(), // Key into UNDERBUILD_TYPES -> {enabled, drop below the lowest primary (ft)}
+  lineCurrent: 0, // Line current (A) that sets the hot-case conductor temperature; 0 keeps the fixed maximum
+  ambientTemperature: 104, // Thermal rating weather: air temperature (°F)
+  ambientWindSpeed: 2, // Thermal rating weather: wind speed (ft/s)
+  solarRadiation: 1000, // Thermal rating weather: sun (W/m²)
   showPoleHeightLabels: false,
   showSagCalculations: false,
   showClearanceBuffers: false,
+  showBlowoutEnvelope: false,
+  showClearanceResults: false, // Docked list of every span and pole graded by its worst clearance
+  showProfile: false, // Plan-and-profile chart of a run of spans
   // Challenge mode state
   challengeMode: false,
   challengeBudget: 5500, // Default fallback; actual budget is calculated based on distance in enterChallengeMode()
   challengeSpent: 0,
   costPerPole: 1500,
   costPerFoot: 10,
+  costPerGuy: 250, // Down-guy and anchor
+  costPerCableFoot: 40, // Underground cable, trenched and in conduit
   maxSpanLength: 40, // Maximum distance between poles in challenge mode
   // Tool state
   activeTool: 'both', // 'pole', 'conductor', 'both', 'eraser', or 'inspect'
@@ -23,36 +42,81 @@ export const UIState = {
   eraserToolActive: false,
   inspectToolActive: false,
   towerMode: false, // Whether to use transmission towers instead of poles
+  structureType: DEFAULT_STRUCTURE, // Key into STRUCTURE_TYPES for new poles
   // Conductor drawing state
   conductorStartPole: null, // First pole selected for conductor drawing
   conductorHoverPole: null  // Pole being hovered over during conductor drawing
 };
 
+// Display names for the equipment types in EQUIPMENT_COLORS
+export const EQUIPMENT_LABELS = {
+  distribution: 'Distribution',
+  subTransmission: 'Sub-transmission',
+  bulkTransmission: 'Bulk transmission',
+  generation: 'Generation'
+};
+
 export const elements = {
   get slider() { return document.getElementById('heightSlider'); },
   get heightLabel() { return document.getElementById('heightLabel'); },
   // get terrainSelect() { return document.getElementById('terrainSelect'); },
   get tensionSlider() { return document.getElementById('tensionSlider'); },
   get tensionLabel() { return document.getElementById('tensionLabel'); },
+  get conductorSelect() { return document.getElementById('conductorSelect'); },
+  get loadingCaseSelect() { return document.getElementById('loadingCaseSelect'); },
+  get clearanceCaseSelect() { return document.getElementById('clearanceCaseSelect'); },
+  get strainSectionSummary() { return document.getElementById('strainSectionSummary'); },
+  get lineCurrentSlider() { return document.getElementById('lineCurrentSlider'); },
+  get lineCurrentLabel() { return document.getElementById('lineCurrentLabel'); },
+  get ambientTemperatureSlider() { return document.getElementById('ambientTemperatureSlider'); },
+  get ambientTemperatureLabel() { return document.getElementById('ambientTemperatureLabel'); },
+  get ambientWindSpeedSlider() { return document.getElementById('ambientWindSpeedSlider'); },
+  get ambientWindSpeedLabel() { return document.getElementById('ambientWindSpeedLabel'); },
+  get solarRadiationSlider() { return document.getElementById('solarRadiationSlider'); },
+  get solarRadiationLabel() { return document.getElementById('solarRadiationLabel'); },
+  get thermalRatingSummary() { return document.getElementById('thermalRatingSummary'); },
   get clearButton() { return document.getElementById('clearScene'); },
   get showGridCheck() { return document.getElementById('showGridCheck'); },
   get showGridLabelsCheck() { return document.getElementById('showGridLabelsCheck'); },
   get randomButton() { return document.getElementById('randomScenario'); },
-  get clearanceThreshold() { return document.getElementById('clearanceThreshold'); },
-  get clearanceLabel() { return document.getElementById('clearanceLabel'); },
+  get equipmentSelect() { return document.getElementById('equipmentSelect'); },
+  get environmentSelect() { return document.getElementById('environmentSelect'); },
+  get clearanceRulesName() { return document.getElementById('clearanceRulesName'); },
+  get loadClearanceRules() { return document.getElementById('loadClearanceRules'); },
+  get downloadClearanceRules() { return document.getElementById('downloadClearanceRules'); },
+  get resetClearanceRules() { return document.getElementById('resetClearanceRules'); },
+  get phaseClearance() { return document.getElementById('phaseClearance'); },
+  get phaseClearanceLabel() { return document.getElementById('phaseClearanceLabel'); },
   get clearanceWarning() { return document.getElementById('clearanceWarning'); },
   get showPoleHeightLabels() { return document.getElementById('showPoleHeightLabels'); },
   get copyLink() { return document.getElementById('copyLink'); },
   get copyLinkToast() { return document.getElementById('copyLinkToast'); },
   get downloadJSON() { return document.getElementById('downloadJSON'); },
+  get exportSagTensionCSV() { return document.getElementById('exportSagTensionCSV'); },
+  get exportStringingChart() { return document.getElementById('exportStringingChart'); },
   get importJSON() { return document.getElementById('importJSON'); },
   get importGIS() { return document.getElementById('importGIS'); },
   get importElevation() { return document.getElementById('importElevation'); },
+  get importDEM() { return document.getElementById('importDEM'); },
   get hudToggle() { return document.getElementById('hudToggle'); },
   get hudContent() { return document.getElementById('hudContent'); },
   get hudCollapseBtn() { return document.getElementById('hudCollapseBtn'); },
   get showSagCalculations() { return document.getElementById('showSagCalculations'); },
   get showClearanceBuffers() { return document.getElementById('showClearanceBuffers'); },
+  get showBlowoutEnvelope() { return document.getElementById('showBlowoutEnvelope'); },
+  get showClearanceResults() { return document.getElementById('showClearanceResults'); },
+  get showProfile() { return document.getElementById('showProfile'); },
+  get profilePanel() { return document.getElementById('profilePanel'); },
+  get profileCanvas() { return document.getElementById('profileCanvas'); },
+  get profilePathSelect() { return document.getElementById('profilePathSelect'); },
+  get profileReadout() { return document.getElementById('profileReadout'); },
+  get closeProfile() { return document.getElementById('closeProfile'); },
+  get clearanceResultsPanel() { return document.getElementById('clearanceResultsPanel'); },
+  get clearanceResultsList() { return document.getElementById('clearanceResultsList'); },
+  get clearanceResultsCounts() { return document.getElementById('clearanceResultsCounts'); },
+  get closeClearanceResults() { return document.getElementById('closeClearanceResults'); },
+  get copyClearanceSummary() { return document.getElementById('copyClearanceSummary'); },
+  get exportClearanceResultsCSV() { return document.getElementById('exportClearanceResultsCSV'); },
   get undoButton() { return document.getElementById('undoButton'); },
   get redoButton() { return document.getElementById('redoButton'); },
   // Challenge mode elements
@@ -64,6 +128,7 @@ export const elements = {
   get challengeSpent() { return document.getElementById('challengeSpent'); },
   get challengeRemaining() { return document.getElementById('challengeRemaining'); },
   get challengePoles() { return document.getElementById('challengePoles'); },
+  get challengeGuys() { return document.getElementById('challengeGuys'); },
   get checkSolution() { return document.getElementById('checkSolution'); },
   get resetChallenge() { return document.getElementById('resetChallenge'); },
   // Tool panel elements
@@ -79,13 +144,40 @@ export const elements = {
   get inspectPosition() { return document.getElementById('inspectPosition'); },
   get inspectHeight() { return document.getElementById('inspectHeight'); },
   get inspectBase() { return document.getElementById('inspectBase'); },
+  get inspectDeadEnd() { return document.getElementById('inspectDeadEnd'); },
+  get inspectFramingSelect() { return document.getElementById('inspectFramingSelect'); },
+  get inspectGuy() { return document.getElementById('inspectGuy'); },
+  get inspectPoleClassSelect() { return document.getElementById('inspectPoleClassSelect'); },
+  get inspectPoleLoading() { return document.getElementById('inspectPoleLoading'); },
+  get inspectEquipmentSelect() { return document.getElementById('inspectEquipmentSelect'); },
+  get inspectEquipmentList() { return document.getElementById('inspectEquipmentList'); },
+  get inspectUplift() { return document.getElementById('inspectUplift'); },
   get inspectLeftAngle() { return document.getElementById('inspectLeftAngle'); },
   get inspectRightAngle() { return document.getElementById('inspectRightAngle'); },
   get inspectUpstreamDistance() { return document.getElementById('inspectUpstreamDistance'); },
   get inspectDownstreamDistance() { return document.getElementById('inspectDownstreamDistance'); },
+  // Span inspection panel elements
+  get spanInspectionPanel() { return document.getElementById('spanInspectionPanel'); },
+  get closeSpanInspection() { return document.getElementById('closeSpanInspection'); },
+  get spanInspectionTitle() { return document.getElementById('spanInspectionTitle'); },
+  get inspectSpanLength() { return document.getElementById('inspectSpanLength'); },
+  get inspectSpanSag() { return document.getElementById('inspectSpanSag'); },
+  get inspectSpanLowPoint() { return document.getElementById('inspectSpanLowPoint'); },
+  get inspectSpanArcLength() { return document.getElementById('inspectSpanArcLength'); },
+  get inspectSpanAngles() { return document.getElementById('inspectSpanAngles'); },
+  get spanConstructionSelect() { return document.getElementById('spanConstructionSelect'); },
+  get spanBurialDepthRow() { return document.getElementById('spanBurialDepthRow'); },
+  get spanBurialDepthInput() { return document.getElementById('spanBurialDepthInput'); },
+  get spanConductorSelect() { return document.getElementById('spanConductorSelect'); },
+  get spanTensionInput() { return document.getElementById('spanTensionInput'); },
+  get spanPhaseCountSelect() { return document.getElementById('spanPhaseCountSelect'); },
+  get spanResetButton() { return document.getElementById('spanResetButton'); },
+  get spanCircuitsList() { return document.getElementById('spanCircuitsList'); },
   get towerModeSlider() { return document.getElementById('towerModeSlider'); },
   get towerModeToggleButton() { return document.getElementById('towerModeToggleButton'); },
-  get towerModeToggle() { return document.getElementById('towerModeToggle'); }
+  get towerModeToggle() { return document.getElementById('towerModeToggle'); },
+  get underbuildControls() { return document.getElementById('underbuildControls'); },
+  get structureSelect() { return document.getElementById('structureSelect'); }
 };
 
 export function initUI() {
@@ -99,6 +191,41 @@ export function initUI() {
     elements.tensionLabel.textContent = `${UIState.currentTension} lbs`;
   }
 
+  // Populate conductor dropdown from the conductor library
+  if (elements.conductorSelect) {
+    elements.conductorSelect.innerHTML = '';
+    Object.entries(CONDUCTOR_LIBRARY).forEach(([key, conductor]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = conductor.name;
+      elements.conductorSelect.appendChild(option);
+    });
+    elements.conductorSelect.value = UIState.conductorType;
+  }
+
+  // Populate loading case dropdowns from the catenary module's case table
+  [elements.loadingCaseSelect, elements.clearanceCaseSelect].forEach(select => {
+    if (!select) return;
+    select.innerHTML = '';
+    Object.entries(LOADING_CASES).forEach(([key, loadingCase]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = loadingCase.label;
+      select.appendChild(option);
+    });
+  });
+
+  if (elements.loadingCaseSelect) {
+    elements.loadingCaseSelect.value = UIState.loadingCase;
+  }
+
+  if (elements.clearanceCaseSelect) {
+    elements.clearanceCaseSelect.value = UIState.clearanceCase;
+  }
+
+  updateStructureOptions();
+  updateUnderbuildControls();
+
   if (elements.showGridCheck) {
     UIState.showGrid = Boolean(elements.showGridCheck.checked);
   }
@@ -107,9 +234,32 @@ export function initUI() {
     UIState.showGridLabels = Boolean(elements.showGridLabelsCheck.checked);
   }
 
-  if (elements.clearanceThreshold) {
-    UIState.clearanceThreshold = Number(elements.clearanceThreshold.value);
-    elements.clearanceLabel.textContent = UIState.clearanceThreshold;
+  // Populate the clearance rule selectors from the equipment and environment tables
+  if (elements.equipmentSelect) {
+    elements.equipmentSelect.innerHTML = '';
+    Object.keys(EQUIPMENT_COLORS).forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = EQUIPMENT_LABELS[key] || key;
+      elements.equipmentSelect.appendChild(option);
+    });
+    elements.equipmentSelect.value = UIState.equipmentType;
+  }
+
+  if (elements.environmentSelect) {
+    elements.environmentSelect.innerHTML = '';
+    Object.keys(ENVIRONMENT_COLORS).forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+      elements.environmentSelect.appendChild(option);
+    });
+    elements.environmentSelect.value = UIState.environment;
+  }
+
+  if (elements.phaseClearance) {
+    UIState.phaseClearance = Number(elements.phaseClearance.value);
+    elements.phaseClearanceLabel.textContent = UIState.phaseClearance;
   }
 
   if (elements.showPoleHeightLabels) {
@@ -123,6 +273,78 @@ export function initUI() {
   return { elements };
 }
 
+/**
+ * Fill the structure dropdown from STRUCTURE_TYPES, e.g. after a scene file
+ * adds its own definitions
+ */
+export function updateStructureOptions() {
+  if (!elements.structureSelect) return;
+  elements.structureSelect.innerHTML = '';
+  Object.entries(STRUCTURE_TYPES).forEach(([key, structure]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = structure.label || key;
+    elements.structureSelect.appendChild(option);
+  });
+  elements.structureSelect.value = UIState.structureType;
+}
+
+/**
+ * Build the underbuild toggles and drop sliders from UNDERBUILD_TYPES on first
+ * use, then show UIState.underbuild in them
+ */
+export function updateUnderbuildControls() {
+  const container = elements.underbuildControls;
+  if (!container) return;
+  if (container.children.length === 0) {
+    Object.entries(UNDERBUILD_TYPES).forEach(([key, type]) => {
+      const group = document.createElement('div');
+      group.className = 'control-group';
+      group.innerHTML = `
+        <label><input type="checkbox" data-underbuild="${key}" data-field="enabled" /> ${type.label}</label>
+        <div class="slider-with-value">
+          <input type="range" min="1" max="15" step="0.5" data-underbuild="${key}" data-field="drop" />
+          <span data-underbuild-label="${key}"></span> ft below primary
+        </div>`;
+      container.appendChild(group);
+    });
+  }
+  Object.entries(UIState.underbuild).forEach(([key, setting]) => {
+    const toggle = container.querySelector(`[data-underbuild="${key}"][data-field="enabled"]`);
+    const slider = container.querySelector(`[data-underbuild="${key}"][data-field="drop"]`);
+    const label = container.querySelector(`[data-underbuild-label="${key}"]`);
+    if (toggle) toggle.checked = setting.enabled;
+    if (slider) slider.value = setting.drop;
+    if (label) label.textContent = setting.drop;
+  });
+}
+
+/**
+ * Show the distribution/transmission slider and pole tool icon for UIState.towerMode
+ */
+function updateTowerModeToggle() {
+  // Update slider button position
+  const button = elements.towerModeToggleButton;
+  if (button) {
+    button.style.left = UIState.towerMode ? '20px' : '2px';
+  }
+  
+  // Update slider background
+  const slider = elements.towerModeSlider;
+  if (slider) {
+    slider.style.background = UIState.towerMode ? 'rgba(115, 194, 251, 0.5)' : 'rgba(115, 194, 251, 0.2)';
+  }
+  
+  // Update the pole tool icon
+  const poleTool = elements.poleTool;
+  if (poleTool) {
+    const icon = poleTool.querySelector('.tool-icon');
+    if (icon) {
+      icon.textContent = UIState.towerMode ? '🗼' : '🏗️';
+    }
+  }
+}
+
 export function setupUI(callbacks, dependencies) {
   const {
     updateGhost,
@@ -138,9 +360,20 @@ export function setupUI(callbacks, dependencies) {
     updateSagCalculations,
     copyScenarioLink,
     exportScene,
+    exportSagTensionCSV,
+    exportStringingChart,
+    copyClearanceSummary,
+    exportClearanceResultsCSV,
+    clearClearanceFocus,
+    updateProfileChart,
+    clearProfileMarker,
+    handleClearanceRulesImport,
+    exportClearanceRules,
+    resetClearanceRules,
     handleFileImport,
     handleGISImport,
     handleElevationProfileImport,
+    handleDemImport,
     undoHistory,
     redoHistory,
     enterChallengeMode,
@@ -184,6 +417,77 @@ export function setupUI(callbacks, dependencies) {
 
 
 
+  if (elements.conductorSelect) {
+    elements.conductorSelect.onchange = () => {
+      UIState.conductorType = elements.conductorSelect.value;
+      rebuild();
+    };
+  }
+
+  if (elements.loadingCaseSelect) {
+    elements.loadingCaseSelect.onchange = () => {
+      UIState.loadingCase = elements.loadingCaseSelect.value;
+      rebuild();
+    };
+  }
+
+  // One handler for every underbuild toggle and drop slider
+  if (elements.underbuildControls) {
+    elements.underbuildControls.oninput = (event) => {
+      const { underbuild: key, field } = event.target.dataset;
+      const setting = UIState.underbuild[key];
+      if (!setting) return;
+      if (field === 'enabled') {
+        setting.enabled = event.target.checked;
+      } else {
+        setting.drop = Number(event.target.value);
+      }
+      updateUnderbuildControls();
+      rebuild();
+    };
+  }
+
+  if (elements.lineCurrentSlider) {
+    elements.lineCurrentSlider.oninput = () => {
+      UIState.lineCurrent = Number(elements.lineCurrentSlider.value);
+      elements.lineCurrentLabel.textContent = UIState.lineCurrent;
+      rebuild();
+    };
+  }
+
+  if (elements.ambientTemperatureSlider) {
+    elements.ambientTemperatureSlider.oninput = () => {
+      UIState.ambientTemperature = Number(elements.ambientTemperatureSlider.value);
+      elements.ambientTemperatureLabel.textContent = UIState.ambientTemperature;
+      rebuild();
+    };
+  }
+
+  if (elements.ambientWindSpeedSlider) {
+    elements.ambientWindSpeedSlider.oninput = () => {
+      UIState.ambientWindSpeed = Number(elements.ambientWindSpeedSlider.value);
+      elements.ambientWindSpeedLabel.textContent = UIState.ambientWindSpeed;
+      rebuild();
+    };
+  }
+
+  if (elements.solarRadiationSlider) {
+    elements.solarRadiationSlider.oninput = () => {
+      UIState.solarRadiation = Number(elements.solarRadiationSlider.value);
+      elements.solarRadiationLabel.textContent = UIState.solarRadiation;
+      rebuild();
+    };
+  }
+
+  if (elements.clearanceCaseSelect) {
+    elements.clearanceCaseSelect.onchange = () => {
+      UIState.clearanceCase = elements.clearanceCaseSelect.value;
+      if (checkClearances) {
+        checkClearances();
+      }
+    };
+  }
+
   if (elements.showGridCheck) {
     elements.showGridCheck.onchange = () => {
       UIState.showGrid = Boolean(elements.showGridCheck.checked);
@@ -214,6 +518,14 @@ export function setupUI(callbacks, dependencies) {
     elements.downloadJSON.onclick = exportScene;
   }
 
+  if (elements.exportSagTensionCSV) {
+    elements.exportSagTensionCSV.onclick = exportSagTensionCSV;
+  }
+
+  if (elements.exportStringingChart) {
+    elements.exportStringingChart.onclick = exportStringingChart;
+  }
+
   if (elements.importJSON) {
     elements.importJSON.onclick = handleFileImport;
   }
@@ -226,10 +538,45 @@ export function setupUI(callbacks, dependencies) {
     elements.importElevation.onclick = handleElevationProfileImport;
   }
 
-  if (elements.clearanceThreshold) {
-    elements.clearanceThreshold.oninput = () => {
-      UIState.clearanceThreshold = Number(elements.clearanceThreshold.value);
-      elements.clearanceLabel.textContent = UIState.clearanceThreshold;
+  if (elements.importDEM) {
+    elements.importDEM.onclick = handleDemImport;
+  }
+
+  if (elements.equipmentSelect) {
+    elements.equipmentSelect.onchange = () => {
+      UIState.equipmentType = elements.equipmentSelect.value;
+      updateSceneElements();
+      if (checkClearances) {
+        checkClearances();
+      }
+    };
+  }
+
+  if (elements.environmentSelect) {
+    elements.environmentSelect.onchange = () => {
+      UIState.environment = elements.environmentSelect.value;
+      if (checkClearances) {
+        checkClearances();
+      }
+    };
+  }
+
+  if (elements.loadClearanceRules) {
+    elements.loadClearanceRules.onclick = handleClearanceRulesImport;
+  }
+
+  if (elements.downloadClearanceRules) {
+    elements.downloadClearanceRules.onclick = exportClearanceRules;
+  }
+
+  if (elements.resetClearanceRules) {
+    elements.resetClearanceRules.onclick = resetClearanceRules;
+  }
+
+  if (elements.phaseClearance) {
+    elements.phaseClearance.oninput = () => {
+      UIState.phaseClearance = Number(elements.phaseClearance.value);
+      elements.phaseClearanceLabel.textContent = UIState.phaseClearance;
       if (checkClearances) {
         checkClearances();
       }
@@ -263,36 +610,89 @@ export function setupUI(callbacks, dependencies) {
     };
   }
 
+  if (elements.showBlowoutEnvelope) {
+    elements.showBlowoutEnvelope.onchange = () => {
+      UIState.showBlowoutEnvelope = Boolean(elements.showBlowoutEnvelope.checked);
+      if (checkClearances) {
+        checkClearances();
+      }
+    };
+  }
+
+  if (elements.showClearanceResults) {
+    elements.showClearanceResults.onchange = () => {
+      UIState.showClearanceResults = Boolean(elements.showClearanceResults.checked);
+      elements.clearanceResultsPanel?.classList.toggle('active', UIState.showClearanceResults);
+      if (!UIState.showClearanceResults) {
+        clearClearanceFocus();
+      }
+    };
+  }
+
+  if (elements.closeClearanceResults) {
+    elements.closeClearanceResults.onclick = () => {
+      UIState.showClearanceResults = false;
+      if (elements.showClearanceResults) {
+        elements.showClearanceResults.checked = false;
+      }
+      elements.clearanceResultsPanel?.classList.remove('active');
+      clearClearanceFocus();
+    };
+  }
+
+  if (elements.showProfile) {
+    elements.showProfile.onchange = () => {
+      UIState.showProfile = Boolean(elements.showProfile.checked);
+      elements.profilePanel?.classList.toggle('active', UIState.showProfile);
+      if (UIState.showProfile) {
+        updateProfileChart();
+      } else {
+        clearProfileMarker();
+      }
+    };
+  }
+
+  if (elements.closeProfile) {
+    elements.closeProfile.onclick = () => {
+      UIState.showProfile = false;
+      if (elements.showProfile) {
+        elements.showProfile.checked = false;
+      }
+      elements.profilePanel?.classList.remove('active');
+      clearProfileMarker();
+    };
+  }
+
+  if (elements.copyClearanceSummary) {
+    elements.copyClearanceSummary.onclick = copyClearanceSummary;
+  }
+
+  if (elements.exportClearanceResultsCSV) {
+    elements.exportClearanceResultsCSV.onclick = exportClearanceResultsCSV;
+  }
+
   if (elements.towerModeSlider) {
     elements.towerModeSlider.addEventListener('click', () => {
       UIState.towerMode = !UIState.towerMode;
-      
-      // Update slider button position
-      const button = elements.towerModeToggleButton;
-      if (button) {
-        button.style.left = UIState.towerMode ? '20px' : '2px';
-      }
-      
-      // Update slider background
-      const slider = elements.towerModeSlider;
-      if (slider) {
-        slider.style.background = UIState.towerMode ? 'rgba(115, 194, 251, 0.5)' : 'rgba(115, 194, 251, 0.2)';
-      }
-      
-      // Update the pole tool icon
-      const poleTool = elements.poleTool;
-      if (poleTool) {
-        const icon = poleTool.querySelector('.tool-icon');
-        if (icon) {
-          icon.textContent = UIState.towerMode ? '🗼' : '🏗️';
-        }
+      UIState.structureType = UIState.towerMode ? DEFAULT_TOWER_STRUCTURE : DEFAULT_STRUCTURE;
+      if (elements.structureSelect) {
+        elements.structureSelect.value = UIState.structureType;
       }
+      updateTowerModeToggle();
       
       // Don't rebuild - allow mixed pole types in same scene
       // Just update ghost to show what will be placed next
     });
   }
   
+  if (elements.structureSelect) {
+    elements.structureSelect.onchange = () => {
+      UIState.structureType = elements.structureSelect.value;
+      UIState.towerMode = isTowerStructure(UIState.structureType);
+      updateTowerModeToggle();
+    };
+  }
+  
   if (elements.undoButton) {
     elements.undoButton.onclick = undoHistory;
   }
@@ -486,7 +886,9 @@ export function getUIValues() {
   return {
     currentHeight: UIState.currentHeight,
     currentTension: UIState.currentTension,
+    conductorType: UIState.conductorType,
     showGrid: UIState.showGrid,
-    clearanceThreshold: UIState.clearanceThreshold,
+    equipmentType: UIState.equipmentType,
+    environment: UIState.environment,
   };
 }
@@ -0,0 +1,139 @@
+/**
+ * Conductor Thermal Rating for GridScaper
+ *
+ * Steady-state heat balance in the style of IEEE 738:
+ *   qc + qr = qs + I² R(Tc)
+ * Convection (qc) and radiation (qr) carry heat away, while the sun (qs) and
+ * resistive losses (I²R) heat the conductor. Solving the balance for I
+ * gives the ampacity at a temperature limit; solving it for Tc gives the
+ * temperature a given current drives the conductor to, and that temperature
+ * sets the hot-case sag.
+ *
+ * The math is done in SI units as in the standard. Inputs and outputs use
+ * the same US units as the rest of GridScaper.
+ */
+
+import { DEFAULT_CONDUCTOR } from './conductors.js';
+
+const METERS_PER_FOOT = 0.3048;
+const METERS_PER_INCH = 0.0254;
+const METERS_PER_MILE = 1609.344;
+const MAX_CONDUCTOR_TEMPERATURE = 400; // °C - upper bound for the temperature search
+
+/**
+ * Weather and surface conditions for a thermal rating.
+ * ambientTemperature °F, windSpeed ft/s, windAngle degrees between the wind
+ * and the conductor axis, solarRadiation W/m², elevation ft above sea level.
+ */
+export const DEFAULT_THERMAL_CONDITIONS = {
+  ambientTemperature: 104,
+  windSpeed: 2,
+  windAngle: 90,
+  solarRadiation: 1000,
+  elevation: 0,
+  emissivity: 0.5,
+  absorptivity: 0.5
+};
+
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+const toFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+
+/**
+ * AC resistance per meter at a conductor temperature, interpolated linearly
+ * between the 25°C and 75°C values (and extrapolated beyond them)
+ * @param {Object} conductor - Conductor properties
+ * @param {number} temperature - Conductor temperature (°C)
+ * @returns {number} Resistance (ohm/m)
+ */
+function resistanceAt(conductor, temperature) {
+  const { resistance25, resistance75 } = conductor;
+  const perMile = resistance25 + (resistance75 - resistance25) * (temperature - 25) / 50;
+  return perMile / METERS_PER_MILE;
+}
+
+/**
+ * Heat lost by convection and radiation and gained from the sun, per meter of conductor
+ * @param {Object} conductor - Conductor properties
+ * @param {number} conductorTemperature - Conductor temperature (°C)
+ * @param {Object} conditions - Thermal conditions (see DEFAULT_THERMAL_CONDITIONS)
+ * @returns {{convection: number, radiation: number, solar: number}} Heat rates (W/m)
+ */
+function heatRates(conductor, conductorTemperature, conditions) {
+  const ambient = toCelsius(conditions.ambientTemperature);
+  const diameter = conductor.diameter * METERS_PER_INCH;
+  const windSpeed = conditions.windSpeed * METERS_PER_FOOT;
+  const elevation = conditions.elevation * METERS_PER_FOOT;
+  const rise = Math.max(0, conductorTemperature - ambient);
+
+  // Air properties at the film temperature
+  const film = (conductorTemperature + ambient) / 2;
+  const viscosity = 1.458e-6 * Math.pow(film + 273, 1.5) / (film + 383.4);
+  const density = (1.293 - 1.525e-4 * elevation + 6.379e-9 * elevation * elevation) / (1 + 0.00367 * film);
+  const conductivity = 2.424e-2 + 7.477e-5 * film - 4.407e-9 * film * film;
+
+  // Forced convection (the larger of the low- and high-wind forms) or natural convection, whichever is larger
+  const phi = conditions.windAngle * Math.PI / 180;
+  const windDirectionFactor = 1.194 - Math.cos(phi) + 0.194 * Math.cos(2 * phi) + 0.368 * Math.sin(2 * phi);
+  const reynolds = diameter * density * windSpeed / viscosity;
+  const forcedLow = windDirectionFactor * (1.01 + 1.35 * Math.pow(reynolds, 0.52)) * conductivity * rise;
+  const forcedHigh = windDirectionFactor * 0.754 * Math.pow(reynolds, 0.6) * conductivity * rise;
+  const natural = 3.645 * Math.sqrt(density) * Math.pow(diameter, 0.75) * Math.pow(rise, 1.25);
+  const convection = Math.max(forcedLow, forcedHigh, natural);
+
+  const radiation = 17.8 * diameter * conditions.emissivity *
+    (Math.pow((conductorTemperature + 273) / 100, 4) - Math.pow((ambient + 273) / 100, 4));
+
+  // Sun assumed normal to the conductor
+  const solar = conditions.absorptivity * conditions.solarRadiation * diameter;
+
+  return { convection, radiation, solar };
+}
+
+/**
+ * Steady-state ampacity: the current that holds the conductor at a temperature limit
+ * @param {number} maxTemperature - Maximum conductor temperature (°F)
+ * @param {Object} [conductor=DEFAULT_CONDUCTOR] - Conductor properties
+ * @param {Object} [conditions=DEFAULT_THERMAL_CONDITIONS] - Thermal conditions
+ * @returns {number} Ampacity (A); 0 when the sun alone heats the conductor past the limit
+ */
+export function calculateAmpacity(maxTemperature, conductor = DEFAULT_CONDUCTOR, conditions = DEFAULT_THERMAL_CONDITIONS) {
+  const settings = { ...DEFAULT_THERMAL_CONDITIONS, ...conditions };
+  const temperature = toCelsius(maxTemperature);
+  const { convection, radiation, solar } = heatRates(conductor, temperature, settings);
+  const net = convection + radiation - solar;
+  return net > 0 ? Math.sqrt(net / resistanceAt(conductor, temperature)) : 0;
+}
+
+/**
+ * Steady-state conductor temperature for a line current.
+ * Heat loss rises faster with temperature than resistive gain, so the
+ * balance has a single root that bisection finds.
+ *
+ * @param {number} current - Line current (A)
+ * @param {Object} [conductor=DEFAULT_CONDUCTOR] - Conductor properties
+ * @param {Object} [conditions=DEFAULT_THERMAL_CONDITIONS] - Thermal conditions
+ * @param {number} [maxIterations=60] - Bisection iterations
+ * @returns {number} Conductor temperature (°F), capped at 400°C for runaway currents
+ */
+export function calculateConductorTemperature(current, conductor = DEFAULT_CONDUCTOR, conditions = DEFAULT_THERMAL_CONDITIONS, maxIterations = 60) {
+  const settings = { ...DEFAULT_THERMAL_CONDITIONS, ...conditions };
+  const imbalance = (temperature) => {
+    const { convection, radiation, solar } = heatRates(conductor, temperature, settings);
+    return current * current * resistanceAt(conductor, temperature) + solar - convection - radiation;
+  };
+
+  let low = toCelsius(settings.ambientTemperature);
+  let high = MAX_CONDUCTOR_TEMPERATURE;
+  if (imbalance(high) > 0) return toFahrenheit(high);
+
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (low + high) / 2;
+    if (imbalance(mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return toFahrenheit((low + high) / 2);
+}
@@ -1,19 +1,46 @@
-// Sag calculation constants
-const MIN_SAG = 0.1;           // Minimum sag in units (prevents zero sag)
-const BASE_SAG_FACTOR = 0.05;  // Base sag as percentage of span (5%)
+import { DEFAULT_CONDUCTOR } from './conductors.js';
+
+// Tension guard
+export const MIN_TENSION = 1;           // Minimum horizontal tension in lbs (prevents infinite sag)
+
+// Loading case constants
+const REFERENCE_TEMPERATURE = 60; // °F - conditions the tension setting is specified at
+const ICE_WEIGHT_FACTOR = 1.244;  // lb/ft per in² for glaze ice (57 lb/ft³): w = 1.244 * t * (d + t)
+const INCHES_PER_FOOT = 12;
+
+/**
+ * Named weather cases a span can be evaluated at.
+ * The reference case is the everyday condition the tension setting describes;
+ * every other case is solved from it with the change-of-state equation.
+ * windPressure (psf) acts on the conductor's projected diameter and swings it sideways.
+ */
+export const LOADING_CASES = {
+  everyday: { label: 'Everyday (60°F)', temperature: 60, iceThickness: 0, windPressure: 0 },
+  cold: { label: 'Minimum temp (-20°F)', temperature: -20, iceThickness: 0, windPressure: 0 },
+  hot: { label: 'Max operating (212°F)', temperature: 212, iceThickness: 0, windPressure: 0 },
+  ice: { label: 'Radial ice (0.5in @ 32°F)', temperature: 32, iceThickness: 0.5, windPressure: 0 },
+  wind: { label: 'Wind blowout (6 psf @ 60°F)', temperature: 60, iceThickness: 0, windPressure: 6 }
+};
+
+export const BLOWOUT_CASE = 'wind';
+
+export const HOT_CASE = 'hot';
+
+export const REFERENCE_CASE = 'everyday';
 
 /**
  * Solve for the catenary parameter 'a' given horizontal span and sag.
  * Uses iterative Newton-Raphson method to find 'a' such that:
  *   sag = a * (cosh(L/(2a)) - 1)
  * where L is the horizontal span length and sag is the maximum sag at midpoint.
+ * Multiplying 'a' by the conductor weight gives the tension that produces the sag.
  * 
  * @param {number} span - Horizontal span length
  * @param {number} targetSag - Desired maximum sag
  * @param {number} maxIterations - Maximum iterations for convergence
  * @returns {number} Catenary parameter 'a'
  */
-function solveCatenaryParameter(span, targetSag, maxIterations = 20) {
+export function solveCatenaryParameter(span, targetSag, maxIterations = 20) {
   // Initial guess: approximate 'a' from parabolic approximation
   // For parabola: sag ≈ L²/(8a), so a ≈ L²/(8*sag)
   let a = (span * span) / (8 * targetSag);
@@ -47,21 +74,175 @@ function solveCatenaryParameter(span, targetSag, maxIterations = 20) {
 }
 
 /**
- * Calculate conductor curve points for a span between two poles.
+ * Arc length of a catenary between two supports.
+ * For supports offset vertically by h the exact length is:
+ *   s = sqrt(h² + (2a * sinh(L/(2a)))²)
+ *
+ * @param {number} span - Horizontal span length
+ * @param {number} heightDiff - Vertical offset between the supports
+ * @param {number} a - Catenary parameter
+ * @returns {number} Conductor length between the supports
+ */
+export function catenaryArcLength(span, heightDiff, a) {
+  const levelLength = 2 * a * Math.sinh(span / (2 * a));
+  return Math.sqrt(heightDiff * heightDiff + levelLength * levelLength);
+}
+
+/**
+ * Load per foot of a conductor including any radial ice and wind.
+ * Wind acts horizontally on the iced diameter, so the result is the vector sum
+ * of the vertical weight and the horizontal wind load.
+ *
+ * @param {Object} conductor - Conductor properties (weight in lb/ft, diameter in inches)
+ * @param {number} [iceThickness=0] - Radial ice thickness in inches
+ * @param {number} [windPressure=0] - Wind pressure in psf
+ * @returns {number} Resultant loaded weight (lb/ft)
+ */
+export function getLoadedWeight(conductor, iceThickness = 0, windPressure = 0) {
+  const iceWeight = ICE_WEIGHT_FACTOR * iceThickness * (conductor.diameter + iceThickness);
+  const verticalWeight = conductor.weight + iceWeight;
+  const windLoad = windPressure * (conductor.diameter + 2 * iceThickness) / INCHES_PER_FOOT;
+  return Math.hypot(verticalWeight, windLoad);
+}
+
+/**
+ * Blowout swing angle of a conductor from vertical.
+ * The conductor hangs in the plane of its resultant load:
+ *   θ = atan(wind load / vertical weight)
+ *
+ * @param {Object} conductor - Conductor properties (weight in lb/ft, diameter in inches)
+ * @param {number} [iceThickness=0] - Radial ice thickness in inches
+ * @param {number} [windPressure=0] - Wind pressure in psf
+ * @returns {number} Swing angle in radians (0 in still air)
+ */
+export function getSwingAngle(conductor, iceThickness = 0, windPressure = 0) {
+  const verticalWeight = conductor.weight + ICE_WEIGHT_FACTOR * iceThickness * (conductor.diameter + iceThickness);
+  const windLoad = windPressure * (conductor.diameter + 2 * iceThickness) / INCHES_PER_FOOT;
+  return Math.atan2(windLoad, verticalWeight);
+}
+
+/**
+ * Horizontal distance from the first support to the catenary vertex.
+ * The vertex shifts toward the lower support on inclined spans:
+ *   x0 = L/2 - a * asinh(h / (2a * sinh(L/(2a))))
+ *
+ * @param {number} span - Horizontal span length
+ * @param {number} heightDiff - Rise from the first support to the second
+ * @param {number} a - Catenary parameter
+ * @returns {number} Distance to the vertex (negative or beyond the span when it falls off the span)
+ */
+export function catenaryLowPointDistance(span, heightDiff, a) {
+  if (span <= 0) return 0;
+  return span / 2 - a * Math.asinh(heightDiff / (2 * a * Math.sinh(span / (2 * a))));
+}
+
+/**
+ * Midspan sag of a catenary, measured vertically from the chord between the supports.
+ *
+ * @param {number} span - Horizontal span length
+ * @param {number} heightDiff - Rise from the first support to the second
+ * @param {number} a - Catenary parameter
+ * @returns {number} Midspan sag
+ */
+export function catenaryMidspanSag(span, heightDiff, a) {
+  const x0 = catenaryLowPointDistance(span, heightDiff, a);
+  const midspanHeight = a * (Math.cosh((span / 2 - x0) / a) - Math.cosh(x0 / a));
+  return heightDiff / 2 - midspanHeight;
+}
+
+/**
+ * Solve the catenary parameter for a span under a named loading case.
+ *
+ * Uses the change-of-state equation: the unstressed conductor length is fixed
+ * by the reference (everyday) condition, then grows with temperature
+ * (thermal expansion) and with tension (elastic stretch):
+ *   L(T, H) = L_unstressed * (1 + α(T - T_ref)) * (1 + H / EA)
+ * The horizontal tension H is found where the catenary arc length for the
+ * case's loaded weight equals that conductor length.
+ *
+ * @param {number} span - Horizontal span length
+ * @param {number} heightDiff - Vertical offset between the supports
+ * @param {number} referenceA - Catenary parameter at the reference case
+ * @param {string} loadingCase - Key into LOADING_CASES
+ * @param {Object} [conductor=DEFAULT_CONDUCTOR] - Conductor properties
+ * @returns {{a: number, tension: number, weight: number}} Catenary parameter, horizontal tension (lbs) and loaded weight (lb/ft)
+ */
+export function solveLoadingCase(span, heightDiff, referenceA, loadingCase, conductor = DEFAULT_CONDUCTOR) {
+  const state = LOADING_CASES[loadingCase];
+
+  if (!state || loadingCase === REFERENCE_CASE) {
+    return { a: referenceA, tension: referenceA * conductor.weight, weight: conductor.weight };
+  }
+
+  return solveStateChange(span, heightDiff, referenceA, state, conductor);
+}
+
+/**
+ * Solve the catenary parameter for an arbitrary weather state.
+ * Same change-of-state solution as solveLoadingCase, for conditions that
+ * aren't one of the named cases (e.g. each temperature step of a stringing chart).
+ *
+ * @param {number} span - Horizontal span length
+ * @param {number} heightDiff - Vertical offset between the supports
+ * @param {number} referenceA - Catenary parameter at the reference case
+ * @param {{temperature: number, iceThickness?: number, windPressure?: number}} state - Weather state
+ * @param {Object} [conductor=DEFAULT_CONDUCTOR] - Conductor properties
+ * @returns {{a: number, tension: number, weight: number}} Catenary parameter, horizontal tension (lbs) and loaded weight (lb/ft)
+ */
+export function solveStateChange(span, heightDiff, referenceA, state, conductor = DEFAULT_CONDUCTOR) {
+  const referenceWeight = conductor.weight;
+  const referenceTension = referenceA * referenceWeight;
+  const { temperature, iceThickness = 0, windPressure = 0 } = state;
+
+  const ea = conductor.modulus * conductor.area;
+  const referenceLength = catenaryArcLength(span, heightDiff, referenceA);
+  const unstressedLength = referenceLength / (1 + referenceTension / ea);
+  const thermalLength = unstressedLength * (1 + conductor.thermalExpansion * (temperature - REFERENCE_TEMPERATURE));
+  const weight = getLoadedWeight(conductor, iceThickness, windPressure);
+
+  // Arc length falls and stretched length rises with tension, so the
+  // difference is monotonic - bisect on tension in log space
+  const mismatch = (tension) => catenaryArcLength(span, heightDiff, tension / weight) - thermalLength * (1 + tension / ea);
+  let lo = referenceTension / 1000;
+  let hi = referenceTension * 10;
+  while (mismatch(hi) > 0 && hi < 1e9) hi *= 10;
+  while (!(mismatch(lo) > 0) && lo > 1e-6) lo /= 10;
+
+  for (let i = 0; i < 60; i++) {
+    const mid = Math.sqrt(lo * hi);
+    if (mismatch(mid) > 0) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  const tension = Math.sqrt(lo * hi);
+  return { a: tension / weight, tension, weight };
+}
+
+/**
+ * Solve the conductor between two poles and describe its shape.
  * 
- * This function computes the true catenary sag of a power line conductor between 
- * two poles, taking into account pole positions, heights, and tension factor.
+ * This function computes the true catenary of a power line conductor between 
+ * two poles, taking into account pole positions, heights, tension and conductor weight.
  * 
  * The catenary curve is the natural shape formed by a flexible cable hanging under 
- * its own weight between two support points. The mathematical form is:
- *   y = a * cosh(x/a) + C
- * where 'a' is the catenary parameter (related to tension/weight ratio) and C is 
- * a constant that positions the curve vertically.
+ * its own weight between two support points. Measured from support A along the span:
+ *   y(x) = yA + a * (cosh((x - x0)/a) - cosh(x0/a))
+ * where 'a' is the catenary parameter (horizontal tension divided by the loaded
+ * weight per foot, a = H / w) and x0 is the horizontal distance from A to the
+ * low point (vertex) of the curve.
  * 
- * For level spans, the parameter 'a' is solved from the relationship:
- *   sag = a * (cosh(L/(2a)) - 1)
- * where L is the span length and sag is the maximum vertical distance from the 
- * straight line connecting the attachment points.
+ * For level spans the vertex sits at midspan. For inclined spans it shifts toward
+ * the lower support:
+ *   x0 = L/2 - a * asinh(h / (2a * sinh(L/(2a))))
+ * where L is the horizontal span and h the rise from A to B. When x0 falls outside
+ * the span the conductor pulls up on the lower support (uplift).
+ * 
+ * Under a wind case the conductor hangs in the plane of its resultant load, so
+ * each point's sag below the chord is rotated sideways by the swing angle
+ * toward the downwind side.
  * 
  * @param {Object} options - Configuration options for the conductor curve
  * @param {Object} options.poleA - First pole data
@@ -74,44 +255,62 @@ function solveCatenaryParameter(span, targetSag, maxIterations = 20) {
  * @param {number} options.poleB.z - Z coordinate of pole B
  * @param {number} options.poleB.base - Base elevation of pole B
  * @param {number} options.poleB.h - Height of pole B above base
- * @param {number} [options.tension=1] - Tension factor (higher = less sag)
+ * @param {number} [options.tension=2000] - Everyday horizontal tension in lbs (higher = less sag)
  * @param {number} [options.samples=32] - Number of points along the curve
  * @param {number} [options.lateralOffset=0] - Offset perpendicular to span direction
+ * @param {number} [options.lateralOffsetB=lateralOffset] - Offset at pole B when it differs from pole A's
  * @param {number} [options.terrainOffsetZ=0] - Global terrain offset in Z direction
+ * @param {string} [options.loadingCase='everyday'] - Weather case to solve the sag for (key into LOADING_CASES)
+ * @param {Object} [options.conductor=DEFAULT_CONDUCTOR] - Conductor properties (see CONDUCTOR_LIBRARY)
+ * @param {number|null} [options.rulingSpan=null] - Ruling span of the strain section; when set the
+ *   loading case tension is solved for the ruling span and shared by this span
+ * @param {number} [options.windDirection=1] - Side the wind blows the conductor toward:
+ *   1 = +lateralOffset side, -1 = opposite side (only used by wind cases)
+ * @param {number|null} [options.operatingTemperature=null] - Conductor temperature (°F) for the hot case,
+ *   e.g. from a line current via utils/ampacity.js; defaults to the case's maximum operating temperature
  * 
- * @returns {Array<{x: number, y: number, z: number}>} Array of points along the conductor curve
- * 
- * @example
- * // Basic usage with two poles
- * const poleA = { x: 0, z: 0, base: 0, h: 10 };
- * const poleB = { x: 20, z: 0, base: 0, h: 12 };
- * const curvePoints = getConductorCurve({
- *   poleA,
- *   poleB,
- *   tension: 1.5,
- *   samples: 32
- * });
+ * @returns {{
+ *   points: Array<{x: number, y: number, z: number}>,
+ *   lowPoint: {x: number, y: number, z: number, distance: number, withinSpan: boolean},
+ *   arcLength: number,
+ *   supportAngles: {a: number, b: number},
+ *   swingAngle: number,
+ *   a: number,
+ *   tension: number,
+ *   weight: number
+ * }} Curve points, the catenary vertex (distance is measured horizontally from pole A and
+ *   may be negative or beyond the span), conductor length, departure angles in degrees at each
+ *   support (negative = conductor leaves the support heading down), blowout swing angle in
+ *   degrees, catenary parameter,
+ *   horizontal tension (lbs) and loaded weight (lb/ft)
  * 
  * @example
- * // With lateral offset for multiple conductors
- * const curvePoints = getConductorCurve({
- *   poleA: { x: 0, z: 0, base: 0, h: 10 },
- *   poleB: { x: 30, z: 0, base: 2, h: 10 },
- *   tension: 2.0,
- *   lateralOffset: 1.2,  // For right conductor on crossarm
- *   samples: 64
+ * // Steep hillside span - the low point moves toward the lower pole
+ * const { lowPoint, supportAngles } = getConductorGeometry({
+ *   poleA: { x: 0, z: 0, base: 0, h: 20 },
+ *   poleB: { x: 40, z: 0, base: 12, h: 20 },
+ *   tension: 300
  * });
+ * if (!lowPoint.withinSpan) {
+ *   console.log('Uplift on the lower pole');
+ * }
  */
-export function getConductorCurve(options) {
+export function getConductorGeometry(options) {
   const {
     poleA,
     poleB,
-    tension = 1,
+    tension = 2000,
     samples = 32,
     lateralOffset = 0,
+    lateralOffsetB = lateralOffset,
     terrainOffsetZ = 0,
     tierHeightA = null,
-    tierHeightB = null
+    tierHeightB = null,
+    loadingCase = REFERENCE_CASE,
+    conductor = DEFAULT_CONDUCTOR,
+    rulingSpan = null,
+    windDirection = 1,
+    operatingTemperature = null
   } = options;
 
   // Calculate crossarm heights (attachment points)
@@ -131,25 +330,35 @@ export function getConductorCurve(options) {
   // Calculate height difference between attachment points
   const heightDiff = crossarmHeightB - crossarmHeightA;
   
-  // Calculate base sag based on span length and tension
-  // Base sag is BASE_SAG_FACTOR (5%) of span length, reduced by tension factor
-  const baseSag = Math.max(MIN_SAG, d * BASE_SAG_FACTOR) / tension;
+  // Catenary parameter 'a' is the ratio of horizontal tension to weight per unit length
+  const referenceA = Math.max(MIN_TENSION, tension) / conductor.weight;
+  
+  // Re-solve for the requested weather case (temperature and ice change the sag).
+  // Spans in a strain section share the tension solved for the level ruling span.
+  const state = LOADING_CASES[loadingCase] || LOADING_CASES[REFERENCE_CASE];
+  const loadedHot = loadingCase === HOT_CASE && operatingTemperature !== null;
+  const solved = loadedHot
+    ? solveStateChange(rulingSpan || d, rulingSpan ? 0 : heightDiff, referenceA, { ...state, temperature: operatingTemperature }, conductor)
+    : solveLoadingCase(rulingSpan || d, rulingSpan ? 0 : heightDiff, referenceA, loadingCase, conductor);
+  const { a } = solved;
   
-  // Solve for catenary parameter 'a' using the target sag
-  // This represents the ratio of horizontal tension to weight per unit length
-  const a = solveCatenaryParameter(d, baseSag);
+  // Horizontal distance from pole A to the catenary vertex
+  const lowPointDistance = catenaryLowPointDistance(d, heightDiff, a);
   
-  // For inclined spans, we work in a tilted coordinate system
-  // The catenary forms in a plane rotated by the angle of inclination
-  const spanLength = Math.sqrt(d * d + heightDiff * heightDiff);
-  const tiltAngle = Math.atan2(heightDiff, d);
+  // Height of the conductor a horizontal distance x from pole A
+  const heightAt = (x) => crossarmHeightA + a * (Math.cosh((x - lowPointDistance) / a) - Math.cosh(lowPointDistance / a));
+  
+  // Wind swings the sag out of the vertical plane
+  const swingAngle = getSwingAngle(conductor, state.iceThickness, state.windPressure);
+  const swingCos = Math.cos(swingAngle);
+  const swingSin = Math.sin(swingAngle) * Math.sign(windDirection || 1);
 
   // Calculate direction vector and perpendicular for lateral offset
   const dirX = poleB.x - poleA.x;
   const dirZ = poleB.z - poleA.z;
   const dirLength = Math.sqrt(dirX * dirX + dirZ * dirZ);
-  const normalizedDirX = dirX / dirLength;
-  const normalizedDirZ = dirZ / dirLength;
+  const normalizedDirX = dirLength > 0 ? dirX / dirLength : 1;
+  const normalizedDirZ = dirLength > 0 ? dirZ / dirLength : 0;
 
   // Perpendicular vector (rotated 90 degrees)
   const perpX = -normalizedDirZ;
@@ -158,38 +367,139 @@ export function getConductorCurve(options) {
   // Start and end points with lateral offset applied
   const startX = poleA.x + perpX * lateralOffset;
   const startZ = poleA.z + perpZ * lateralOffset;
-  const endX = poleB.x + perpX * lateralOffset;
-  const endZ = poleB.z + perpZ * lateralOffset;
+  const endX = poleB.x + perpX * lateralOffsetB;
+  const endZ = poleB.z + perpZ * lateralOffsetB;
+
+  // Position a fraction t along the span (t outside 0..1 extends past the supports)
+  const pointAt = (t) => {
+    const chordY = crossarmHeightA + heightDiff * t;
+    const sag = chordY - heightAt(t * d);
+    return {
+      x: startX + (endX - startX) * t + perpX * sag * swingSin,
+      y: chordY - sag * swingCos,
+      z: startZ + (endZ - startZ) * t + perpZ * sag * swingSin + terrainOffsetZ
+    };
+  };
 
   // Generate curve points using true catenary equation
   const points = [];
   for (let i = 0; i <= samples; i++) {
-    const t = i / samples;
-    
-    // Linear interpolation for x and z coordinates
-    const x = startX + (endX - startX) * t;
-    const z = startZ + (endZ - startZ) * t + terrainOffsetZ;
-    
-    // Catenary calculation in tilted coordinate system
-    // Local horizontal coordinate centered at midspan
-    const localX = (t - 0.5) * d;
-    
-    // True catenary sag: The standard catenary y = a*cosh(x/a) opens upward.
-    // We want the conductor to hang downward, so we need the maximum sag at center.
-    // At center (x=0): cosh(0) = 1 (minimum of cosh)
-    // At endpoints (x=±d/2): cosh(d/2a) (maximum)
-    // So sag = a * (cosh(d/2a) - cosh(x/a)) gives max sag at center
-    const maxCosh = Math.cosh((d/2) / a);
-    const catenaryY = a * (maxCosh - Math.cosh(localX / a));
-    
-    // Height along the straight line from pole A to pole B
-    const straightLineHeight = crossarmHeightA + heightDiff * t;
-    
-    // Final height is straight line height MINUS the catenary sag (sag goes DOWN)
-    const y = straightLineHeight - catenaryY;
-    
-    points.push({ x, y, z });
+    points.push(pointAt(i / samples));
   }
 
-  return points;
+  // Catenary vertex, which may lie beyond either support on steep spans
+  const lowT = d > 0 ? lowPointDistance / d : 0.5;
+  const lowPoint = {
+    ...pointAt(lowT),
+    distance: lowPointDistance,
+    withinSpan: lowPointDistance >= 0 && lowPointDistance <= d
+  };
+
+  // Departure angles from horizontal, looking into the span from each support
+  const toDegrees = 180 / Math.PI;
+  const supportAngles = {
+    a: -Math.atan(Math.sinh(lowPointDistance / a)) * toDegrees,
+    b: -Math.atan(Math.sinh((d - lowPointDistance) / a)) * toDegrees
+  };
+
+  return {
+    points,
+    lowPoint,
+    arcLength: catenaryArcLength(d, heightDiff, a),
+    supportAngles,
+    swingAngle: swingAngle * 180 / Math.PI,
+    a,
+    tension: solved.tension,
+    weight: solved.weight
+  };
+}
+
+/**
+ * Calculate conductor curve points for a span between two poles.
+ * 
+ * Shorthand for getConductorGeometry(options).points - see getConductorGeometry
+ * for the options and the catenary math.
+ * 
+ * @param {Object} options - Same options as getConductorGeometry
+ * @returns {Array<{x: number, y: number, z: number}>} Array of points along the conductor curve
+ * 
+ * @example
+ * // Basic usage with two poles
+ * const poleA = { x: 0, z: 0, base: 0, h: 10 };
+ * const poleB = { x: 20, z: 0, base: 0, h: 12 };
+ * const curvePoints = getConductorCurve({
+ *   poleA,
+ *   poleB,
+ *   tension: 2000,
+ *   samples: 32
+ * });
+ * 
+ * @example
+ * // With lateral offset for multiple conductors
+ * const curvePoints = getConductorCurve({
+ *   poleA: { x: 0, z: 0, base: 0, h: 10 },
+ *   poleB: { x: 30, z: 0, base: 2, h: 10 },
+ *   tension: 1500,
+ *   conductor: CONDUCTOR_LIBRARY.drake,
+ *   lateralOffset: 1.2,  // For right conductor on crossarm
+ *   samples: 64
+ * });
+ * 
+ * @example
+ * // Worst-case hot sag for a clearance check
+ * const hotPoints = getConductorCurve({
+ *   poleA,
+ *   poleB,
+ *   tension: 2000,
+ *   loadingCase: 'hot'
+ * });
+ */
+export function getConductorCurve(options) {
+  return getConductorGeometry(options).points;
+}
+
+/**
+ * Swept blowout envelope of a conductor.
+ *
+ * Solves the span under the given wind case and sweeps each sampled point's
+ * sag from full swing on one side, through vertical, to full swing on the other.
+ *
+ * @param {Object} options - Same options as getConductorGeometry (windDirection is ignored)
+ * @param {number} [steps=8] - Number of angular steps across the swing
+ * @returns {{rows: Array<Array<{x: number, y: number, z: number}>>, swingAngle: number}}
+ *   One row per curve sample, each sweeping from the -1 side to the +1 side, and the swing angle in degrees
+ */
+export function getBlowoutEnvelope(options, steps = 8) {
+  const { points, swingAngle } = getConductorGeometry({ ...options, windDirection: 1 });
+  const theta = swingAngle * Math.PI / 180;
+
+  // Chord between the attachment points and the horizontal perpendicular to it
+  const first = points[0];
+  const last = points[points.length - 1];
+  const dirX = last.x - first.x;
+  const dirZ = last.z - first.z;
+  const dirLength = Math.hypot(dirX, dirZ) || 1;
+  const perpX = -dirZ / dirLength;
+  const perpZ = dirX / dirLength;
+
+  const rows = points.map((point, i) => {
+    const t = points.length > 1 ? i / (points.length - 1) : 0;
+    const chordX = first.x + dirX * t;
+    const chordY = first.y + (last.y - first.y) * t;
+    const chordZ = first.z + dirZ * t;
+    const sag = Math.hypot(point.x - chordX, point.y - chordY, point.z - chordZ);
+
+    const row = [];
+    for (let k = 0; k <= steps; k++) {
+      const phi = -theta + (2 * theta * k) / steps;
+      row.push({
+        x: chordX + perpX * sag * Math.sin(phi),
+        y: chordY - sag * Math.cos(phi),
+        z: chordZ + perpZ * sag * Math.sin(phi)
+      });
+    }
+    return row;
+  });
+
+  return { rows, swingAngle };
 }
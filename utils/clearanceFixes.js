@@ -0,0 +1,234 @@
+/**
+ * Clearance Fix Suggestions for GridScaper
+ *
+ * Works out concrete remedies for a span that fails its ground or object
+ * clearance: raise one of its poles, string it tighter, or add a pole
+ * mid-span. Every trial re-solves the conductors with the same catenary
+ * geometry the 3D view draws and measures against the actual terrain, so a
+ * suggestion clears the span exactly rather than by a rule of thumb.
+ *
+ * Blowout and phase spacing are left alone - they depend on neighbouring
+ * conductors and sliders rather than the rule table.
+ */
+
+import { getConductorGeometry } from './catenary.js';
+import { calculateRulingSpan } from './rulingSpan.js';
+import { DEFAULT_STRUCTURE } from './structures.js';
+
+/**
+ * Search limits. Heights are whole feet like pole placement; tension stops at
+ * a fraction of the conductor's rated breaking strength.
+ */
+export const DEFAULT_FIX_LIMITS = {
+  minHeight: 1,
+  maxHeight: 40,
+  heightStep: 1,
+  tensionStep: 50,
+  maxTensionRBS: 0.5
+};
+
+// New poles stay out of the quarter of the span next to each existing pole
+const MIN_STATION_FRACTION = 0.25;
+
+/**
+ * Smallest clearance margin of a span: measured clearance minus the required
+ * clearance, over every conductor sample, ground and object.
+ *
+ * @param {Object} options - Span description (see suggestClearanceFixes)
+ * @returns {{margin: number, point: {x: number, y: number, z: number}}|null}
+ *   Worst margin (negative fails) and where it occurs, or null with nothing to check
+ */
+export function getSpanClearanceMargin(options) {
+  const {
+    poleA,
+    poleB,
+    conductors,
+    tension,
+    conductor,
+    rulingSpan = null,
+    loadingCase,
+    operatingTemperature = null,
+    terrainOffsetZ = 0,
+    samples = 32,
+    groundHeight,
+    groundClearance = null,
+    obstacles = []
+  } = options;
+
+  let worst = null;
+  const consider = (margin, point) => {
+    if (!worst || margin < worst.margin) {
+      worst = { margin, point };
+    }
+  };
+
+  conductors.forEach(({ lateralOffset = 0, lateralOffsetB = lateralOffset, tierRiseA = null, tierRiseB = null }) => {
+    const { points, lowPoint } = getConductorGeometry({
+      poleA,
+      poleB,
+      tension,
+      conductor,
+      rulingSpan,
+      samples,
+      lateralOffset,
+      lateralOffsetB,
+      terrainOffsetZ,
+      tierHeightA: tierRiseA === null ? null : poleA.h + tierRiseA,
+      tierHeightB: tierRiseB === null ? null : poleB.h + tierRiseB,
+      loadingCase,
+      operatingTemperature
+    });
+
+    // The catenary vertex falls between samples, so check it explicitly when it's on the span
+    const checkPoints = lowPoint.withinSpan ? [...points, lowPoint] : points;
+    checkPoints.forEach(point => {
+      if (groundClearance !== null) {
+        consider(point.y - groundHeight(point.x, point.z) - groundClearance, point);
+      }
+      obstacles.forEach(obstacle => {
+        consider(obstacle.distanceTo(point) - obstacle.required, point);
+      });
+    });
+  });
+
+  return worst;
+}
+
+/**
+ * Lowest height for one of the span's poles that clears the span
+ * @param {Object} options - Span description (see suggestClearanceFixes)
+ * @param {string} end - 'a' or 'b'
+ * @returns {{type: string, end: string, height: number, rise: number}|null} Suggestion, or null when even the tallest pole fails
+ */
+export function suggestPoleRaise(options, end) {
+  const { minHeight, maxHeight, heightStep } = { ...DEFAULT_FIX_LIMITS, ...options.limits };
+  const pole = end === 'a' ? options.poleA : options.poleB;
+  const key = end === 'a' ? 'poleA' : 'poleB';
+
+  for (let height = Math.max(minHeight, pole.h + heightStep); height <= maxHeight; height += heightStep) {
+    const trial = getSpanClearanceMargin({ ...options, [key]: { ...pole, h: height } });
+    if (trial && trial.margin >= 0) {
+      return { type: 'raise', end, height, rise: height - pole.h };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lowest stringing tension that clears the span.
+ * A span with its own tension leaves its strain section, so trials are solved
+ * on the span's own geometry.
+ *
+ * @param {Object} options - Span description (see suggestClearanceFixes)
+ * @returns {{type: string, tension: number}|null} Suggestion, or null when the tension limit isn't enough
+ */
+export function suggestTension(options) {
+  const { tensionStep, maxTensionRBS } = { ...DEFAULT_FIX_LIMITS, ...options.limits };
+  const maxTension = Math.floor(options.conductor.ratedStrength * maxTensionRBS / tensionStep) * tensionStep;
+  const clears = (tension) => {
+    const trial = getSpanClearanceMargin({ ...options, tension, rulingSpan: null });
+    return Boolean(trial) && trial.margin >= 0;
+  };
+
+  if (maxTension <= options.tension || !clears(maxTension)) return null;
+
+  // Sag shrinks as tension rises, so bisect between the failing and passing tensions
+  let low = options.tension;
+  let high = maxTension;
+  while (high - low > tensionStep) {
+    const mid = (low + high) / 2;
+    if (clears(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  const tension = Math.min(maxTension, Math.max(options.tension + tensionStep, Math.ceil(high / tensionStep) * tensionStep));
+  return clears(tension) ? { type: 'tension', tension } : { type: 'tension', tension: maxTension };
+}
+
+/**
+ * Shortest pole, placed under the span's worst point, that clears both new spans.
+ * The new pole is a suspension pole, so both halves stay in the span's strain
+ * section and are solved for the section's new ruling span. Conductor
+ * attachments carry over from the original span.
+ *
+ * @param {Object} options - Span description (see suggestClearanceFixes)
+ * @returns {{type: string, station: number, x: number, z: number, height: number, structure: string}|null}
+ *   Station (ft from pole A), position and height of the new pole, or null when no height clears both spans
+ */
+export function suggestMidspanPole(options) {
+  const { minHeight, maxHeight, heightStep } = { ...DEFAULT_FIX_LIMITS, ...options.limits };
+  const { poleA, poleB, conductors, terrainOffsetZ = 0, groundHeight, sectionSpanLengths = [] } = options;
+  const worst = getSpanClearanceMargin(options);
+  if (!worst) return null;
+
+  // Station of the worst point along the span, kept away from both poles
+  const length = Math.hypot(poleB.x - poleA.x, poleB.z - poleA.z);
+  if (length <= 0) return null;
+  const dirX = (poleB.x - poleA.x) / length;
+  const dirZ = (poleB.z - poleA.z) / length;
+  const along = (worst.point.x - poleA.x) * dirX + (worst.point.z - terrainOffsetZ - poleA.z) * dirZ;
+  const station = Math.min(length * (1 - MIN_STATION_FRACTION), Math.max(length * MIN_STATION_FRACTION, Math.round(along)));
+
+  const x = poleA.x + dirX * station;
+  const z = poleA.z + dirZ * station;
+  const base = groundHeight(x, z + terrainOffsetZ);
+
+  // Between two matching structures the new one matches them; otherwise it's a
+  // default pole taking the conductors at its top
+  const sameStructure = Boolean(poleA.structure) && poleA.structure === poleB.structure;
+  const structure = sameStructure ? poleA.structure : DEFAULT_STRUCTURE;
+  const conductorsA = conductors.map(c => ({ ...c, tierRiseB: sameStructure ? c.tierRiseB : null }));
+  const conductorsB = conductors.map(c => ({ ...c, tierRiseA: sameStructure ? c.tierRiseA : null }));
+  const rulingSpan = calculateRulingSpan([...sectionSpanLengths, station, length - station]);
+
+  for (let height = minHeight; height <= maxHeight; height += heightStep) {
+    const newPole = { x, z, base, h: height, structure };
+    const first = getSpanClearanceMargin({ ...options, poleB: newPole, conductors: conductorsA, rulingSpan });
+    if (!first || first.margin < 0) continue;
+    const second = getSpanClearanceMargin({ ...options, poleA: newPole, conductors: conductorsB, rulingSpan });
+    if (second && second.margin >= 0) {
+      return { type: 'insert', station, x, z, height, structure };
+    }
+  }
+  return null;
+}
+
+/**
+ * Remedies for a span that fails its ground or object clearance.
+ *
+ * @param {Object} options - Span description
+ * @param {Object} options.poleA - First pole ({x, z, base, h, structure})
+ * @param {Object} options.poleB - Second pole ({x, z, base, h, structure})
+ * @param {Array<Object>} options.conductors - Conductors of the span
+ * @param {number} [options.conductors[].lateralOffset=0] - Crossarm offset at pole A (ft)
+ * @param {number} [options.conductors[].lateralOffsetB=lateralOffset] - Crossarm offset at pole B (ft)
+ * @param {number|null} [options.conductors[].tierRiseA=null] - Attachment above pole A's height, null for the pole top
+ * @param {number|null} [options.conductors[].tierRiseB=null] - Attachment above pole B's height, null for the pole top
+ * @param {number} options.tension - Horizontal tension at the reference case (lbs)
+ * @param {Object} options.conductor - Conductor properties
+ * @param {number|null} [options.rulingSpan=null] - Ruling span of the span's strain section
+ * @param {Array<number>} [options.sectionSpanLengths=[]] - Lengths of the other spans in the strain section
+ * @param {string} options.loadingCase - Clearance loading case
+ * @param {number|null} [options.operatingTemperature=null] - Hot-case conductor temperature (°F)
+ * @param {number} [options.terrainOffsetZ=0] - Z offset between pole and scene coordinates
+ * @param {number} [options.samples=32] - Curve samples per conductor
+ * @param {Function} options.groundHeight - Terrain height at a scene (x, z)
+ * @param {number|null} [options.groundClearance=null] - Required clearance to the ground (ft), null when no rule applies
+ * @param {Array<{required: number, distanceTo: Function}>} [options.obstacles=[]] - Scene objects with their required clearance
+ * @param {Object} [options.limits=DEFAULT_FIX_LIMITS] - Search limits
+ * @returns {Array<Object>} Suggestions (raise, tension, insert); empty when the span already clears
+ */
+export function suggestClearanceFixes(options) {
+  const current = getSpanClearanceMargin(options);
+  if (!current || current.margin >= 0) return [];
+
+  return [
+    suggestPoleRaise(options, 'a'),
+    suggestPoleRaise(options, 'b'),
+    suggestTension(options),
+    suggestMidspanPole(options)
+  ].filter(Boolean);
+}
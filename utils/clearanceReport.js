@@ -0,0 +1,136 @@
+/**
+ * Clearance Results Report for GridScaper
+ *
+ * Collects the clearance checks for each span and pole into one row per
+ * item, graded by its governing (worst) check, so a design review can work
+ * down a severity-sorted list and refer to spans by their pole IDs.
+ */
+
+import { CLEARANCE_STATUS } from './clearanceRules.js';
+
+/** Higher is worse */
+const STATUS_SEVERITY = {
+  [CLEARANCE_STATUS.PASS]: 0,
+  [CLEARANCE_STATUS.WARN]: 1,
+  [CLEARANCE_STATUS.FAIL]: 2
+};
+
+/** Column order for the CSV export */
+const COLUMNS = [
+  { key: 'label', label: 'Item' },
+  { key: 'kind', label: 'Type' },
+  { key: 'status', label: 'Status' },
+  { key: 'distance', label: 'Clearance (ft)', digits: 1 },
+  { key: 'required', label: 'Required (ft)', digits: 1 },
+  { key: 'object', label: 'Object' },
+  { key: 'rule', label: 'Rule' }
+];
+
+/**
+ * Order two check results worst first: by status, then by how far each is
+ * above its requirement. Results without a measured distance sort after
+ * measured ones of the same status.
+ * @param {Object} a - Result with status, distance and required
+ * @param {Object} b - Result with status, distance and required
+ * @returns {number} Negative when a is worse than b
+ */
+export function compareClearanceResults(a, b) {
+  const severity = STATUS_SEVERITY[b.status] - STATUS_SEVERITY[a.status];
+  if (severity !== 0) return severity;
+
+  const marginA = typeof a.distance === 'number' ? a.distance - (a.required ?? 0) : Infinity;
+  const marginB = typeof b.distance === 'number' ? b.distance - (b.required ?? 0) : Infinity;
+  if (marginA === marginB) return 0;
+  return marginA < marginB ? -1 : 1;
+}
+
+/**
+ * The check that governs an item
+ * @param {Array<Object>} results - Check results for one span or pole
+ * @returns {Object|null} Worst result, or null when there are none
+ */
+export function worstClearanceResult(results) {
+  return results.reduce((worst, result) =>
+    !worst || compareClearanceResults(result, worst) < 0 ? result : worst, null);
+}
+
+/**
+ * Governing rule of a result as text, e.g. "DIST-WATER+ENV-COASTAL-SAILBOAT"
+ * @param {Object} result - Check result
+ * @returns {string}
+ */
+export function formatRuleId(result) {
+  return [result.ruleId, ...(result.modifierIds || [])].filter(Boolean).join('+');
+}
+
+/**
+ * Count rows by status
+ * @param {Array<Object>} rows - Result rows
+ * @returns {{PASS: number, WARN: number, FAIL: number}}
+ */
+export function countClearanceStatuses(rows) {
+  const counts = { [CLEARANCE_STATUS.PASS]: 0, [CLEARANCE_STATUS.WARN]: 0, [CLEARANCE_STATUS.FAIL]: 0 };
+  rows.forEach(row => {
+    counts[row.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Format a row value for output
+ * @param {Object} column - Column definition
+ * @param {Object} row - Result row
+ * @returns {string} Formatted value
+ */
+function formatValue(column, row) {
+  const value = column.key === 'rule' ? formatRuleId(row) : row[column.key];
+  if (value === null || value === undefined) return '';
+  return column.digits !== undefined ? Number(value).toFixed(column.digits) : String(value);
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Convert result rows to CSV
+ * @param {Array<Object>} rows - Result rows, already in report order
+ * @returns {string} CSV text with a header row
+ */
+export function clearanceResultsToCSV(rows) {
+  const lines = [COLUMNS.map(column => csvField(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(COLUMNS.map(column => csvField(formatValue(column, row))).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Plain-text summary for pasting into a review: status counts, then one line
+ * for every item that warns or fails
+ * @param {Array<Object>} rows - Result rows, already in report order
+ * @param {string} [title='Clearance Summary'] - First line of the summary
+ * @returns {string} Summary text
+ */
+export function clearanceResultsToText(rows, title = 'Clearance Summary') {
+  const counts = countClearanceStatuses(rows);
+  const lines = [
+    title,
+    `${counts.FAIL} FAIL · ${counts.WARN} WARN · ${counts.PASS} PASS`
+  ];
+
+  rows.filter(row => row.status !== CLEARANCE_STATUS.PASS).forEach(row => {
+    const measured = typeof row.distance === 'number'
+      ? ` ${row.distance.toFixed(1)} ft${typeof row.required === 'number' ? ` (min ${row.required.toFixed(1)} ft)` : ''}`
+      : '';
+    const item = row.kind === 'span' ? `Span ${row.label}` : `Pole ${row.label}`;
+    lines.push(`${row.status} ${item}: ${row.object}${measured} - ${formatRuleId(row)}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
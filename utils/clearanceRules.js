@@ -0,0 +1,228 @@
+/**
+ * Clearance Rule Engine for GridScaper
+ *
+ * Minimum clearances come from a JSON rule table instead of a single
+ * threshold, so a utility's own standards can replace the built-in teaching
+ * values. A table has:
+ *   - rules: minimum clearance by equipment type (voltage class) and object type
+ *   - modifiers: feet added for an environment (snow load, sailboat water, ...)
+ * Either key may be '*' to match anything; the most specific rule wins.
+ * Rules and modifiers apply to vertical clearance unless their direction is
+ * 'horizontal', which grades blown-out conductors beside an object.
+ * Each check returns PASS, WARN (inside the warning margin) or FAIL with the
+ * id of the rule that decided it.
+ */
+
+export const WILDCARD = '*';
+
+export const CLEARANCE_DIRECTIONS = ['vertical', 'horizontal'];
+
+export const CLEARANCE_STATUS = {
+  PASS: 'PASS',
+  WARN: 'WARN',
+  FAIL: 'FAIL'
+};
+
+const DEFAULT_WARN_MARGIN = 2; // ft above the minimum that still earns a warning
+
+/**
+ * Built-in rule table. Values are rounded teaching figures loosely based on
+ * NESC vertical and horizontal clearances - load a utility's own table for real work.
+ */
+export const DEFAULT_CLEARANCE_RULES = {
+  name: 'GridScaper default (teaching values)',
+  units: 'ft',
+  warnMargin: DEFAULT_WARN_MARGIN,
+  rules: [
+    { id: 'DIST-GROUND', equipment: 'distribution', object: 'ground', clearance: 15 },
+    { id: 'DIST-ROAD', equipment: 'distribution', object: 'road', clearance: 16 },
+    { id: 'DIST-WATER', equipment: 'distribution', object: 'water', clearance: 14 },
+    { id: 'DIST-BLDG', equipment: 'distribution', object: 'building', clearance: 8 },
+    { id: 'DIST-VEG', equipment: 'distribution', object: 'vegetation', clearance: 5 },
+    { id: 'SUBT-GROUND', equipment: 'subTransmission', object: 'ground', clearance: 20 },
+    { id: 'SUBT-ROAD', equipment: 'subTransmission', object: 'road', clearance: 21 },
+    { id: 'SUBT-WATER', equipment: 'subTransmission', object: 'water', clearance: 19 },
+    { id: 'SUBT-BLDG', equipment: 'subTransmission', object: 'building', clearance: 10 },
+    { id: 'SUBT-VEG', equipment: 'subTransmission', object: 'vegetation', clearance: 10 },
+    { id: 'BULK-GROUND', equipment: 'bulkTransmission', object: 'ground', clearance: 28 },
+    { id: 'BULK-ROAD', equipment: 'bulkTransmission', object: 'road', clearance: 29 },
+    { id: 'BULK-WATER', equipment: 'bulkTransmission', object: 'water', clearance: 27 },
+    { id: 'BULK-BLDG', equipment: 'bulkTransmission', object: 'building', clearance: 18 },
+    { id: 'BULK-VEG', equipment: 'bulkTransmission', object: 'vegetation', clearance: 20 },
+    { id: 'GEN-GROUND', equipment: 'generation', object: 'ground', clearance: 18 },
+    { id: 'GEN-ROAD', equipment: 'generation', object: 'road', clearance: 19 },
+    { id: 'GEN-WATER', equipment: 'generation', object: 'water', clearance: 17 },
+    { id: 'GEN-BLDG', equipment: 'generation', object: 'building', clearance: 10 },
+    { id: 'GEN-VEG', equipment: 'generation', object: 'vegetation', clearance: 8 },
+    // Neutrals and communication cables under the primary (see utils/underbuild.js)
+    { id: 'COMM-GROUND', equipment: 'communication', object: 'ground', clearance: 12 },
+    // Rocks and anything else the table doesn't name are treated like open ground
+    { id: 'ANY-OTHER', equipment: WILDCARD, object: WILDCARD, clearance: 12 },
+    // Horizontal clearance from conductors swung out by the blowout wind
+    { id: 'DIST-BLDG-H', equipment: 'distribution', object: 'building', direction: 'horizontal', clearance: 5 },
+    { id: 'SUBT-BLDG-H', equipment: 'subTransmission', object: 'building', direction: 'horizontal', clearance: 8 },
+    { id: 'BULK-BLDG-H', equipment: 'bulkTransmission', object: 'building', direction: 'horizontal', clearance: 15 },
+    { id: 'GEN-BLDG-H', equipment: 'generation', object: 'building', direction: 'horizontal', clearance: 8 },
+    { id: 'ANY-OTHER-H', equipment: WILDCARD, object: WILDCARD, direction: 'horizontal', clearance: 5 }
+  ],
+  modifiers: [
+    { id: 'ENV-MOUNTAIN-SNOW', environment: 'mountain', object: 'ground', adder: 3 },
+    { id: 'ENV-COASTAL-SAILBOAT', environment: 'coastal', object: 'water', adder: 10 },
+    { id: 'ENV-CITY-BLDG', environment: 'city', object: 'building', adder: 2 }
+  ]
+};
+
+/**
+ * Whether a rule key matches a value
+ * @param {string|undefined} key - Rule key ('*' or missing matches anything)
+ * @param {string} value - Value being looked up
+ * @returns {boolean}
+ */
+function keyMatches(key, value) {
+  return key === undefined || key === WILDCARD || key === value;
+}
+
+/**
+ * Whether a rule or modifier applies in a direction (vertical when unset)
+ * @param {Object} entry - Rule or modifier
+ * @param {string} direction - 'vertical' or 'horizontal'
+ * @returns {boolean}
+ */
+function directionMatches(entry, direction) {
+  return (entry.direction ?? 'vertical') === direction;
+}
+
+/**
+ * Error for a rule or modifier with an unknown direction
+ * @param {Object} entry - Rule or modifier
+ * @param {string} label - How the entry is named in the error
+ * @returns {string|null}
+ */
+function checkDirection(entry, label) {
+  if (entry.direction === undefined || CLEARANCE_DIRECTIONS.includes(entry.direction)) return null;
+  return `${label} direction must be one of ${CLEARANCE_DIRECTIONS.join(', ')}`;
+}
+
+/**
+ * Check that a parsed rule table has the expected shape
+ * @param {Object} table - Parsed rule table
+ * @returns {Array<string>} Validation errors (empty when the table is usable)
+ */
+export function validateRuleTable(table) {
+  if (!table || typeof table !== 'object') {
+    return ['Invalid JSON data structure'];
+  }
+
+  const errors = [];
+  if (!Array.isArray(table.rules) || table.rules.length === 0) {
+    errors.push('Missing or empty rules array');
+  } else {
+    table.rules.forEach((rule, index) => {
+      if (!rule.id) errors.push(`Rule at index ${index} has no id`);
+      if (typeof rule.clearance !== 'number' || rule.clearance < 0) {
+        errors.push(`Rule ${rule.id || index} needs a non-negative clearance`);
+      }
+      if (rule.warnMargin !== undefined && (typeof rule.warnMargin !== 'number' || rule.warnMargin < 0)) {
+        errors.push(`Rule ${rule.id || index} warnMargin must be a non-negative number`);
+      }
+      const directionError = checkDirection(rule, `Rule ${rule.id || index}`);
+      if (directionError) errors.push(directionError);
+    });
+  }
+
+  if (table.modifiers !== undefined) {
+    if (!Array.isArray(table.modifiers)) {
+      errors.push('Modifiers must be an array');
+    } else {
+      table.modifiers.forEach((modifier, index) => {
+        if (!modifier.id) errors.push(`Modifier at index ${index} has no id`);
+        if (typeof modifier.adder !== 'number') {
+          errors.push(`Modifier ${modifier.id || index} needs a numeric adder`);
+        }
+        const directionError = checkDirection(modifier, `Modifier ${modifier.id || index}`);
+        if (directionError) errors.push(directionError);
+      });
+    }
+  }
+
+  if (table.warnMargin !== undefined && (typeof table.warnMargin !== 'number' || table.warnMargin < 0)) {
+    errors.push('warnMargin must be a non-negative number');
+  }
+
+  return errors;
+}
+
+/**
+ * Most specific rule for an equipment and object type.
+ * An exact object match outranks an exact equipment match; ties go to the earlier rule.
+ * @param {Object} table - Rule table
+ * @param {string} equipment - Equipment type (key of EQUIPMENT_COLORS)
+ * @param {string} object - Object type (ground, road, building, water, vegetation, ...)
+ * @param {string} [direction='vertical'] - 'vertical' or 'horizontal'
+ * @returns {Object|null} Matching rule
+ */
+export function findClearanceRule(table, equipment, object, direction = 'vertical') {
+  let best = null;
+  let bestScore = -1;
+  table.rules.forEach(rule => {
+    if (!directionMatches(rule, direction)) return;
+    if (!keyMatches(rule.equipment, equipment) || !keyMatches(rule.object, object)) return;
+    const score = (rule.object === object ? 2 : 0) + (rule.equipment === equipment ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Required clearance for an equipment type, object type and environment
+ * @param {Object} table - Rule table
+ * @param {{equipment: string, object: string, environment: string, direction: string}} context - What is being checked
+ *   (direction defaults to 'vertical')
+ * @returns {{ruleId: string, modifierIds: Array<string>, required: number, warning: number}|null}
+ *   Minimum clearance and the distance below which a WARN is raised, or null when no rule applies
+ */
+export function getRequiredClearance(table, { equipment, object, environment, direction = 'vertical' }) {
+  const rule = findClearanceRule(table, equipment, object, direction);
+  if (!rule) return null;
+
+  const modifiers = (table.modifiers || []).filter(modifier =>
+    directionMatches(modifier, direction) &&
+    keyMatches(modifier.environment, environment) &&
+    keyMatches(modifier.equipment, equipment) &&
+    keyMatches(modifier.object, object)
+  );
+  const required = rule.clearance + modifiers.reduce((sum, modifier) => sum + modifier.adder, 0);
+  const margin = rule.warnMargin ?? table.warnMargin ?? DEFAULT_WARN_MARGIN;
+
+  return {
+    ruleId: rule.id,
+    modifierIds: modifiers.map(modifier => modifier.id),
+    required,
+    warning: required + margin
+  };
+}
+
+/**
+ * Grade a measured clearance against the rule table
+ * @param {Object} table - Rule table
+ * @param {{equipment: string, object: string, environment: string, direction: string}} context - What is being checked
+ * @param {number} distance - Measured clearance (ft)
+ * @returns {{status: string, ruleId: string, modifierIds: Array<string>, required: number, warning: number, distance: number}|null}
+ *   Result with PASS/WARN/FAIL, or null when no rule applies
+ */
+export function evaluateClearance(table, context, distance) {
+  const requirement = getRequiredClearance(table, context);
+  if (!requirement) return null;
+
+  let status = CLEARANCE_STATUS.PASS;
+  if (distance < requirement.required) {
+    status = CLEARANCE_STATUS.FAIL;
+  } else if (distance < requirement.warning) {
+    status = CLEARANCE_STATUS.WARN;
+  }
+
+  return { ...requirement, status, distance };
+}
@@ -0,0 +1,93 @@
+/**
+ * Conductor Spacing Utilities for GridScaper
+ *
+ * Conductors on the same structure are far enough apart at the crossarm, but
+ * they can close up at midspan: spans with different sags hang at different
+ * depths, and a gust can swing one conductor toward a neighbour that is still
+ * hanging at rest. These helpers find the closest approach between every
+ * pair of conductors in a span.
+ */
+
+/**
+ * Distance from a point to a line segment
+ * @param {{x: number, y: number, z: number}} p - Point
+ * @param {{x: number, y: number, z: number}} a - Segment start
+ * @param {{x: number, y: number, z: number}} b - Segment end
+ * @returns {{distance: number, point: {x: number, y: number, z: number}}} Distance and the closest point on the segment
+ */
+function pointToSegment(p, a, b) {
+  const abX = b.x - a.x;
+  const abY = b.y - a.y;
+  const abZ = b.z - a.z;
+  const lengthSq = abX * abX + abY * abY + abZ * abZ;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((p.x - a.x) * abX + (p.y - a.y) * abY + (p.z - a.z) * abZ) / lengthSq))
+    : 0;
+  const point = { x: a.x + abX * t, y: a.y + abY * t, z: a.z + abZ * t };
+  return { distance: Math.hypot(p.x - point.x, p.y - point.y, p.z - point.z), point };
+}
+
+/**
+ * Closest approach between two conductors given as polylines
+ * @param {Array<{x: number, y: number, z: number}>} pointsA - First conductor, in order along the span
+ * @param {Array<{x: number, y: number, z: number}>} pointsB - Second conductor, in order along the span
+ * @returns {{distance: number, pointA: Object, pointB: Object}|null} Separation and the closest points, or null for empty input
+ */
+export function closestApproach(pointsA, pointsB) {
+  let closest = null;
+  const consider = (points, segments, swap) => {
+    points.forEach(p => {
+      for (let i = 0; i < segments.length - 1; i++) {
+        const { distance, point } = pointToSegment(p, segments[i], segments[i + 1]);
+        if (!closest || distance < closest.distance) {
+          closest = swap
+            ? { distance, pointA: point, pointB: p }
+            : { distance, pointA: p, pointB: point };
+        }
+      }
+    });
+  };
+  consider(pointsA, pointsB, false);
+  consider(pointsB, pointsA, true);
+  return closest;
+}
+
+/**
+ * Closest approach between any two conductors of a span.
+ *
+ * Each conductor is checked hanging still against its neighbours, and swung
+ * by the wind (either way) against neighbours hanging at rest.
+ *
+ * @param {Array<Object>} conductors - Conductors of one span
+ * @param {Array<Object>} conductors[].still - Points at the clearance loading case
+ * @param {Array<Object>} [conductors[].rest] - Points at rest for the blowout comparison
+ * @param {Array<Array<Object>>} [conductors[].blown] - Points swung by the wind, one array per wind direction
+ * @returns {{distance: number, pointA: Object, pointB: Object, condition: string, conductors: Array<number>}|null}
+ *   The closest pair ('sag' when both hang still, 'blowout' when one is swung), or null with fewer than two conductors
+ */
+export function findClosestConductorApproach(conductors) {
+  let closest = null;
+  const update = (approach, condition, i, j) => {
+    if (approach && (!closest || approach.distance < closest.distance)) {
+      closest = { ...approach, condition, conductors: [i, j] };
+    }
+  };
+
+  for (let i = 0; i < conductors.length; i++) {
+    for (let j = i + 1; j < conductors.length; j++) {
+      const first = conductors[i];
+      const second = conductors[j];
+      update(closestApproach(first.still, second.still), 'sag', i, j);
+
+      // One conductor swings while its neighbour hangs at rest
+      (first.blown || []).forEach(points => {
+        if (second.rest) update(closestApproach(points, second.rest), 'blowout', i, j);
+      });
+      (second.blown || []).forEach(points => {
+        if (first.rest) update(closestApproach(first.rest, points), 'blowout', i, j);
+      });
+    }
+  }
+
+  return closest;
+}
@@ -0,0 +1,101 @@
+/**
+ * Conductor Library for GridScaper
+ *
+ * Physical properties of common overhead conductors. Values are typical
+ * manufacturer figures rounded for teaching - check a data sheet before
+ * using them for real design work.
+ */
+
+/**
+ * Conductor catalog keyed by conductor id.
+ * Units: weight lb/ft, diameter in, area in² (total), modulus psi,
+ * thermalExpansion per °F, ratedStrength (rated breaking strength) lbs,
+ * resistance25/resistance75 (AC resistance at 25°C and 75°C) ohm/mile.
+ */
+export const CONDUCTOR_LIBRARY = {
+  raven: {
+    name: '1/0 ACSR "Raven"',
+    type: 'ACSR',
+    weight: 0.1452,
+    diameter: 0.398,
+    area: 0.0968,
+    modulus: 11.5e6,
+    thermalExpansion: 10.6e-6,
+    ratedStrength: 4380,
+    resistance25: 0.888,
+    resistance75: 1.12
+  },
+  azusa: {
+    name: '1/0 AAAC "Azusa"',
+    type: 'AAAC',
+    weight: 0.1158,
+    diameter: 0.398,
+    area: 0.0968,
+    modulus: 8.0e6,
+    thermalExpansion: 12.8e-6,
+    ratedStrength: 4460,
+    resistance25: 0.97,
+    resistance75: 1.16
+  },
+  penguin: {
+    name: '4/0 ACSR "Penguin"',
+    type: 'ACSR',
+    weight: 0.291,
+    diameter: 0.563,
+    area: 0.1939,
+    modulus: 11.5e6,
+    thermalExpansion: 10.6e-6,
+    ratedStrength: 8350,
+    resistance25: 0.445,
+    resistance75: 0.592
+  },
+  linnet: {
+    name: '336.4 ACSR "Linnet"',
+    type: 'ACSR',
+    weight: 0.463,
+    diameter: 0.721,
+    area: 0.3070,
+    modulus: 11.0e6,
+    thermalExpansion: 10.5e-6,
+    ratedStrength: 14100,
+    resistance25: 0.278,
+    resistance75: 0.334
+  },
+  hawk: {
+    name: '477 ACSR "Hawk"',
+    type: 'ACSR',
+    weight: 0.656,
+    diameter: 0.858,
+    area: 0.4356,
+    modulus: 11.0e6,
+    thermalExpansion: 10.5e-6,
+    ratedStrength: 19500,
+    resistance25: 0.193,
+    resistance75: 0.232
+  },
+  drake: {
+    name: '795 ACSR "Drake"',
+    type: 'ACSR',
+    weight: 1.094,
+    diameter: 1.108,
+    area: 0.7264,
+    modulus: 11.0e6,
+    thermalExpansion: 10.5e-6,
+    ratedStrength: 31200,
+    resistance25: 0.117,
+    resistance75: 0.14
+  }
+};
+
+export const DEFAULT_CONDUCTOR_ID = 'linnet';
+
+export const DEFAULT_CONDUCTOR = CONDUCTOR_LIBRARY[DEFAULT_CONDUCTOR_ID];
+
+/**
+ * Look up a conductor by id, falling back to the default conductor
+ * @param {string} id - Key into CONDUCTOR_LIBRARY
+ * @returns {Object} Conductor properties
+ */
+export function getConductor(id) {
+  return CONDUCTOR_LIBRARY[id] || DEFAULT_CONDUCTOR;
+}
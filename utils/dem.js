@@ -0,0 +1,799 @@
+/**
+ * Digital Elevation Models for GridScaper
+ *
+ * A DEM is a raster of ground elevations - one value per cell on a regular
+ * grid - exported from GIS tools as an ESRI ASCII grid (.asc) or a GeoTIFF.
+ * Both are parsed here in the browser into the same grid:
+ *
+ *   cols, rows           - cells across and down
+ *   cellSizeX, cellSizeY - cell width (easting) and height (northing)
+ *   west, north          - easting of the left edge and northing of the top edge
+ *   values               - Float32Array, row by row from the north; NaN where there is no data
+ *   horizontalUnits      - 'm', 'ft', 'usft' or 'degrees', or null when the file doesn't say
+ *   verticalUnits        - 'm', 'ft' or 'usft', or null when the file doesn't say
+ *
+ * For a scene the grid is converted to feet around its centre - x east, z
+ * north, elevations above its lowest cell - optionally cropped to the scene
+ * extent and resampled onto the terrain mesh, and sampled bilinearly between
+ * cell centres, so poles sit on the same 2D hillside the mesh shows.
+ */
+
+/** Feet per unit of a DEM's linear units */
+export const DEM_LINEAR_UNITS = {
+  m: { label: 'Meters', feet: 3.28084 },
+  ft: { label: 'Feet', feet: 1 },
+  usft: { label: 'US survey feet', feet: 1200 / 3937 * 3.28084 }
+};
+
+/** Largest DEM read, in cells */
+export const MAX_DEM_CELLS = 16e6;
+
+/** Widest scene a DEM can cover without cropping (ft) */
+export const MAX_DEM_EXTENT = 5000;
+
+// Length of a degree of latitude (m)
+const METERS_PER_DEGREE = Math.PI / 180 * 6378137;
+
+// EPSG unit codes in GeoTIFF keys
+const EPSG_UNITS = { 9001: 'm', 9002: 'ft', 9003: 'usft' };
+
+/**
+ * Parse an ESRI ASCII grid
+ * @param {string} text - File contents
+ * @returns {Object} DEM grid
+ */
+export function parseAsciiGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let index = 0;
+  while (index < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[index])) {
+    header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+    index += 2;
+  }
+
+  const cols = header.ncols;
+  const rows = header.nrows;
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 2 || rows < 2) {
+    throw new Error('ASCII grid needs ncols and nrows of at least 2');
+  }
+  if (cols * rows > MAX_DEM_CELLS) {
+    throw new Error(`DEM is too large (${cols}×${rows} cells)`);
+  }
+  const cellSizeX = header.cellsize ?? header.dx;
+  const cellSizeY = header.cellsize ?? header.dy;
+  if (!(cellSizeX > 0) || !(cellSizeY > 0)) {
+    throw new Error('ASCII grid needs a positive cellsize');
+  }
+
+  // Lower-left corner, or the centre of the lower-left cell
+  let west = header.xllcorner;
+  let south = header.yllcorner;
+  if (west === undefined && header.xllcenter !== undefined) west = header.xllcenter - cellSizeX / 2;
+  if (south === undefined && header.yllcenter !== undefined) south = header.yllcenter - cellSizeY / 2;
+  if (!Number.isFinite(west) || !Number.isFinite(south)) {
+    throw new Error('ASCII grid needs xllcorner/yllcorner or xllcenter/yllcenter');
+  }
+
+  const count = cols * rows;
+  if (tokens.length - index < count) {
+    throw new Error(`ASCII grid has ${tokens.length - index} values, expected ${count}`);
+  }
+  const noData = header.nodata_value;
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const value = Number(tokens[index + i]);
+    values[i] = Number.isFinite(value) && value !== noData ? value : NaN;
+  }
+
+  return {
+    cols,
+    rows,
+    cellSizeX,
+    cellSizeY,
+    west,
+    north: south + rows * cellSizeY,
+    values,
+    horizontalUnits: null,
+    verticalUnits: null
+  };
+}
+
+/* ------- GeoTIFF ------- */
+
+// Bytes per value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Values of a TIFF directory entry
+ * @param {DataView} view - File contents
+ * @param {number} offset - Offset of the 12-byte entry
+ * @param {boolean} little - Little-endian byte order
+ * @returns {{tag: number, values: Array<number>|string}}
+ */
+function readTiffEntry(view, offset, little) {
+  const tag = view.getUint16(offset, little);
+  const type = view.getUint16(offset + 2, little);
+  const count = view.getUint32(offset + 4, little);
+  const size = TIFF_TYPE_SIZES[type];
+  if (!size) return { tag, values: [] };
+  const start = size * count <= 4 ? offset + 8 : view.getUint32(offset + 8, little);
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = start + i * size;
+    switch (type) {
+      case 3: values.push(view.getUint16(at, little)); break;
+      case 4: values.push(view.getUint32(at, little)); break;
+      case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 8: values.push(view.getInt16(at, little)); break;
+      case 9: values.push(view.getInt32(at, little)); break;
+      case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+      case 11: values.push(view.getFloat32(at, little)); break;
+      case 12: values.push(view.getFloat64(at, little)); break;
+      default: values.push(view.getUint8(at));
+    }
+  }
+  if (type === 2) {
+    return { tag, values: String.fromCharCode(...values).replace(/\0+$/, '') };
+  }
+  return { tag, values };
+}
+
+/**
+ * Decode TIFF LZW data
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} size - Decoded length in bytes
+ * @returns {Uint8Array}
+ */
+function decodeLzw(input, size) {
+  const output = new Uint8Array(size);
+  let written = 0;
+  let bitPos = 0;
+  let codeLength = 9;
+  let table = [];
+  let previous = null;
+
+  const resetTable = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+    table.push(null, null); // Clear and end-of-information codes
+    codeLength = 9;
+  };
+  resetTable();
+
+  while (written < size && bitPos + codeLength <= input.length * 8) {
+    // Codes are packed most significant bit first
+    let code = 0;
+    for (let i = 0; i < codeLength; i++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    if (code === 257) break;
+    if (code === 256) {
+      resetTable();
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+    } else if (code === table.length && previous) {
+      entry = new Uint8Array(previous.length + 1);
+      entry.set(previous);
+      entry[previous.length] = previous[0];
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF');
+    }
+
+    output.set(entry.subarray(0, size - written), written);
+    written += entry.length;
+
+    if (previous) {
+      const added = new Uint8Array(previous.length + 1);
+      added.set(previous);
+      added[previous.length] = entry[0];
+      table.push(added);
+    }
+    previous = entry;
+    // TIFF switches to the next code length one code early
+    if (table.length + 1 >= (1 << codeLength) && codeLength < 12) codeLength++;
+  }
+  return output;
+}
+
+/**
+ * Decode TIFF PackBits data
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} size - Decoded length in bytes
+ * @returns {Uint8Array}
+ */
+function decodePackBits(input, size) {
+  const output = new Uint8Array(size);
+  let written = 0;
+  let i = 0;
+  while (i < input.length && written < size) {
+    const n = (input[i++] << 24) >> 24;
+    if (n >= 0) {
+      const run = input.subarray(i, i + n + 1).subarray(0, size - written);
+      output.set(run, written);
+      written += run.length;
+      i += n + 1;
+    } else if (n !== -128) {
+      const run = Math.min(1 - n, size - written);
+      output.fill(input[i++], written, written + run);
+      written += run;
+    }
+  }
+  return output;
+}
+
+/**
+ * Decode zlib-wrapped Deflate data
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function decodeDeflate(input) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read Deflate-compressed GeoTIFFs');
+  }
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Values of one strip or tile
+ * @param {Uint8Array} bytes - Decompressed bytes
+ * @param {Object} layout - Sample layout ({bytes, format, predictor, little})
+ * @param {number} width - Samples in each row of the block
+ * @param {number} rows - Rows in the block
+ * @returns {Float64Array}
+ */
+function readBlock(bytes, layout, width, rows) {
+  let little = layout.little;
+  if (layout.predictor === 3) {
+    // Floating point predictor: byte differences along each row, with the
+    // bytes of a row split into planes from the most significant down
+    const rowBytes = width * layout.bytes;
+    const shuffled = new Uint8Array(bytes.length);
+    for (let row = 0; row < rows; row++) {
+      const start = row * rowBytes;
+      for (let i = 1; i < rowBytes; i++) {
+        bytes[start + i] = (bytes[start + i] + bytes[start + i - 1]) & 0xff;
+      }
+      for (let i = 0; i < width; i++) {
+        for (let b = 0; b < layout.bytes; b++) {
+          shuffled[start + i * layout.bytes + b] = bytes[start + b * width + i];
+        }
+      }
+    }
+    bytes = shuffled;
+    little = false;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = width * rows;
+  const samples = new layout.ArrayType(count);
+  for (let i = 0; i < count && (i + 1) * layout.bytes <= bytes.length; i++) {
+    samples[i] = layout.read(view, i * layout.bytes, little);
+  }
+
+  if (layout.predictor === 2) {
+    // Horizontal differencing; integer arrays wrap the way the encoder did
+    for (let row = 0; row < rows; row++) {
+      for (let i = 1; i < width; i++) {
+        samples[row * width + i] += samples[row * width + i - 1];
+      }
+    }
+  }
+  return Float64Array.from(samples);
+}
+
+/**
+ * Sample layout of a TIFF from its bits per sample and sample format
+ * @param {number} bits - Bits per sample
+ * @param {number} format - SampleFormat (1 unsigned, 2 signed, 3 floating point)
+ * @returns {{bytes: number, ArrayType: Function, read: Function}}
+ */
+function getSampleLayout(bits, format) {
+  const layouts = {
+    '1:8': [Uint8Array, (v, o) => v.getUint8(o)],
+    '2:8': [Int8Array, (v, o) => v.getInt8(o)],
+    '1:16': [Uint16Array, (v, o, l) => v.getUint16(o, l)],
+    '2:16': [Int16Array, (v, o, l) => v.getInt16(o, l)],
+    '1:32': [Uint32Array, (v, o, l) => v.getUint32(o, l)],
+    '2:32': [Int32Array, (v, o, l) => v.getInt32(o, l)],
+    '3:32': [Float32Array, (v, o, l) => v.getFloat32(o, l)],
+    '3:64': [Float64Array, (v, o, l) => v.getFloat64(o, l)]
+  };
+  const layout = layouts[`${format}:${bits}`];
+  if (!layout) {
+    throw new Error(`Unsupported GeoTIFF sample type (${bits}-bit, format ${format})`);
+  }
+  return { bytes: bits / 8, ArrayType: layout[0], read: layout[1] };
+}
+
+/**
+ * Parse a single-band GeoTIFF. Strips and tiles, uncompressed, LZW, Deflate
+ * or PackBits, with or without a predictor; BigTIFF is not supported.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} DEM grid
+ */
+export async function parseGeoTiff(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const order = view.byteLength >= 8 ? view.getUint16(0) : 0;
+  if (order !== 0x4949 && order !== 0x4d4d) {
+    throw new Error('Not a TIFF file');
+  }
+  const little = order === 0x4949;
+  const version = view.getUint16(2, little);
+  if (version === 43) throw new Error('BigTIFF files are not supported');
+  if (version !== 42) throw new Error('Not a TIFF file');
+
+  // First image in the file
+  const ifd = view.getUint32(4, little);
+  const tags = {};
+  const entryCount = view.getUint16(ifd, little);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = readTiffEntry(view, ifd + 2 + i * 12, little);
+    tags[entry.tag] = entry.values;
+  }
+  const tag = (id, fallback) => tags[id]?.[0] ?? fallback;
+
+  const cols = tag(256);
+  const rows = tag(257);
+  if (!(cols > 1) || !(rows > 1)) throw new Error('GeoTIFF needs at least 2×2 pixels');
+  if (cols * rows > MAX_DEM_CELLS) throw new Error(`DEM is too large (${cols}×${rows} cells)`);
+  if (tag(277, 1) !== 1) throw new Error('GeoTIFF must have a single band');
+
+  const compression = tag(259, 1);
+  if (![1, 5, 8, 32773, 32946].includes(compression)) {
+    throw new Error(`Unsupported GeoTIFF compression (${compression})`);
+  }
+  const layout = {
+    ...getSampleLayout(tag(258, 1), tag(339, 1)),
+    predictor: tag(317, 1),
+    little
+  };
+
+  // Strips are blocks the full width of the image
+  const tiled = tags[322] !== undefined;
+  const blockWidth = tiled ? tag(322) : cols;
+  const blockHeight = tiled ? tag(323) : Math.min(tag(278, rows), rows);
+  const offsets = tiled ? tags[324] : tags[273];
+  const byteCounts = tiled ? tags[325] : tags[279];
+  if (!offsets || !byteCounts) throw new Error('GeoTIFF has no image data');
+  const blocksAcross = Math.ceil(cols / blockWidth);
+
+  const values = new Float32Array(cols * rows);
+  const noDataText = typeof tags[42113] === 'string' ? tags[42113].trim() : '';
+  let noData = noDataText !== '' ? Number(noDataText) : null;
+  // 32-bit float samples only match the no-data value rounded to float precision
+  if (noData !== null && layout.ArrayType === Float32Array) noData = Math.fround(noData);
+
+  for (let b = 0; b < offsets.length; b++) {
+    const x0 = (b % blocksAcross) * blockWidth;
+    const y0 = Math.floor(b / blocksAcross) * blockHeight;
+    if (y0 >= rows) break;
+    // A strip at the bottom may stop at the last row; a tile is always whole
+    const blockRows = tiled ? blockHeight : Math.min(blockHeight, rows - y0);
+    const size = blockWidth * blockRows * layout.bytes;
+    const raw = bytes.subarray(offsets[b], offsets[b] + byteCounts[b]);
+
+    let data;
+    if (compression === 5) data = decodeLzw(raw, size);
+    else if (compression === 32773) data = decodePackBits(raw, size);
+    else if (compression === 8 || compression === 32946) data = await decodeDeflate(raw);
+    else data = raw.slice();
+
+    const block = readBlock(data, layout, blockWidth, blockRows);
+    for (let row = 0; row < blockRows && y0 + row < rows; row++) {
+      for (let col = 0; col < blockWidth && x0 + col < cols; col++) {
+        const value = block[row * blockWidth + col];
+        values[(y0 + row) * cols + x0 + col] = value === noData || !Number.isFinite(value) ? NaN : value;
+      }
+    }
+  }
+
+  return { cols, rows, values, ...readGeoreference(tags) };
+}
+
+/**
+ * Cell size, origin and units from a TIFF's GeoTIFF tags
+ * @param {Object} tags - Tag id -> values
+ * @returns {Object} cellSizeX, cellSizeY, west, north, horizontalUnits, verticalUnits and
+ *   georeferenced (false for a plain TIFF, placed with 1-unit cells)
+ */
+function readGeoreference(tags) {
+  // GeoKeyDirectory: a header of four shorts, then four per key
+  const keys = {};
+  const directory = tags[34735] || [];
+  for (let i = 4; i + 3 < directory.length; i += 4) {
+    const [id, location, , value] = directory.slice(i, i + 4);
+    if (location === 0) keys[id] = value;
+  }
+  const geographic = keys[1024] === 2;
+  const pixelIsPoint = keys[1025] === 2;
+
+  let cellSizeX = 1;
+  let cellSizeY = 1;
+  let west = 0;
+  let north = 0;
+  let georeferenced = true;
+  const scale = tags[33550];
+  const tiepoint = tags[33922];
+  const transform = tags[34264];
+  if (scale && tiepoint) {
+    [cellSizeX, cellSizeY] = scale;
+    west = tiepoint[3] - tiepoint[0] * cellSizeX;
+    north = tiepoint[4] + tiepoint[1] * cellSizeY;
+  } else if (transform && transform.length >= 8) {
+    if (transform[1] !== 0 || transform[4] !== 0) {
+      throw new Error('Rotated GeoTIFFs are not supported');
+    }
+    cellSizeX = transform[0];
+    cellSizeY = -transform[5];
+    west = transform[3];
+    north = transform[7];
+  } else {
+    georeferenced = false;
+  }
+  if (!(cellSizeX > 0) || !(cellSizeY > 0)) {
+    throw new Error('GeoTIFF must have north-up pixels with a positive size');
+  }
+  // Point rasters are tied at the centre of the first pixel rather than its corner
+  if (pixelIsPoint && georeferenced) {
+    west -= cellSizeX / 2;
+    north += cellSizeY / 2;
+  }
+
+  return {
+    cellSizeX,
+    cellSizeY,
+    west,
+    north,
+    horizontalUnits: geographic ? 'degrees' : EPSG_UNITS[keys[3076]] || null,
+    verticalUnits: EPSG_UNITS[keys[4099]] || null,
+    georeferenced
+  };
+}
+
+/**
+ * Parse a DEM file by its extension: .asc or .txt as an ESRI ASCII grid,
+ * anything else as a GeoTIFF
+ * @param {string} name - File name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} DEM grid
+ */
+export async function parseDem(name, buffer) {
+  if (/\.(asc|txt)$/i.test(name)) {
+    return parseAsciiGrid(new TextDecoder().decode(buffer));
+  }
+  return parseGeoTiff(buffer);
+}
+
+/* ------- sampling ------- */
+
+/**
+ * Lowest and highest elevations in a grid
+ * @param {Object} grid - DEM grid
+ * @returns {{min: number, max: number, valid: number}} Extremes and the number of cells with data
+ */
+export function getDemStats(grid) {
+  let min = Infinity;
+  let max = -Infinity;
+  let valid = 0;
+  grid.values.forEach(value => {
+    if (Number.isNaN(value)) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+    valid++;
+  });
+  return { min, max, valid };
+}
+
+/**
+ * Elevation between cell centres, interpolated bilinearly. Cells without
+ * data are left out of the weighting; points beyond the outer cell centres
+ * take the edge value.
+ * @param {Object} grid - DEM grid
+ * @param {number} x - Easting
+ * @param {number} y - Northing
+ * @returns {number} Elevation, or NaN where none of the four cells has data
+ */
+export function sampleDem(grid, x, y) {
+  const { cols, rows, values } = grid;
+  const fx = Math.min(Math.max((x - grid.west) / grid.cellSizeX - 0.5, 0), cols - 1);
+  const fy = Math.min(Math.max((grid.north - y) / grid.cellSizeY - 0.5, 0), rows - 1);
+  const col = Math.min(Math.floor(fx), cols - 2);
+  const row = Math.min(Math.floor(fy), rows - 2);
+  const tx = fx - col;
+  const ty = fy - row;
+
+  let sum = 0;
+  let weight = 0;
+  [[0, 0, (1 - tx) * (1 - ty)], [1, 0, tx * (1 - ty)], [0, 1, (1 - tx) * ty], [1, 1, tx * ty]]
+    .forEach(([dx, dy, w]) => {
+      const value = values[(row + dy) * cols + col + dx];
+      if (w > 0 && !Number.isNaN(value)) {
+        sum += value * w;
+        weight += w;
+      }
+    });
+  return weight > 0 ? sum / weight : NaN;
+}
+
+/**
+ * Cells of a grid inside a window
+ * @param {Object} grid - DEM grid
+ * @param {{west: number, east: number, south: number, north: number}} bounds - Window in grid units
+ * @returns {Object} DEM grid of every cell overlapping the window
+ */
+export function cropDem(grid, bounds) {
+  const firstCol = Math.max(0, Math.floor((bounds.west - grid.west) / grid.cellSizeX));
+  const lastCol = Math.min(grid.cols - 1, Math.ceil((bounds.east - grid.west) / grid.cellSizeX) - 1);
+  const firstRow = Math.max(0, Math.floor((grid.north - bounds.north) / grid.cellSizeY));
+  const lastRow = Math.min(grid.rows - 1, Math.ceil((grid.north - bounds.south) / grid.cellSizeY) - 1);
+  if (lastCol - firstCol < 1 || lastRow - firstRow < 1) {
+    throw new Error('Crop leaves fewer than 2×2 DEM cells');
+  }
+
+  const cols = lastCol - firstCol + 1;
+  const rows = lastRow - firstRow + 1;
+  const values = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    const start = (firstRow + row) * grid.cols + firstCol;
+    values.set(grid.values.subarray(start, start + cols), row * cols);
+  }
+  return {
+    ...grid,
+    cols,
+    rows,
+    west: grid.west + firstCol * grid.cellSizeX,
+    north: grid.north - firstRow * grid.cellSizeY,
+    values
+  };
+}
+
+/**
+ * Grid resampled to a number of cells with bilinear sampling. The outer cell
+ * centres stay where they are, so the grid covers the same ground.
+ * @param {Object} grid - DEM grid
+ * @param {number} cols - Cells across
+ * @param {number} rows - Cells down
+ * @returns {Object} DEM grid
+ */
+export function resampleDem(grid, cols, rows) {
+  const cellSizeX = (grid.cols - 1) * grid.cellSizeX / (cols - 1);
+  const cellSizeY = (grid.rows - 1) * grid.cellSizeY / (rows - 1);
+  const firstX = grid.west + grid.cellSizeX / 2;
+  const firstY = grid.north - grid.cellSizeY / 2;
+  const values = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      values[row * cols + col] = sampleDem(grid, firstX + col * cellSizeX, firstY - row * cellSizeY);
+    }
+  }
+  return {
+    ...grid,
+    cols,
+    rows,
+    cellSizeX,
+    cellSizeY,
+    west: firstX - cellSizeX / 2,
+    north: firstY + cellSizeY / 2,
+    values
+  };
+}
+
+/**
+ * Grid with its cells without data filled in from their neighbours, growing
+ * inward from the edges of each gap
+ * @param {Object} grid - DEM grid with at least one cell of data
+ * @returns {{grid: Object, filled: number}} Filled grid and the number of cells filled
+ */
+function fillDemGaps(grid) {
+  const { cols, rows } = grid;
+  const values = Float32Array.from(grid.values);
+  let gaps = values.reduce((count, value) => count + (Number.isNaN(value) ? 1 : 0), 0);
+  const filled = gaps;
+
+  while (gaps > 0) {
+    const before = gaps;
+    const next = Float32Array.from(values);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (!Number.isNaN(values[row * cols + col])) continue;
+        let sum = 0;
+        let count = 0;
+        [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dx, dy]) => {
+          const c = col + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+          const value = values[r * cols + c];
+          if (!Number.isNaN(value)) {
+            sum += value;
+            count++;
+          }
+        });
+        if (count > 0) {
+          next[row * cols + col] = sum / count;
+          gaps--;
+        }
+      }
+    }
+    values.set(next);
+    // Nothing left to grow from, e.g. a grid with no data at all
+    if (gaps === before) break;
+  }
+  return { grid: { ...grid, values }, filled: filled - gaps };
+}
+
+/* ------- scene surface ------- */
+
+/**
+ * Feet per grid unit east and north
+ * @param {Object} grid - DEM grid
+ * @param {string} horizontalUnits - Key into DEM_LINEAR_UNITS, or 'degrees'
+ * @returns {{x: number, y: number}}
+ */
+function getFeetPerUnit(grid, horizontalUnits) {
+  if (horizontalUnits === 'degrees') {
+    // A degree of longitude shrinks with the cosine of the latitude
+    const latitude = grid.north - grid.rows * grid.cellSizeY / 2;
+    const feet = METERS_PER_DEGREE * DEM_LINEAR_UNITS.m.feet;
+    return { x: feet * Math.cos(latitude * Math.PI / 180), y: feet };
+  }
+  const feet = (DEM_LINEAR_UNITS[horizontalUnits] || DEM_LINEAR_UNITS.m).feet;
+  return { x: feet, y: feet };
+}
+
+/**
+ * Ground a grid covers, between its outer cell centres
+ * @param {Object} grid - DEM grid
+ * @param {string} [horizontalUnits='m'] - Key into DEM_LINEAR_UNITS, or 'degrees'
+ * @returns {{width: number, depth: number}} Extent (ft)
+ */
+export function getDemExtent(grid, horizontalUnits = 'm') {
+  const feet = getFeetPerUnit(grid, horizontalUnits);
+  return {
+    width: (grid.cols - 1) * grid.cellSizeX * feet.x,
+    depth: (grid.rows - 1) * grid.cellSizeY * feet.y
+  };
+}
+
+/**
+ * Height function over a scene grid: bilinear, and 0 where there is no data
+ * @param {Object} grid - Scene grid from createDemSurface
+ * @returns {Function} (x, z) => height (ft)
+ */
+export function createDemElevationFunction(grid) {
+  return (x, z) => {
+    const height = sampleDem(grid, x, z);
+    return Number.isNaN(height) ? 0 : height;
+  };
+}
+
+/**
+ * Terrain surface from a DEM grid. The grid is converted to feet around its
+ * centre - x east, z north - and its elevations to feet above its lowest cell.
+ * Cells without data are filled in from the cells around them.
+ *
+ * @param {Object} grid - DEM grid
+ * @param {Object} [options]
+ * @param {string} [options.horizontalUnits] - Key into DEM_LINEAR_UNITS, or 'degrees'; defaults to the grid's own, then meters
+ * @param {string} [options.verticalUnits] - Key into DEM_LINEAR_UNITS; defaults to the grid's own, then meters
+ * @param {number} [options.heightScale=1] - Vertical exaggeration
+ * @param {{width: number, depth: number}|null} [options.crop=null] - Scene extent (ft) to crop to, around the DEM centre
+ * @param {number|null} [options.resolution=null] - Samples across and down to resample to, e.g. the terrain mesh's
+ * @returns {Object} grid (scene grid, feet), elevationFunction, width and depth (ft) and metadata
+ */
+export function createDemSurface(grid, {
+  horizontalUnits = grid.horizontalUnits || 'm',
+  verticalUnits = grid.verticalUnits || 'm',
+  heightScale = 1,
+  crop = null,
+  resolution = null
+} = {}) {
+  const stats = getDemStats(grid);
+  if (stats.valid === 0) throw new Error('DEM has no elevation data');
+
+  const feet = getFeetPerUnit(grid, horizontalUnits);
+  const vertical = (DEM_LINEAR_UNITS[verticalUnits] || DEM_LINEAR_UNITS.m).feet;
+  const extent = getDemExtent(grid, horizontalUnits);
+  let scene = {
+    ...grid,
+    cellSizeX: grid.cellSizeX * feet.x,
+    cellSizeY: grid.cellSizeY * feet.y,
+    west: -extent.width / 2 - grid.cellSizeX * feet.x / 2,
+    north: extent.depth / 2 + grid.cellSizeY * feet.y / 2,
+    values: grid.values.map(value => value * vertical),
+    horizontalUnits: 'ft',
+    verticalUnits: 'ft'
+  };
+
+  if (crop) {
+    scene = cropDem(scene, { west: -crop.width / 2, east: crop.width / 2, south: -crop.depth / 2, north: crop.depth / 2 });
+  }
+  if (resolution) {
+    scene = resampleDem(scene, Math.min(scene.cols, resolution), Math.min(scene.rows, resolution));
+  }
+  if (getDemStats(scene).valid === 0) {
+    throw new Error(crop
+      ? 'The cropped area of the DEM has no elevation data; crop a larger area or turn cropping off'
+      : 'DEM has no elevation data');
+  }
+
+  const gaps = fillDemGaps(scene);
+  scene = gaps.grid;
+
+  // Centre the (cropped) grid on the scene origin
+  const width = (scene.cols - 1) * scene.cellSizeX;
+  const depth = (scene.rows - 1) * scene.cellSizeY;
+  if (width > MAX_DEM_EXTENT || depth > MAX_DEM_EXTENT) {
+    throw new Error(`DEM covers ${Math.round(width)}×${Math.round(depth)} ft; crop it to at most ${MAX_DEM_EXTENT} ft`);
+  }
+  scene.west = -width / 2 - scene.cellSizeX / 2;
+  scene.north = depth / 2 + scene.cellSizeY / 2;
+
+  const sceneStats = getDemStats(scene);
+  const base = sceneStats.min;
+  scene.values = scene.values.map(value => (value - base) * heightScale);
+
+  return {
+    grid: scene,
+    elevationFunction: createDemElevationFunction(scene),
+    width,
+    depth,
+    metadata: {
+      cols: scene.cols,
+      rows: scene.rows,
+      cellSize: Math.max(scene.cellSizeX, scene.cellSizeY),
+      baseElevation: base,
+      relief: (sceneStats.max - base) * heightScale,
+      filledCells: gaps.filled
+    }
+  };
+}
+
+/**
+ * Scene grid as saved in a scene file
+ * @param {Object} grid - Scene grid from createDemSurface
+ * @returns {Object} Plain object; cells without data are null
+ */
+export function serializeDem(grid) {
+  return {
+    cols: grid.cols,
+    rows: grid.rows,
+    cellSizeX: grid.cellSizeX,
+    cellSizeY: grid.cellSizeY,
+    west: grid.west,
+    north: grid.north,
+    values: Array.from(grid.values, value => (Number.isNaN(value) ? null : Math.round(value * 100) / 100))
+  };
+}
+
+/**
+ * Scene grid read from a scene file
+ * @param {Object} data - Saved grid
+ * @returns {Object|null} Scene grid, or null when the data doesn't describe one
+ */
+export function sanitizeDem(data) {
+  if (!data || !Array.isArray(data.values)) return null;
+  const { cols, rows, cellSizeX, cellSizeY, west, north } = data;
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 2 || rows < 2) return null;
+  if (!(cellSizeX > 0) || !(cellSizeY > 0) || !Number.isFinite(west) || !Number.isFinite(north)) return null;
+  if (data.values.length !== cols * rows) return null;
+  return {
+    cols,
+    rows,
+    cellSizeX,
+    cellSizeY,
+    west,
+    north,
+    values: Float32Array.from(data.values, value => (typeof value === 'number' ? value : NaN)),
+    horizontalUnits: 'ft',
+    verticalUnits: 'ft'
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Pole-Mounted Equipment for GridScaper
+ *
+ * Transformers, switches, fuses, reclosers and capacitor banks hang on a
+ * pole below its conductors, stacked downward in the order they were added.
+ * Each type is described by data: how its mesh is built (js/config.js), its
+ * nameplate rating, its weight for pole loading and its clearance envelope -
+ * the distance trees, buildings and other objects must keep from it.
+ *
+ * A pole's equipment is a list of items ({type}); fields other than type
+ * are kept as they are, so items can carry their own metadata.
+ */
+
+/** Built-in equipment types */
+export const EQUIPMENT_TYPES = {
+  transformer: {
+    label: 'Transformer',
+    rating: '25 kVA',
+    weight: 450, // lbs
+    height: 3, // ft
+    envelope: 3, // ft
+    shape: 'can',
+    // Feeds the nearest building through a secondary service drop
+    serviceDrop: true
+  },
+  switch: {
+    label: 'Switch',
+    rating: '600 A gang-operated',
+    weight: 250,
+    height: 1.5,
+    envelope: 4,
+    shape: 'switch'
+  },
+  fuse: {
+    label: 'Fuse cutout',
+    rating: '100 A',
+    weight: 30,
+    height: 1.5,
+    envelope: 2,
+    shape: 'cutout'
+  },
+  recloser: {
+    label: 'Recloser',
+    rating: '560 A',
+    weight: 400,
+    height: 2.5,
+    envelope: 3,
+    shape: 'box'
+  },
+  capacitor: {
+    label: 'Capacitor bank',
+    rating: '600 kVAR',
+    weight: 900,
+    height: 2,
+    envelope: 3,
+    shape: 'rack'
+  }
+};
+
+/** Space below the lowest conductor and between stacked items (ft) */
+export const EQUIPMENT_GAP = 1.5;
+
+/** Distance from the pole centre to the back of mounted equipment (ft) */
+export const EQUIPMENT_STANDOFF = 0.25;
+
+/** Longest secondary service drop from a transformer to a building (ft) */
+export const SERVICE_DROP_MAX_LENGTH = 125;
+
+/** Height of the service mast a drop ends on, above the building's base (ft) */
+export const SERVICE_MAST_HEIGHT = 12;
+
+/** Service drop sag as a fraction of its length */
+export const SERVICE_DROP_SAG = 0.03;
+
+/**
+ * Definition for an equipment type id
+ * @param {string} id - Equipment type id
+ * @returns {Object|null} Equipment type, or null when unknown
+ */
+export function getEquipment(id) {
+  return EQUIPMENT_TYPES[id] || null;
+}
+
+/**
+ * Items of known types, e.g. read from a scene file
+ * @param {Array<Object>} items - Equipment items
+ * @returns {Array<Object>} Copies of the items whose type exists
+ */
+export function sanitizeEquipment(items) {
+  if (!Array.isArray(items)) return [];
+  return items.filter(item => getEquipment(item?.type)).map(item => ({ ...item }));
+}
+
+/**
+ * Total weight hung on a pole
+ * @param {Array<{type: string}>} items - Equipment items
+ * @returns {number} Weight (lbs)
+ */
+export function getEquipmentWeight(items = []) {
+  return items.reduce((sum, item) => sum + (getEquipment(item.type)?.weight || 0), 0);
+}
+
+/**
+ * Mounting heights of a pole's equipment, stacked down from below its conductors
+ * @param {Array<{type: string}>} items - Equipment items, top first
+ * @param {number} mountHeight - Height of the lowest conductor attachment above the pole base (ft)
+ * @returns {Array<number>} Height of each item's centre above the pole base (ft); items
+ *   that would reach the ground are kept just above it
+ */
+export function stackEquipment(items, mountHeight) {
+  let top = mountHeight - EQUIPMENT_GAP;
+  return items.map(item => {
+    const height = getEquipment(item.type)?.height || 0;
+    const centre = Math.max(height / 2, top - height / 2);
+    top -= height + EQUIPMENT_GAP;
+    return centre;
+  });
+}
+
+/**
+ * Points along a sagging service drop
+ * @param {{x: number, y: number, z: number}} start - Transformer end
+ * @param {{x: number, y: number, z: number}} end - Building end
+ * @param {number} [segments=12] - Segments in the curve
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function getServiceDropPoints(start, end, segments = 12) {
+  const length = Math.hypot(end.x - start.x, end.z - start.z);
+  const sag = length * SERVICE_DROP_SAG;
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    points.push({
+      x: start.x + (end.x - start.x) * t,
+      // Parabola through both ends, sag deep at mid-span
+      y: start.y + (end.y - start.y) * t - 4 * sag * t * (1 - t),
+      z: start.z + (end.z - start.z) * t
+    });
+  }
+  return points;
+}
@@ -0,0 +1,119 @@
+/**
+ * Distribution Framing for GridScaper
+ *
+ * How a distribution pole carries its conductors depends on what the line
+ * does there: a single crossarm on a straight run, a double crossarm at a
+ * small angle, dead-end arms where the line ends or turns hard.
+ * A framing replaces the crossarms and attachment points of a framed
+ * structure (see utils/structures.js) and is picked from the line angle at
+ * the pole unless the pole has one of its own.
+ *
+ * Framing crossarms are structure crossarms ({rise, width}) with an optional
+ * offset - the lateral shift of the arm's centre, on the same side as
+ * positive attachment x. Each framing also sets how its arms are hung:
+ *   orient  - 'line': square to the line through the pole; 'span': one arm
+ *             facing each span
+ *   doubled - a pair of parallel arms either side of the pole
+ */
+
+/** Framing used when nothing else applies */
+export const DEFAULT_FRAMING = 'tangent';
+
+/** Largest line deflection (degrees) carried on a single tangent crossarm */
+export const TANGENT_MAX_DEFLECTION = 5;
+
+/** Largest line deflection (degrees) carried on a double crossarm without dead-ending */
+export const ANGLE_MAX_DEFLECTION = 30;
+
+/** Spacing (ft) of each arm of a double crossarm from the pole */
+export const DOUBLE_ARM_GAP = 0.5;
+
+/** Built-in framings; crossarms and layouts left out keep the structure's own */
+export const FRAMING_TYPES = {
+  tangent: {
+    label: 'Tangent',
+    orient: 'line'
+  },
+  angle: {
+    label: 'Angle (double crossarm)',
+    orient: 'line',
+    doubled: true
+  },
+  'dead-end': {
+    label: 'Dead-end',
+    orient: 'line',
+    doubled: true
+  },
+  'double-dead-end': {
+    label: 'Double dead-end',
+    orient: 'span'
+  },
+  vertical: {
+    label: 'Vertical',
+    orient: 'line',
+    // Short brackets on one side of the pole, one per phase
+    crossarms: [
+      { rise: 0, width: 0.6, offset: 0.3 },
+      { rise: -3, width: 0.6, offset: 0.3 },
+      { rise: -6, width: 0.6, offset: 0.3 }
+    ],
+    layouts: {
+      1: [{ phase: 'A', x: 0.5, y: 0 }],
+      2: [{ phase: 'A', x: 0.5, y: 0 }, { phase: 'B', x: 0.5, y: -3 }],
+      3: [{ phase: 'A', x: 0.5, y: 0 }, { phase: 'B', x: 0.5, y: -3 }, { phase: 'C', x: 0.5, y: -6 }]
+    }
+  },
+  'alley-arm': {
+    label: 'Alley arm',
+    orient: 'line',
+    // Arm reaches out to one side, clear of whatever is on the other
+    crossarms: [{ rise: 0, width: 4, offset: 2 }],
+    layouts: {
+      1: [{ phase: 'A', x: 2.4, y: 0 }],
+      2: [{ phase: 'A', x: 1.2, y: 0 }, { phase: 'B', x: 3.6, y: 0 }],
+      3: [{ phase: 'A', x: 1.2, y: 0 }, { phase: 'B', x: 2.4, y: 0 }, { phase: 'C', x: 3.6, y: 0 }]
+    }
+  }
+};
+
+/**
+ * Definition for a framing id, falling back to the default framing
+ * @param {string} id - Framing id
+ * @returns {Object} Framing definition
+ */
+export function getFraming(id) {
+  return FRAMING_TYPES[id] || FRAMING_TYPES[DEFAULT_FRAMING];
+}
+
+/**
+ * Framing a pole needs for its connections
+ * @param {Object} options
+ * @param {number} options.connections - Spans at the pole
+ * @param {number} [options.deflection=0] - Line deflection (degrees) for a pole with two spans
+ * @param {boolean} [options.deadEnd=false] - Pole is flagged as a dead-end
+ * @returns {string} Framing id
+ */
+export function selectFraming({ connections, deflection = 0, deadEnd = false }) {
+  if (connections <= 1) return 'dead-end';
+  if (connections > 2 || deadEnd) return 'double-dead-end';
+  if (deflection <= TANGENT_MAX_DEFLECTION) return 'tangent';
+  if (deflection <= ANGLE_MAX_DEFLECTION) return 'angle';
+  return 'double-dead-end';
+}
+
+/**
+ * Structure definition with a framing's crossarms and attachment points.
+ * Structures that aren't framed are returned unchanged.
+ * @param {Object} structure - Structure definition
+ * @param {string} framingId - Framing id
+ * @returns {Object} Structure definition
+ */
+export function getFramedStructure(structure, framingId) {
+  if (!structure.framed) return structure;
+  const framing = getFraming(framingId);
+  return {
+    ...structure,
+    body: { ...structure.body, crossarms: framing.crossarms || structure.body.crossarms },
+    layouts: framing.layouts || structure.layouts
+  };
+}
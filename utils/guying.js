@@ -0,0 +1,91 @@
+/**
+ * Guying for GridScaper
+ *
+ * Where a line turns or ends, the conductors pull their pole sideways. The
+ * horizontal pulls at a pole add up to one resultant load; a down-guy from
+ * the conductor attachment to an anchor on the ground opposite that
+ * resultant takes it. The anchor is placed on the actual terrain, so falling
+ * ground makes the guy steeper - and a steep guy carries far more tension
+ * than the load it balances.
+ */
+
+/** Weather case the guys are designed for: radial ice gives the highest tension */
+export const GUY_CASE = 'ice';
+
+/** Resultant (lbs) below which a pole stands without a guy */
+export const MIN_GUY_LOAD = 100;
+
+/** Preferred horizontal lead as a multiple of the guy's height (1:1, 45°) */
+export const GUY_LEAD_RATIO = 1;
+
+/** Shortest acceptable lead as a multiple of the guy's height (about 63° from the ground) */
+export const MIN_LEAD_RATIO = 0.5;
+
+/** Longest lead the anchor search will try, as a multiple of the attachment height */
+export const MAX_LEAD_RATIO = 2;
+
+/**
+ * Resultant horizontal load of conductors pulling on a pole
+ * @param {Array<{dir: {x: number, z: number}, tension: number}>} pulls - Unit direction
+ *   from the pole toward each span and the horizontal tension (lbs) of all its conductors
+ * @returns {{x: number, z: number, magnitude: number}} Resultant (lbs), pointing the way the pole is pulled
+ */
+export function getResultantLoad(pulls) {
+  const x = pulls.reduce((sum, pull) => sum + pull.dir.x * pull.tension, 0);
+  const z = pulls.reduce((sum, pull) => sum + pull.dir.z * pull.tension, 0);
+  return { x, z, magnitude: Math.hypot(x, z) };
+}
+
+/**
+ * Down-guy balancing a pole's resultant load.
+ * The anchor goes opposite the resultant at GUY_LEAD_RATIO times the guy's
+ * height above it; since that height depends on the ground at the anchor,
+ * the lead is re-solved a few times against the terrain. Leads are capped at
+ * MAX_LEAD_RATIO times the attachment height.
+ *
+ * @param {Object} options
+ * @param {Object} options.pole - Pole ({x, z, base, h})
+ * @param {{x: number, z: number, magnitude: number}} options.resultant - From getResultantLoad
+ * @param {Function} options.groundHeight - Terrain height at a scene (x, z)
+ * @param {number} [options.terrainOffsetZ=0] - Z offset between pole and scene coordinates
+ * @param {number} [options.attachHeight=options.pole.h] - Guy attachment above the pole base (ft)
+ * @returns {Object|null} Guy, or null when the load is too small to need one:
+ *   attach and anchor (scene points), lead (ft), rise (ft, attachment above anchor),
+ *   leadRatio (lead / rise), tension (lbs in the guy) and ok (false when the
+ *   guy is steeper than MIN_LEAD_RATIO or the anchor is above the attachment)
+ */
+export function proposeGuy({ pole, resultant, groundHeight, terrainOffsetZ = 0, attachHeight = pole.h }) {
+  if (resultant.magnitude < MIN_GUY_LOAD) return null;
+
+  const awayX = -resultant.x / resultant.magnitude;
+  const awayZ = -resultant.z / resultant.magnitude;
+  const attachY = pole.base + attachHeight;
+  const maxLead = attachHeight * MAX_LEAD_RATIO;
+
+  const anchorAt = (lead) => {
+    const x = pole.x + awayX * lead;
+    const z = pole.z + awayZ * lead + terrainOffsetZ;
+    return { x, y: groundHeight(x, z), z };
+  };
+
+  let lead = attachHeight * GUY_LEAD_RATIO;
+  let anchor = anchorAt(lead);
+  for (let i = 0; i < 4; i++) {
+    const target = Math.min(maxLead, Math.max(0, attachY - anchor.y) * GUY_LEAD_RATIO);
+    if (target <= 0 || Math.abs(target - lead) < 0.1) break;
+    lead = target;
+    anchor = anchorAt(lead);
+  }
+
+  const rise = attachY - anchor.y;
+  const leadRatio = rise > 0 ? lead / rise : Infinity;
+  return {
+    attach: { x: pole.x, y: attachY, z: pole.z + terrainOffsetZ },
+    anchor,
+    lead,
+    rise,
+    leadRatio,
+    tension: resultant.magnitude * Math.hypot(lead, Math.max(0, rise)) / lead,
+    ok: rise > 0 && leadRatio >= MIN_LEAD_RATIO
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Line Profile Utilities for GridScaper
+ *
+ * A plan-and-profile view unrolls a run of spans onto one horizontal axis:
+ * the cumulative station (ft) from the first pole. These helpers find the
+ * runs in a span network, lay poles, ground samples and conductor points out
+ * by station, and map a station back to a position on the ground.
+ */
+
+/**
+ * Split a span network into runs that can be drawn as one profile.
+ * A run passes straight through poles with exactly two spans and stops at
+ * line ends, taps and junctions.
+ *
+ * @param {Array<Object>} spans - Spans with pole references a and b
+ * @returns {Array<{poles: Array<Object>, spans: Array<{span: Object, reversed: boolean}>}>}
+ *   Runs in drawing order; reversed marks spans walked from b to a
+ */
+export function findLinePaths(spans) {
+  const polesSpans = new Map();
+  spans.forEach(span => {
+    [span.a, span.b].forEach(pole => {
+      if (!polesSpans.has(pole)) polesSpans.set(pole, []);
+      polesSpans.get(pole).push(span);
+    });
+  });
+
+  const visited = new Set();
+  const walk = (startPole, firstSpan) => {
+    const path = { poles: [startPole], spans: [] };
+    let pole = startPole;
+    let span = firstSpan;
+    while (span && !visited.has(span)) {
+      visited.add(span);
+      const reversed = span.b === pole;
+      pole = reversed ? span.a : span.b;
+      path.spans.push({ span, reversed });
+      path.poles.push(pole);
+      const attached = polesSpans.get(pole);
+      span = attached.length === 2 ? attached.find(s => s !== span) : null;
+    }
+    return path;
+  };
+
+  const paths = [];
+  // Start from line ends and junctions first so runs read end to end
+  polesSpans.forEach((attached, pole) => {
+    if (attached.length === 2) return;
+    attached.forEach(span => {
+      if (!visited.has(span)) paths.push(walk(pole, span));
+    });
+  });
+  // Whatever is left is a closed loop
+  spans.forEach(span => {
+    if (!visited.has(span)) paths.push(walk(span.a, span));
+  });
+
+  return paths;
+}
+
+/**
+ * Station of every pole along a run
+ * @param {Object} path - Run from findLinePaths
+ * @returns {Array<number>} Cumulative horizontal distance (ft) of each pole from the first
+ */
+export function getPathStations(path) {
+  const stations = [0];
+  for (let i = 1; i < path.poles.length; i++) {
+    const previous = path.poles[i - 1];
+    const pole = path.poles[i];
+    stations.push(stations[i - 1] + Math.hypot(pole.x - previous.x, pole.z - previous.z));
+  }
+  return stations;
+}
+
+/**
+ * Horizontal station of a scene point on one span of a run
+ * @param {Object} path - Run from findLinePaths
+ * @param {Array<number>} stations - Pole stations from getPathStations
+ * @param {number} index - Index of the span within the run
+ * @param {{x: number, z: number}} point - Scene point on or near the span
+ * @param {number} [terrainOffsetZ=0] - Z offset between pole and scene coordinates
+ * @returns {number} Station (ft)
+ */
+export function getPointStation(path, stations, index, point, terrainOffsetZ = 0) {
+  const start = path.poles[index];
+  const end = path.poles[index + 1];
+  const length = stations[index + 1] - stations[index];
+  if (length <= 0) return stations[index];
+  const along = ((point.x - start.x) * (end.x - start.x) + (point.z - terrainOffsetZ - start.z) * (end.z - start.z)) / length;
+  return stations[index] + along;
+}
+
+/**
+ * Ground position at a station
+ * @param {Object} path - Run from findLinePaths
+ * @param {Array<number>} stations - Pole stations from getPathStations
+ * @param {number} station - Station (ft), clamped to the run
+ * @returns {{x: number, z: number, index: number, offset: number}}
+ *   Pole-space position, the span it falls on and the distance past that span's first pole
+ */
+export function locateStation(path, stations, station) {
+  const total = stations[stations.length - 1];
+  const clamped = Math.max(0, Math.min(total, station));
+  let index = 0;
+  while (index < path.spans.length - 1 && clamped > stations[index + 1]) {
+    index++;
+  }
+  const start = path.poles[index];
+  const end = path.poles[index + 1];
+  const length = stations[index + 1] - stations[index];
+  const offset = clamped - stations[index];
+  const t = length > 0 ? offset / length : 0;
+  return {
+    x: start.x + (end.x - start.x) * t,
+    z: start.z + (end.z - start.z) * t,
+    index,
+    offset
+  };
+}
+
+/**
+ * Ground elevation along a run
+ * @param {Object} path - Run from findLinePaths
+ * @param {Array<number>} stations - Pole stations from getPathStations
+ * @param {Function} groundHeight - Terrain height at a scene (x, z)
+ * @param {number} [step=1] - Sample spacing (ft)
+ * @param {number} [terrainOffsetZ=0] - Z offset between pole and scene coordinates
+ * @returns {Array<{station: number, elevation: number}>} Samples from the first pole to the last
+ */
+export function sampleGroundProfile(path, stations, groundHeight, step = 1, terrainOffsetZ = 0) {
+  const total = stations[stations.length - 1];
+  const samples = [];
+  const count = Math.max(1, Math.ceil(total / step));
+  for (let i = 0; i <= count; i++) {
+    const station = Math.min(total, i * step);
+    const { x, z } = locateStation(path, stations, station);
+    samples.push({ station, elevation: groundHeight(x, z + terrainOffsetZ) });
+  }
+  return samples;
+}
@@ -0,0 +1,142 @@
+/**
+ * Pole Loading for GridScaper
+ *
+ * A simplified NESC-style strength check of a single pole. Transverse loads
+ * - wind on the pole, wind on the conductors and the pull of the line where
+ * it turns or ends - bend the pole about the groundline; the weight of the
+ * conductors and equipment and a guy's downward pull press down on it. Each
+ * load is multiplied by its load factor and compared with the pole's
+ * capacity reduced by a strength factor, so 100% utilization is the limit.
+ *
+ * Wood classes follow ANSI O5.1: a class is rated for a horizontal load
+ * applied 2 ft below the top, so a taller pole of the same class resists a
+ * larger groundline moment - but it also buckles sooner under a guy's pull.
+ * Dimensions and strengths are rounded for teaching.
+ */
+
+/** Wind pressure on poles and conductors (psf), NESC light loading */
+export const DESIGN_WIND_PRESSURE = 9;
+
+/** Load factors (NESC Grade B) */
+export const LOAD_FACTORS = { wind: 2.5, tension: 1.65, vertical: 1.5 };
+
+/** Strength factors by pole material */
+export const STRENGTH_FACTORS = { wood: 0.65, steel: 1.0 };
+
+/** Modulus of elasticity by pole material (psi) */
+export const POLE_MODULUS = { wood: 1.6e6, steel: 29e6 };
+
+// A class's rated load is applied this far below the pole top (ft)
+const LOAD_POINT_FROM_TOP = 2;
+
+/**
+ * Pole classes keyed by id.
+ * horizontalLoad is the rated load (lbs) 2 ft below the top; diameters (in)
+ * are at the top and at the groundline.
+ */
+export const POLE_CLASSES = {
+  'class-1': { label: 'Wood Class 1', material: 'wood', horizontalLoad: 4500, topDiameter: 8.6, groundDiameter: 13.0 },
+  'class-2': { label: 'Wood Class 2', material: 'wood', horizontalLoad: 3700, topDiameter: 8.0, groundDiameter: 12.2 },
+  'class-3': { label: 'Wood Class 3', material: 'wood', horizontalLoad: 3000, topDiameter: 7.3, groundDiameter: 11.4 },
+  'class-4': { label: 'Wood Class 4', material: 'wood', horizontalLoad: 2400, topDiameter: 6.7, groundDiameter: 10.6 },
+  'class-5': { label: 'Wood Class 5', material: 'wood', horizontalLoad: 1900, topDiameter: 6.0, groundDiameter: 9.8 },
+  steel: { label: 'Steel', material: 'steel', horizontalLoad: 5000, topDiameter: 7.0, groundDiameter: 12.0 }
+};
+
+export const DEFAULT_POLE_CLASS = 'class-4';
+
+/**
+ * Definition for a pole class id, falling back to the default class
+ * @param {string} id - Pole class id
+ * @returns {Object} Pole class
+ */
+export function getPoleClass(id) {
+  return POLE_CLASSES[id] || POLE_CLASSES[DEFAULT_POLE_CLASS];
+}
+
+/**
+ * Loads on a pole and how much of its strength they use.
+ *
+ * @param {Object} options
+ * @param {number} options.height - Pole height above the ground (ft)
+ * @param {number} [options.attachHeight=options.height] - Conductor attachment height above the ground (ft)
+ * @param {string} [options.poleClass=DEFAULT_POLE_CLASS] - Key into POLE_CLASSES
+ * @param {Array<Object>} [options.wires=[]] - One entry per span at the pole
+ * @param {{x: number, z: number}} options.wires[].dir - Unit direction from the pole along the span
+ * @param {number} options.wires[].tension - Horizontal tension of all the span's conductors (lbs)
+ * @param {number} options.wires[].windSpan - Length of conductor the pole carries, half the span (ft)
+ * @param {number} options.wires[].diameter - Conductor diameter (in)
+ * @param {number} options.wires[].weight - Conductor weight (lb/ft)
+ * @param {number} options.wires[].count - Conductors in the span
+ * @param {number} [options.equipmentWeight=0] - Weight of pole-mounted equipment (lbs)
+ * @param {Object|null} [options.guy=null] - Down-guy ({lead, rise, tension}); it takes the line's pull,
+ *   adds its downward pull to the pole and braces the pole top against buckling
+ * @param {number} [options.windPressure=DESIGN_WIND_PRESSURE] - Wind pressure (psf)
+ * @returns {Object} Unfactored loads (lbs) and moments (ft-lbs), factored moment and
+ *   vertical load, capacities, bending and axial utilization and their sum as utilization
+ *   (1 = fully used), and overstressed
+ */
+export function calculatePoleLoading({
+  height,
+  attachHeight = height,
+  poleClass = DEFAULT_POLE_CLASS,
+  wires = [],
+  equipmentWeight = 0,
+  guy = null,
+  windPressure = DESIGN_WIND_PRESSURE
+}) {
+  const pole = getPoleClass(poleClass);
+  const topD = pole.topDiameter / 12;
+  const groundD = pole.groundDiameter / 12;
+
+  // Wind on the tapered pole acts at the centroid of its outline
+  const windPole = windPressure * height * (topD + groundD) / 2;
+  const windPoleArm = height / 3 * (groundD + 2 * topD) / (groundD + topD);
+
+  const windWires = wires.reduce((sum, wire) => sum + windPressure * wire.diameter / 12 * wire.windSpan * wire.count, 0);
+
+  // The line pulls the pole toward the resultant of its spans; a guy takes that instead
+  const pullX = wires.reduce((sum, wire) => sum + wire.dir.x * wire.tension, 0);
+  const pullZ = wires.reduce((sum, wire) => sum + wire.dir.z * wire.tension, 0);
+  const lineAngle = guy ? 0 : Math.hypot(pullX, pullZ);
+
+  const moments = {
+    windPole: windPole * windPoleArm,
+    windWires: windWires * attachHeight,
+    lineAngle: lineAngle * attachHeight
+  };
+  const moment = LOAD_FACTORS.wind * (moments.windPole + moments.windWires) + LOAD_FACTORS.tension * moments.lineAngle;
+  const strengthFactor = STRENGTH_FACTORS[pole.material];
+  const momentCapacity = strengthFactor * pole.horizontalLoad * Math.max(height - LOAD_POINT_FROM_TOP, height / 2);
+
+  // Weight of the conductors and equipment plus the guy's downward pull
+  const wireWeight = wires.reduce((sum, wire) => sum + wire.weight * wire.windSpan * wire.count, 0);
+  const guyDown = guy && guy.rise > 0 ? guy.tension * guy.rise / Math.hypot(guy.lead, guy.rise) : 0;
+  const vertical = wireWeight + equipmentWeight + guyDown;
+
+  // Euler buckling of a column a third of the way up the taper: free at the top, or pinned by a guy
+  const d = pole.groundDiameter - (pole.groundDiameter - pole.topDiameter) / 3;
+  const inertia = Math.PI * Math.pow(d, 4) / 64;
+  const effectiveLength = (guy ? 1 : 2) * height * 12;
+  const bucklingCapacity = strengthFactor * Math.PI * Math.PI * POLE_MODULUS[pole.material] * inertia / (effectiveLength * effectiveLength);
+
+  const bending = momentCapacity > 0 ? moment / momentCapacity : Infinity;
+  const axial = LOAD_FACTORS.vertical * vertical / bucklingCapacity;
+  const utilization = bending + axial;
+
+  return {
+    poleClass: pole,
+    windPole,
+    windWires,
+    lineAngle,
+    moments,
+    moment,
+    momentCapacity,
+    vertical,
+    bucklingCapacity,
+    bending,
+    axial,
+    utilization,
+    overstressed: utilization > 1
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Ruling Span Utilities for GridScaper
+ *
+ * Between two dead-ends, suspension insulators swing until the horizontal
+ * tension is the same in every span. The section then behaves like a single
+ * "ruling span" whose length is:
+ *   RS = sqrt(Σ L³ / Σ L)
+ * Tension changes with temperature and ice are solved once for the ruling
+ * span and applied to every span in the section.
+ */
+
+/**
+ * Horizontal distance between the two poles of a span
+ * @param {Object} span - Span with pole references a and b ({x, z})
+ * @returns {number} Span length
+ */
+export function getSpanLength(span) {
+  return Math.hypot(span.b.x - span.a.x, span.b.z - span.a.z);
+}
+
+/**
+ * Ruling span length for a set of span lengths
+ * @param {Array<number>} lengths - Horizontal span lengths
+ * @returns {number} Ruling span length (0 for an empty set)
+ */
+export function calculateRulingSpan(lengths) {
+  const sumLength = lengths.reduce((sum, length) => sum + length, 0);
+  if (sumLength <= 0) return 0;
+  const sumCubes = lengths.reduce((sum, length) => sum + length * length * length, 0);
+  return Math.sqrt(sumCubes / sumLength);
+}
+
+/**
+ * Divide a span network into strain sections.
+ *
+ * Two spans share a section when they meet at a pole that is not a dead-end.
+ * Poles with one span (line ends) or more than two spans (taps and junctions)
+ * always terminate a section.
+ *
+ * @param {Array<Object>} spans - Spans with pole references a and b
+ * @param {Function} isDeadEnd - Returns true when a pole is flagged as a dead-end
+ * @param {Function} [sameSection] - Returns false when two spans meeting at a pole can't share tension
+ * @returns {Array<{spans: Array<Object>, poles: Array<Object>, rulingSpan: number}>} Strain sections in span order
+ */
+export function findStrainSections(spans, isDeadEnd, sameSection = () => true) {
+  // Spans attached to each pole
+  const polesSpans = new Map();
+  spans.forEach(span => {
+    [span.a, span.b].forEach(pole => {
+      if (!polesSpans.has(pole)) polesSpans.set(pole, []);
+      polesSpans.get(pole).push(span);
+    });
+  });
+
+  // Union spans that meet at a suspension (pass-through) pole
+  const parent = new Map(spans.map(span => [span, span]));
+  const find = (span) => {
+    while (parent.get(span) !== span) {
+      parent.set(span, parent.get(parent.get(span)));
+      span = parent.get(span);
+    }
+    return span;
+  };
+
+  polesSpans.forEach((attached, pole) => {
+    if (attached.length !== 2 || isDeadEnd(pole)) return;
+    const [first, second] = attached;
+    if (sameSection(first, second)) {
+      parent.set(find(first), find(second));
+    }
+  });
+
+  // Group spans by section root, keeping the order of the spans array
+  const groups = new Map();
+  spans.forEach(span => {
+    const root = find(span);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(span);
+  });
+
+  return Array.from(groups.values()).map(sectionSpans => {
+    const sectionPoles = [];
+    sectionSpans.forEach(span => {
+      [span.a, span.b].forEach(pole => {
+        if (!sectionPoles.includes(pole)) sectionPoles.push(pole);
+      });
+    });
+    return {
+      spans: sectionSpans,
+      poles: sectionPoles,
+      rulingSpan: calculateRulingSpan(sectionSpans.map(getSpanLength))
+    };
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * Sag-Tension Report for GridScaper
+ *
+ * Builds a stringing chart: for every span and a range of conductor
+ * temperatures it lists horizontal tension, midspan sag, arc length and
+ * tension as a percent of the conductor's rated breaking strength. Spans in
+ * a strain section are solved at their ruling span, just like the 3D view.
+ */
+
+import { solveStateChange, catenaryArcLength, catenaryMidspanSag, MIN_TENSION } from './catenary.js';
+import { DEFAULT_CONDUCTOR } from './conductors.js';
+
+/** Temperature steps (°F) used when the caller doesn't supply its own */
+export const SAG_TENSION_TEMPERATURES = [-20, 0, 30, 60, 90, 120, 167, 212];
+
+/** Column order shared by the CSV and HTML outputs */
+const COLUMNS = [
+  { key: 'span', label: 'Span' },
+  { key: 'conductor', label: 'Conductor' },
+  { key: 'length', label: 'Length (ft)', digits: 1 },
+  { key: 'rulingSpan', label: 'Ruling Span (ft)', digits: 1 },
+  { key: 'temperature', label: 'Temperature (°F)', digits: 0 },
+  { key: 'tension', label: 'Horizontal Tension (lbs)', digits: 0 },
+  { key: 'sag', label: 'Sag (ft)', digits: 2 },
+  { key: 'arcLength', label: 'Arc Length (ft)', digits: 2 },
+  { key: 'percentRBS', label: '% RBS', digits: 1 }
+];
+
+/**
+ * Build sag-tension rows for a set of spans.
+ *
+ * @param {Array<Object>} spans - Span inputs
+ * @param {string} spans[].label - Span name shown in the report
+ * @param {number} spans[].length - Horizontal span length (ft)
+ * @param {number} [spans[].heightDiff=0] - Rise from the first attachment to the second (ft)
+ * @param {number} spans[].tension - Horizontal tension at the reference (everyday) case (lbs)
+ * @param {Object} [spans[].conductor=DEFAULT_CONDUCTOR] - Conductor properties
+ * @param {number|null} [spans[].rulingSpan=null] - Ruling span of the strain section
+ * @param {Array<number>} [temperatures=SAG_TENSION_TEMPERATURES] - Conductor temperatures (°F)
+ * @returns {Array<Object>} One row per span and temperature
+ */
+export function buildSagTensionTable(spans, temperatures = SAG_TENSION_TEMPERATURES) {
+  const rows = [];
+
+  spans.forEach(({ label, length, heightDiff = 0, tension, conductor = DEFAULT_CONDUCTOR, rulingSpan = null }) => {
+    if (!(length > 0)) return;
+    const referenceA = Math.max(MIN_TENSION, tension) / conductor.weight;
+
+    temperatures.forEach(temperature => {
+      // Tension comes from the ruling span when the span is part of a section;
+      // the span's own geometry then sets its sag and length.
+      const { a, tension: horizontalTension } = rulingSpan
+        ? solveStateChange(rulingSpan, 0, referenceA, { temperature }, conductor)
+        : solveStateChange(length, heightDiff, referenceA, { temperature }, conductor);
+
+      rows.push({
+        span: label,
+        conductor: conductor.name,
+        length,
+        rulingSpan: rulingSpan || length,
+        temperature,
+        tension: horizontalTension,
+        sag: catenaryMidspanSag(length, heightDiff, a),
+        arcLength: catenaryArcLength(length, heightDiff, a),
+        percentRBS: conductor.ratedStrength ? (horizontalTension / conductor.ratedStrength) * 100 : null
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Format a row value for output
+ * @param {Object} column - Column definition
+ * @param {*} value - Raw value
+ * @returns {string} Formatted value
+ */
+function formatValue(column, value) {
+  if (value === null || value === undefined) return '';
+  return column.digits !== undefined ? Number(value).toFixed(column.digits) : String(value);
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert sag-tension rows to CSV
+ * @param {Array<Object>} rows - Rows from buildSagTensionTable
+ * @returns {string} CSV text with a header row
+ */
+export function sagTensionToCSV(rows) {
+  const lines = [COLUMNS.map(column => csvField(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(COLUMNS.map(column => csvField(formatValue(column, row[column.key]))).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Convert sag-tension rows to a standalone, printable HTML document.
+ * Each span gets its own table so a chart can be handed to a stringing crew
+ * one page section at a time.
+ *
+ * @param {Array<Object>} rows - Rows from buildSagTensionTable
+ * @param {string} [title='Sag-Tension Report'] - Document title
+ * @returns {string} HTML document
+ */
+export function sagTensionToHTML(rows, title = 'Sag-Tension Report') {
+  // Group rows by span, keeping report order
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.span)) groups.set(row.span, []);
+    groups.get(row.span).push(row);
+  });
+
+  const tableColumns = COLUMNS.filter(column => ['temperature', 'tension', 'sag', 'arcLength', 'percentRBS'].includes(column.key));
+  const headerCells = tableColumns.map(column => `<th>${escapeHTML(column.label)}</th>`).join('');
+
+  const sections = Array.from(groups.entries()).map(([span, spanRows]) => {
+    const first = spanRows[0];
+    const bodyRows = spanRows.map(row =>
+      `<tr>${tableColumns.map(column => `<td>${escapeHTML(formatValue(column, row[column.key]))}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    return `<section>
+<h2>Span ${escapeHTML(span)}</h2>
+<p>${escapeHTML(first.conductor)} &middot; Length ${first.length.toFixed(1)} ft &middot; Ruling span ${first.rulingSpan.toFixed(1)} ft</p>
+<table>
+<thead><tr>${headerCells}</tr></thead>
+<tbody>
+${bodyRows}
+</tbody>
+</table>
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 20px 0 4px; }
+  p { margin: 0 0 8px; font-size: 12px; color: #555; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #999; padding: 3px 10px; text-align: right; }
+  th { background: #eee; }
+  section { page-break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p>Generated ${escapeHTML(new Date().toLocaleString())} &middot; tension is horizontal component, sag measured at midspan from the chord</p>
+${sections}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,325 @@
+/**
+ * Spatial Index for GridScaper
+ *
+ * A uniform grid over the ground plane (x, z) that answers "what is near
+ * here" without scanning the whole scene. Items are stored with an
+ * axis-aligned bounding box ({min: {x, y, z}, max: {x, y, z}}, e.g. a
+ * THREE.Box3) in every cell their footprint covers; queries visit only the
+ * cells they touch and then test the boxes exactly.
+ *
+ * Distances are measured to an item's box, so they are exact for boxes and
+ * short segments and a lower bound for anything else.
+ */
+
+/** Grid cell size (ft); roughly a short span, so a query touches a handful of cells */
+export const DEFAULT_CELL_SIZE = 20;
+
+/**
+ * Distance from a point to a box (0 inside it)
+ * @param {{x: number, y: number, z: number}} point - Query point
+ * @param {{min: Object, max: Object}} bounds - Axis-aligned box
+ * @param {boolean} [horizontal=false] - Ignore height and measure in plan only
+ * @returns {number} Distance (ft)
+ */
+export function distanceToBounds(point, bounds, horizontal = false) {
+  const dx = Math.max(bounds.min.x - point.x, 0, point.x - bounds.max.x);
+  const dz = Math.max(bounds.min.z - point.z, 0, point.z - bounds.max.z);
+  const dy = horizontal ? 0 : Math.max(bounds.min.y - point.y, 0, point.y - bounds.max.y);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Whether a line segment passes through a box (slab test)
+ * @param {{x: number, y: number, z: number}} start - Segment start
+ * @param {{x: number, y: number, z: number}} end - Segment end
+ * @param {{min: Object, max: Object}} bounds - Axis-aligned box
+ * @param {number} [padding=0] - Grow the box by this much on every side (ft)
+ * @returns {boolean}
+ */
+export function segmentIntersectsBounds(start, end, bounds, padding = 0) {
+  let t0 = 0;
+  let t1 = 1;
+  for (const axis of ['x', 'y', 'z']) {
+    const delta = end[axis] - start[axis];
+    const min = bounds.min[axis] - padding;
+    const max = bounds.max[axis] + padding;
+    if (delta === 0) {
+      if (start[axis] < min || start[axis] > max) return false;
+      continue;
+    }
+    let near = (min - start[axis]) / delta;
+    let far = (max - start[axis]) / delta;
+    if (near > far) [near, far] = [far, near];
+    t0 = Math.max(t0, near);
+    t1 = Math.min(t1, far);
+    if (t0 > t1) return false;
+  }
+  return true;
+}
+
+/**
+ * Box around a set of points
+ * @param {Array<{x: number, y: number, z: number}>} points - At least one point
+ * @returns {{min: Object, max: Object}}
+ */
+export function boundsOfPoints(points) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  points.forEach(point => {
+    ['x', 'y', 'z'].forEach(axis => {
+      min[axis] = Math.min(min[axis], point[axis]);
+      max[axis] = Math.max(max[axis], point[axis]);
+    });
+  });
+  return { min, max };
+}
+
+/**
+ * Create an empty index
+ * @param {number} [cellSize=DEFAULT_CELL_SIZE] - Grid cell size (ft)
+ * @returns {Object} Index with insert/remove/clear and the query methods below
+ */
+export function createSpatialIndex(cellSize = DEFAULT_CELL_SIZE) {
+  const cells = new Map(); // "i,k" -> Set of entries
+  const entries = new Map(); // item -> { item, bounds, keys }
+  // Cell range that has ever held an item; bounds open-ended searches
+  const extent = { minI: Infinity, maxI: -Infinity, minK: Infinity, maxK: -Infinity };
+
+  const cellOf = (value) => Math.floor(value / cellSize);
+
+  const cellRange = (bounds, padding = 0) => ({
+    minI: cellOf(bounds.min.x - padding),
+    maxI: cellOf(bounds.max.x + padding),
+    minK: cellOf(bounds.min.z - padding),
+    maxK: cellOf(bounds.max.z + padding)
+  });
+
+  // Entries in a rectangle of cells, each once
+  const collect = (range, found = new Set()) => {
+    const minI = Math.max(range.minI, extent.minI);
+    const maxI = Math.min(range.maxI, extent.maxI);
+    const minK = Math.max(range.minK, extent.minK);
+    const maxK = Math.min(range.maxK, extent.maxK);
+    for (let i = minI; i <= maxI; i++) {
+      for (let k = minK; k <= maxK; k++) {
+        const cell = cells.get(`${i},${k}`);
+        if (cell) cell.forEach(entry => found.add(entry));
+      }
+    }
+    return found;
+  };
+
+  const index = {
+    /** Number of items in the index */
+    get size() {
+      return entries.size;
+    },
+
+    /**
+     * Add an item, or move it if it's already indexed
+     * @param {*} item - Anything; returned as-is by queries
+     * @param {{min: Object, max: Object}} bounds - Item's box, copied
+     */
+    insert(item, bounds) {
+      index.remove(item);
+      const entry = {
+        item,
+        bounds: {
+          min: { x: bounds.min.x, y: bounds.min.y, z: bounds.min.z },
+          max: { x: bounds.max.x, y: bounds.max.y, z: bounds.max.z }
+        },
+        keys: []
+      };
+      const range = cellRange(entry.bounds);
+      for (let i = range.minI; i <= range.maxI; i++) {
+        for (let k = range.minK; k <= range.maxK; k++) {
+          const key = `${i},${k}`;
+          if (!cells.has(key)) cells.set(key, new Set());
+          cells.get(key).add(entry);
+          entry.keys.push(key);
+        }
+      }
+      extent.minI = Math.min(extent.minI, range.minI);
+      extent.maxI = Math.max(extent.maxI, range.maxI);
+      extent.minK = Math.min(extent.minK, range.minK);
+      extent.maxK = Math.max(extent.maxK, range.maxK);
+      entries.set(item, entry);
+    },
+
+    /**
+     * Drop an item
+     * @param {*} item - Item passed to insert
+     * @returns {boolean} Whether the item was indexed
+     */
+    remove(item) {
+      const entry = entries.get(item);
+      if (!entry) return false;
+      entry.keys.forEach(key => {
+        const cell = cells.get(key);
+        cell.delete(entry);
+        if (cell.size === 0) cells.delete(key);
+      });
+      entries.delete(item);
+      return true;
+    },
+
+    has(item) {
+      return entries.has(item);
+    },
+
+    clear() {
+      cells.clear();
+      entries.clear();
+      extent.minI = Infinity;
+      extent.maxI = -Infinity;
+      extent.minK = Infinity;
+      extent.maxK = -Infinity;
+    },
+
+    /**
+     * Every indexed item
+     * @returns {Array<*>}
+     */
+    items() {
+      return Array.from(entries.keys());
+    },
+
+    /**
+     * Items whose box overlaps a box
+     * @param {{min: Object, max: Object}} bounds - Query box
+     * @returns {Array<*>}
+     */
+    queryBox(bounds) {
+      const found = [];
+      collect(cellRange(bounds)).forEach(entry => {
+        const b = entry.bounds;
+        if (b.min.x <= bounds.max.x && b.max.x >= bounds.min.x &&
+            b.min.y <= bounds.max.y && b.max.y >= bounds.min.y &&
+            b.min.z <= bounds.max.z && b.max.z >= bounds.min.z) {
+          found.push(entry.item);
+        }
+      });
+      return found;
+    },
+
+    /**
+     * Items within a distance of a point
+     * @param {{x: number, y: number, z: number}} point - Query point
+     * @param {number} radius - Search distance (ft)
+     * @param {Object} [options]
+     * @param {boolean} [options.horizontal=false] - Measure in plan only
+     * @returns {Array<{item: *, distance: number}>} Matches, nearest first
+     */
+    queryRadius(point, radius, { horizontal = false } = {}) {
+      const found = [];
+      collect(cellRange({ min: point, max: point }, radius)).forEach(entry => {
+        const distance = distanceToBounds(point, entry.bounds, horizontal);
+        if (distance <= radius) found.push({ item: entry.item, distance });
+      });
+      return found.sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Nearest item to a point, searching outward ring by ring
+     * @param {{x: number, y: number, z: number}} point - Query point
+     * @param {Object} [options]
+     * @param {number} [options.maxDistance=Infinity] - Ignore anything farther (ft)
+     * @param {boolean} [options.horizontal=false] - Measure in plan only
+     * @param {Function} [options.filter] - Skip items it returns false for
+     * @returns {{item: *, distance: number}|null}
+     */
+    nearest(point, { maxDistance = Infinity, horizontal = false, filter = null } = {}) {
+      if (entries.size === 0) return null;
+      const ci = cellOf(point.x);
+      const ck = cellOf(point.z);
+      const maxRing = Math.max(
+        Math.abs(ci - extent.minI), Math.abs(ci - extent.maxI),
+        Math.abs(ck - extent.minK), Math.abs(ck - extent.maxK)
+      );
+
+      let best = null;
+      const seen = new Set();
+      for (let ring = 0; ring <= maxRing; ring++) {
+        // Everything in this ring is at least (ring - 1) cells away
+        const ringDistance = (ring - 1) * cellSize;
+        if (ringDistance > maxDistance || (best && ringDistance > best.distance)) break;
+        for (let i = ci - ring; i <= ci + ring; i++) {
+          for (let k = ck - ring; k <= ck + ring; k++) {
+            if (Math.max(Math.abs(i - ci), Math.abs(k - ck)) !== ring) continue;
+            const cell = cells.get(`${i},${k}`);
+            if (!cell) continue;
+            cell.forEach(entry => {
+              if (seen.has(entry)) return;
+              seen.add(entry);
+              if (filter && !filter(entry.item)) return;
+              const distance = distanceToBounds(point, entry.bounds, horizontal);
+              if (distance <= maxDistance && (!best || distance < best.distance)) {
+                best = { item: entry.item, distance };
+              }
+            });
+          }
+        }
+      }
+      return best;
+    },
+
+    /**
+     * Items whose box a line segment passes through, e.g. a pick ray cut
+     * to the camera's far plane or one step of a conductor
+     * @param {{x: number, y: number, z: number}} start - Segment start
+     * @param {{x: number, y: number, z: number}} end - Segment end
+     * @param {number} [padding=0] - Grow every box by this much (ft)
+     * @returns {Array<*>}
+     */
+    querySegment(start, end, padding = 0) {
+      const found = [];
+      if (entries.size === 0) return found;
+
+      // Cut the segment to the indexed area so a long pick ray walks only occupied cells
+      const area = {
+        min: { x: extent.minI * cellSize - padding, z: extent.minK * cellSize - padding },
+        max: { x: (extent.maxI + 1) * cellSize + padding, z: (extent.maxK + 1) * cellSize + padding }
+      };
+      let tStart = 0;
+      let tEnd = 1;
+      for (const axis of ['x', 'z']) {
+        const delta = end[axis] - start[axis];
+        if (delta === 0) {
+          if (start[axis] < area.min[axis] || start[axis] > area.max[axis]) return found;
+          continue;
+        }
+        let near = (area.min[axis] - start[axis]) / delta;
+        let far = (area.max[axis] - start[axis]) / delta;
+        if (near > far) [near, far] = [far, near];
+        tStart = Math.max(tStart, near);
+        tEnd = Math.min(tEnd, far);
+        if (tStart > tEnd) return found;
+      }
+
+      // Walk the cells under the segment in steps of half a cell
+      const candidates = new Set();
+      const length = Math.hypot(end.x - start.x, end.z - start.z) * (tEnd - tStart);
+      const steps = Math.max(1, Math.ceil(length / (cellSize / 2)));
+      for (let s = 0; s < steps; s++) {
+        const t0 = tStart + (tEnd - tStart) * s / steps;
+        const t1 = tStart + (tEnd - tStart) * (s + 1) / steps;
+        const x0 = start.x + (end.x - start.x) * t0;
+        const x1 = start.x + (end.x - start.x) * t1;
+        const z0 = start.z + (end.z - start.z) * t0;
+        const z1 = start.z + (end.z - start.z) * t1;
+        collect({
+          minI: cellOf(Math.min(x0, x1) - padding),
+          maxI: cellOf(Math.max(x0, x1) + padding),
+          minK: cellOf(Math.min(z0, z1) - padding),
+          maxK: cellOf(Math.max(z0, z1) + padding)
+        }, candidates);
+      }
+      candidates.forEach(entry => {
+        if (segmentIntersectsBounds(start, end, entry.bounds, padding)) found.push(entry.item);
+      });
+      return found;
+    }
+  };
+
+  return index;
+}
@@ -0,0 +1,469 @@
+/**
+ * Structure Definitions for GridScaper
+ *
+ * Every pole or tower type is described by data: where its conductors attach
+ * and how its body is drawn. Span drawing, clearance checks, undo/redo and
+ * scene files all read attachment points from these definitions, so a new
+ * framing is added by adding an entry here (or in a scene file) rather than
+ * by changing code.
+ *
+ * Attachment points are measured from the structure's nominal height h:
+ *   x - lateral offset (ft) across the line, + to the right looking from A to B
+ *   y - rise (ft) above h; negative attachments hang below it
+ * The body extends topRise feet above h. Framed structures take their
+ * crossarms and attachments from the pole's framing (utils/framing.js).
+ *
+ * A structure may carry several circuits instead of one set of layouts: a
+ * double-circuit tower has one on each side, a transmission tower may carry
+ * a distribution circuit underneath. Each circuit is named and has its own
+ * attachment points and, optionally, its own voltage class (an equipment key
+ * of the clearance rules). Spans connect circuit to circuit; a structure
+ * without circuits carries a single one, MAIN_CIRCUIT, on its layouts.
+ */
+
+/** Phase labels in circuit order */
+export const PHASES = ['A', 'B', 'C'];
+
+/** Phase orders a circuit can be rolled to at the far end of a span */
+export const PHASINGS = ['ABC', 'ACB', 'BAC', 'BCA', 'CAB', 'CBA'];
+export const DEFAULT_PHASING = 'ABC';
+
+/** Id of the single circuit of a structure that doesn't define circuits */
+export const MAIN_CIRCUIT = 'main';
+
+/** Structure placed by default in distribution and transmission mode */
+export const DEFAULT_STRUCTURE = 'crossarm';
+export const DEFAULT_TOWER_STRUCTURE = 'lattice-tower';
+
+/** Body types createStructureBody in js/config.js knows how to draw */
+export const BODY_TYPES = ['pole', 'lattice', 'h-frame'];
+
+/** Positive numeric body fields a body type can't be drawn without */
+const REQUIRED_BODY_FIELDS = {
+  pole: [],
+  lattice: [],
+  'h-frame': ['legSpacing']
+};
+
+/** Layout keys: the phase counts a layout can be picked for */
+const LAYOUT_COUNTS = PHASES.map((phase, index) => String(index + 1));
+
+/**
+ * Built-in structure definitions.
+ * layouts holds the attachment points used for a 1, 2 or 3 phase circuit;
+ * circuits holds named circuits ({label, voltage, attachments}) in their place.
+ * Circuit attachments are listed for three phases and trimmed to the span's
+ * phase count.
+ */
+export const STRUCTURE_TYPES = {
+  crossarm: {
+    label: 'Crossarm pole',
+    framed: true,
+    body: { type: 'pole', topRise: 0, crossarms: [{ rise: 0, width: 3 }] },
+    layouts: {
+      1: [{ phase: 'A', x: 0, y: 0 }],
+      2: [{ phase: 'A', x: -1.2, y: 0 }, { phase: 'B', x: 1.2, y: 0 }],
+      3: [{ phase: 'A', x: -1.2, y: 0 }, { phase: 'B', x: 0, y: 0 }, { phase: 'C', x: 1.2, y: 0 }]
+    }
+  },
+  riser: {
+    label: 'Riser pole',
+    framed: true,
+    // Carries underground cable up a conduit to its conductors (see utils/underground.js)
+    riser: true,
+    body: { type: 'pole', topRise: 0, crossarms: [{ rise: 0, width: 3 }] },
+    layouts: {
+      1: [{ phase: 'A', x: 0, y: 0 }],
+      2: [{ phase: 'A', x: -1.2, y: 0 }, { phase: 'B', x: 1.2, y: 0 }],
+      3: [{ phase: 'A', x: -1.2, y: 0 }, { phase: 'B', x: 0, y: 0 }, { phase: 'C', x: 1.2, y: 0 }]
+    }
+  },
+  delta: {
+    label: 'Delta pole',
+    body: { type: 'pole', topRise: 2, crossarms: [{ rise: 0, width: 4 }] },
+    layouts: {
+      1: [{ phase: 'A', x: 0, y: 2 }],
+      2: [{ phase: 'A', x: -1.6, y: 0 }, { phase: 'B', x: 1.6, y: 0 }],
+      3: [{ phase: 'A', x: -1.6, y: 0 }, { phase: 'B', x: 0, y: 2 }, { phase: 'C', x: 1.6, y: 0 }]
+    }
+  },
+  vertical: {
+    label: 'Single pole, vertical',
+    body: { type: 'pole', topRise: 0.5, crossarms: [] },
+    layouts: {
+      1: [{ phase: 'A', x: 0.5, y: 0 }],
+      2: [{ phase: 'A', x: 0.5, y: 0 }, { phase: 'B', x: 0.5, y: -3 }],
+      3: [{ phase: 'A', x: 0.5, y: 0 }, { phase: 'B', x: 0.5, y: -3 }, { phase: 'C', x: 0.5, y: -6 }]
+    }
+  },
+  'h-frame': {
+    label: 'H-frame',
+    body: { type: 'h-frame', topRise: 1, legSpacing: 8, crossarms: [{ rise: 0, width: 14 }] },
+    layouts: {
+      1: [{ phase: 'A', x: 0, y: 0 }],
+      2: [{ phase: 'A', x: -3, y: 0 }, { phase: 'B', x: 3, y: 0 }],
+      3: [{ phase: 'A', x: -6, y: 0 }, { phase: 'B', x: 0, y: 0 }, { phase: 'C', x: 6, y: 0 }]
+    }
+  },
+  'lattice-tower': {
+    label: 'Lattice tower',
+    tower: true,
+    body: { type: 'lattice', topRise: 10 },
+    // Double circuit, one each side, one tier per phase from the lowest
+    circuits: {
+      left: {
+        label: 'Left',
+        attachments: [{ phase: 'A', x: -1.5, y: 0 }, { phase: 'B', x: -1.5, y: 5 }, { phase: 'C', x: -1.5, y: 10 }]
+      },
+      right: {
+        label: 'Right',
+        attachments: [{ phase: 'A', x: 1.5, y: 0 }, { phase: 'B', x: 1.5, y: 5 }, { phase: 'C', x: 1.5, y: 10 }]
+      }
+    }
+  },
+  'lattice-underbuild': {
+    label: 'Lattice tower with distribution underbuild',
+    tower: true,
+    body: { type: 'lattice', topRise: 18 },
+    // Sub-transmission on the upper tiers, a distribution circuit on an arm through the tower at h
+    circuits: {
+      transmission: {
+        label: 'Transmission',
+        voltage: 'subTransmission',
+        attachments: [{ phase: 'A', x: -1.5, y: 10 }, { phase: 'B', x: 1.5, y: 10 }, { phase: 'C', x: -1.5, y: 15 }]
+      },
+      distribution: {
+        label: 'Distribution',
+        voltage: 'distribution',
+        attachments: [{ phase: 'A', x: -2.4, y: 0 }, { phase: 'B', x: -1.2, y: 0 }, { phase: 'C', x: 1.2, y: 0 }]
+      }
+    }
+  }
+};
+
+// Ids shipped with GridScaper; scene files can add structures but not redefine these
+const BUILT_IN_STRUCTURES = new Set(Object.keys(STRUCTURE_TYPES));
+
+/**
+ * Whether a structure id is one of the built-in structures
+ * @param {string} id - Structure id
+ * @returns {boolean}
+ */
+export function isBuiltInStructure(id) {
+  return BUILT_IN_STRUCTURES.has(id);
+}
+
+/**
+ * Definition for a structure id, falling back to the default structure
+ * @param {string} id - Structure id
+ * @returns {Object} Structure definition
+ */
+export function getStructure(id) {
+  return STRUCTURE_TYPES[id] || STRUCTURE_TYPES[DEFAULT_STRUCTURE];
+}
+
+/**
+ * Structure id of a pole, including poles saved before structure types existed
+ * @param {Object} pole - Pole with structure or isTower
+ * @returns {string} Structure id
+ */
+export function getPoleStructureId(pole) {
+  if (pole?.structure && STRUCTURE_TYPES[pole.structure]) return pole.structure;
+  return pole?.isTower ? DEFAULT_TOWER_STRUCTURE : DEFAULT_STRUCTURE;
+}
+
+/**
+ * Whether a structure is a transmission tower (for costing and tower-only behavior)
+ * @param {string} id - Structure id
+ * @returns {boolean}
+ */
+export function isTowerStructure(id) {
+  return Boolean(getStructure(id).tower);
+}
+
+/**
+ * Whether a structure is a riser, where overhead conductors meet underground cable
+ * @param {string} id - Structure id
+ * @returns {boolean}
+ */
+export function isRiserStructure(id) {
+  return Boolean(getStructure(id).riser);
+}
+
+/**
+ * Attachment points for a circuit of the given phase count; all circuits'
+ * points for a structure with several
+ * @param {Object} structure - Structure definition
+ * @param {number} phaseCount - 1, 2 or 3
+ * @returns {Array<{phase: string, x: number, y: number}>}
+ */
+export function getAttachments(structure, phaseCount) {
+  if (structure.circuits) {
+    return getStructureCircuits(structure, phaseCount).flatMap(circuit => circuit.attachments);
+  }
+  const counts = Object.keys(structure.layouts).map(Number).sort((a, b) => a - b);
+  // Use the largest layout that doesn't exceed the phase count
+  const count = counts.filter(c => c <= phaseCount).pop() ?? counts[0];
+  return structure.layouts[count];
+}
+
+/**
+ * Every attachment point a structure has, across its layouts or circuits
+ * @param {Object} structure - Structure definition
+ * @returns {Array<{phase: string, x: number, y: number}>}
+ */
+export function getStructureAttachments(structure) {
+  const sets = structure.circuits
+    ? Object.values(structure.circuits).map(circuit => circuit.attachments)
+    : Object.values(structure.layouts);
+  return sets.flat();
+}
+
+/**
+ * Circuits a structure carries for spans of the given phase count
+ * @param {Object} structure - Structure definition
+ * @param {number} phaseCount - 1, 2 or 3
+ * @returns {Array<{id: string, label: string, voltage: string|null, attachments: Array<Object>}>}
+ *   voltage is null when the circuit runs at the scene's voltage class
+ */
+export function getStructureCircuits(structure, phaseCount) {
+  if (!structure.circuits) {
+    return [{ id: MAIN_CIRCUIT, label: 'Circuit', voltage: null, attachments: getAttachments(structure, phaseCount) }];
+  }
+  const phases = PHASES.slice(0, phaseCount);
+  return Object.entries(structure.circuits).map(([id, circuit]) => {
+    const attachments = circuit.attachments.filter(attachment => phases.includes(attachment.phase));
+    return {
+      id,
+      label: circuit.label || id,
+      voltage: circuit.voltage || null,
+      attachments: attachments.length > 0 ? attachments : circuit.attachments.slice(0, 1)
+    };
+  });
+}
+
+/**
+ * Circuit connections a span makes when none are set.
+ * Each circuit of the structure with more circuits (A on a tie) is strung
+ * to a circuit of the same voltage at the other end, the same position
+ * first. One without such a partner takes the circuit in its position
+ * (or the last), unless that circuit is already taken by a same-voltage
+ * match - so a transmission circuit ends where its underbuild drops to a
+ * distribution pole, while a tower's two circuits both feed a single pole.
+ *
+ * @param {Array<{id: string, voltage: string}>} circuitsA - Circuits at pole A, voltages resolved
+ * @param {Array<{id: string, voltage: string}>} circuitsB - Circuits at pole B, voltages resolved
+ * @returns {Array<{from: string, to: string}>} Circuit ids at A (from) and B (to)
+ */
+export function getDefaultConnections(circuitsA, circuitsB) {
+  const leadIsA = circuitsA.length >= circuitsB.length;
+  const lead = leadIsA ? circuitsA : circuitsB;
+  const other = leadIsA ? circuitsB : circuitsA;
+
+  const partners = new Array(lead.length).fill(null);
+  const claimed = new Set();
+  lead.forEach((circuit, i) => {
+    const sameVoltage = other.filter(o => o.voltage === circuit.voltage && !claimed.has(o));
+    const partner = sameVoltage.find(o => o === other[i]) || sameVoltage[0];
+    if (partner) {
+      partners[i] = partner;
+      claimed.add(partner);
+    }
+  });
+  lead.forEach((circuit, i) => {
+    if (partners[i]) return;
+    const shared = other.find(o => o.voltage === circuit.voltage);
+    const positional = other[Math.min(i, other.length - 1)];
+    partners[i] = shared || (claimed.has(positional) ? null : positional);
+  });
+
+  return lead.flatMap((circuit, i) => {
+    const partner = partners[i];
+    if (!partner) return [];
+    return [leadIsA ? { from: circuit.id, to: partner.id } : { from: partner.id, to: circuit.id }];
+  });
+}
+
+/**
+ * Highest point of a structure's body above its nominal height
+ * @param {Object} structure - Structure definition
+ * @returns {number} Rise (ft)
+ */
+export function getTopRise(structure) {
+  return structure.body.topRise || 0;
+}
+
+/**
+ * Farthest reach of a structure across the line from its centre
+ * @param {Object} structure - Structure definition
+ * @returns {number} Half-width (ft)
+ */
+export function getHalfWidth(structure) {
+  const { crossarms = [], legSpacing = 0 } = structure.body;
+  const attachments = getStructureAttachments(structure);
+  return Math.max(
+    legSpacing / 2,
+    ...crossarms.map(arm => Math.abs(arm.offset || 0) + arm.width / 2),
+    ...attachments.map(attachment => Math.abs(attachment.x))
+  );
+}
+
+/**
+ * Conductors strung between two structures.
+ * Conductors follow the structure with more attachment points (pole A on a
+ * tie); each one takes its height at either end from that end's attachment
+ * for the same phase, so a tower feeding a crossarm pole brings both
+ * conductors of a phase down to the crossarm's height. Where both ends carry
+ * a phase on the same number of attachments, each end keeps its own lateral
+ * offset too; otherwise the conductors hold the lead structure's offsets.
+ *
+ * @param {Object} structureA - Definition at pole A
+ * @param {Object} structureB - Definition at pole B
+ * @param {number} phaseCount - Phases in the circuit
+ * @returns {Array<{phase: string, lateralOffset: number, lateralOffsetB: number, riseA: number, riseB: number}>}
+ *   lateralOffset is at pole A, lateralOffsetB at pole B
+ */
+export function pairSpanAttachments(structureA, structureB, phaseCount) {
+  return pairAttachments(getAttachments(structureA, phaseCount), getAttachments(structureB, phaseCount));
+}
+
+/**
+ * Conductors strung from one circuit to another, rolled to a phasing.
+ * The phasing lists the phase at B that each of A's phases A, B and C lands
+ * on ('ABC' keeps them, 'CBA' swaps A and C); conductors are labelled with
+ * their phase at A and paired as in pairSpanAttachments.
+ *
+ * @param {{attachments: Array<Object>}} circuitA - Circuit at pole A (from getStructureCircuits)
+ * @param {{attachments: Array<Object>}} circuitB - Circuit at pole B
+ * @param {string} [phasing=DEFAULT_PHASING] - One of PHASINGS
+ * @returns {Array<{phase: string, lateralOffset: number, lateralOffsetB: number, riseA: number, riseB: number}>}
+ */
+export function pairCircuitAttachments(circuitA, circuitB, phasing = DEFAULT_PHASING) {
+  const order = PHASINGS.includes(phasing) ? phasing : DEFAULT_PHASING;
+  // Relabel B's attachments with the phase at A that lands on them
+  const attachmentsB = circuitB.attachments.map(attachment => {
+    const index = order.indexOf(attachment.phase);
+    return { ...attachment, phase: index >= 0 ? PHASES[index] : attachment.phase };
+  });
+  return pairAttachments(circuitA.attachments, attachmentsB);
+}
+
+// Pair two ends' attachment points phase by phase (see pairSpanAttachments)
+function pairAttachments(attachmentsA, attachmentsB) {
+  const leadIsA = attachmentsA.length >= attachmentsB.length;
+  const lead = leadIsA ? attachmentsA : attachmentsB;
+  const other = leadIsA ? attachmentsB : attachmentsA;
+
+  // k-th conductor of a phase pairs with the k-th attachment of that phase at the other end
+  const seen = new Map();
+  return lead.map(attachment => {
+    const k = seen.get(attachment.phase) || 0;
+    seen.set(attachment.phase, k + 1);
+    const samePhase = other.filter(o => o.phase === attachment.phase);
+    const match = samePhase[Math.min(k, samePhase.length - 1)] || other[0];
+    const leadCount = lead.filter(l => l.phase === attachment.phase).length;
+    const otherX = samePhase.length === leadCount ? match.x : attachment.x;
+    return {
+      phase: attachment.phase,
+      lateralOffset: leadIsA ? attachment.x : otherX,
+      lateralOffsetB: leadIsA ? otherX : attachment.x,
+      riseA: leadIsA ? attachment.y : match.y,
+      riseB: leadIsA ? match.y : attachment.y
+    };
+  });
+}
+
+/**
+ * Check a structure definition, e.g. one read from a scene file
+ * @param {Object} structure - Structure definition
+ * @returns {Array<string>} Problems found; empty when the definition is usable
+ */
+export function validateStructure(structure) {
+  if (!structure || typeof structure !== 'object') {
+    return ['Invalid structure definition'];
+  }
+
+  const errors = [];
+  const { body } = structure;
+  if (!body || typeof body !== 'object' || !BODY_TYPES.includes(body.type)) {
+    errors.push(`Body type must be one of ${BODY_TYPES.join(', ')}`);
+  } else {
+    if (body.topRise !== undefined && (typeof body.topRise !== 'number' || body.topRise < 0)) {
+      errors.push('Body topRise must be a non-negative number');
+    }
+    REQUIRED_BODY_FIELDS[body.type].forEach(field => {
+      if (typeof body[field] !== 'number' || body[field] <= 0) {
+        errors.push(`Body type ${body.type} needs a positive ${field}`);
+      }
+    });
+    if (body.crossarms !== undefined) {
+      if (!Array.isArray(body.crossarms)) {
+        errors.push('Body crossarms must be an array');
+      } else {
+        body.crossarms.forEach((arm, index) => {
+          if (!arm || typeof arm.rise !== 'number' || typeof arm.width !== 'number' || arm.width < 0) {
+            errors.push(`Crossarm ${index} needs a numeric rise and a non-negative width`);
+          } else if (arm.offset !== undefined && typeof arm.offset !== 'number') {
+            errors.push(`Crossarm ${index} offset must be a number`);
+          }
+        });
+      }
+    }
+  }
+  const checkAttachments = (name, attachments) => {
+    if (!Array.isArray(attachments) || attachments.length === 0) {
+      errors.push(`${name} has no attachment points`);
+      return;
+    }
+    attachments.forEach((attachment, index) => {
+      if (!attachment || typeof attachment.x !== 'number' || typeof attachment.y !== 'number') {
+        errors.push(`${name} attachment ${index} needs numeric x and y`);
+      }
+      if (!PHASES.includes(attachment?.phase)) {
+        errors.push(`${name} attachment ${index} needs a phase of ${PHASES.join(', ')}`);
+      }
+    });
+  };
+  if (structure.circuits !== undefined) {
+    if (!structure.circuits || typeof structure.circuits !== 'object' || Object.keys(structure.circuits).length === 0) {
+      errors.push('Missing circuits');
+    } else {
+      Object.entries(structure.circuits).forEach(([id, circuit]) => {
+        checkAttachments(`Circuit ${id}`, circuit?.attachments);
+        if (circuit?.voltage !== undefined && typeof circuit.voltage !== 'string') {
+          errors.push(`Circuit ${id} voltage must be an equipment type`);
+        }
+      });
+    }
+  } else if (!structure.layouts || typeof structure.layouts !== 'object' || Object.keys(structure.layouts).length === 0) {
+    errors.push('Missing attachment layouts');
+  } else {
+    Object.entries(structure.layouts).forEach(([count, attachments]) => {
+      if (!LAYOUT_COUNTS.includes(count)) {
+        errors.push(`Layout ${count} must be keyed by a phase count of ${LAYOUT_COUNTS.join(', ')}`);
+        return;
+      }
+      checkAttachments(`Layout ${count}`, attachments);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Add or replace a user-defined structure definition. Built-in ids are
+ * rejected, so a scene file can't change the structures every other pole uses.
+ * @param {string} id - Structure id
+ * @param {Object} structure - Valid structure definition
+ * @returns {Array<string>} Problems found; the definition is only added when empty
+ */
+export function registerStructure(id, structure) {
+  if (isBuiltInStructure(id)) {
+    return [`"${id}" is a built-in structure and can't be redefined`];
+  }
+  const errors = validateStructure(structure);
+  if (errors.length === 0) {
+    STRUCTURE_TYPES[id] = structure;
+  }
+  return errors;
+}
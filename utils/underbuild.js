@@ -0,0 +1,137 @@
+/**
+ * Underbuild for GridScaper
+ *
+ * Distribution poles carry more than the primary phases: a neutral a few
+ * feet below the crossarm and, in the communication space below that, CATV
+ * and fiber cables. Each underbuild line has its own conductor, tension and
+ * operating temperature, so each sags its own way - a lashed CATV cable is
+ * heavy and slack, fiber is light, and neither heats up with the line load.
+ *
+ * Communication cables must stay a minimum distance below the lowest power
+ * conductor, neutral included: the full separation at the pole and a
+ * smaller one (NESC 235C, 75%) anywhere along the span, where the power
+ * conductor may sag more than the cable under it.
+ */
+
+/** Vertical separation from the lowest power conductor to a communication cable at the pole (ft) */
+export const COMM_POLE_SEPARATION = 40 / 12;
+
+/** Vertical separation from the lowest power conductor to a communication cable along the span (ft) */
+export const COMM_MIDSPAN_SEPARATION = 30 / 12;
+
+/** Equipment key the clearance rules grade underbuild by; NESC groups neutrals with communication cables */
+export const UNDERBUILD_EQUIPMENT = 'communication';
+
+/**
+ * Underbuild line types.
+ *   drop                - default distance (ft) below the lowest primary attachment
+ *   x                   - lateral offset (ft) from the pole centre, + to the right looking from A to B
+ *   conductor           - cable properties (see CONDUCTOR_LIBRARY); omitted to use the span's conductor
+ *   tension             - everyday horizontal tension (lbs); or tensionRatio of the span's tension
+ *   operatingTemperature - temperature (°F) in the hot case, which the line load doesn't raise
+ */
+export const UNDERBUILD_TYPES = {
+  neutral: {
+    label: 'Neutral',
+    communication: false,
+    drop: 3,
+    x: 0,
+    // Strung a little slacker than the phases it runs under
+    tensionRatio: 0.8,
+    operatingTemperature: 120
+  },
+  catv: {
+    label: 'CATV',
+    communication: true,
+    drop: 8,
+    x: 0.3,
+    // 1/4in EHS messenger with a coax cable lashed to it
+    conductor: {
+      name: 'CATV on 1/4in messenger',
+      weight: 0.35,
+      diameter: 0.75,
+      area: 0.0356,
+      modulus: 27e6,
+      thermalExpansion: 6.4e-6,
+      ratedStrength: 6650
+    },
+    tension: 1000,
+    operatingTemperature: 60
+  },
+  fiber: {
+    label: 'Fiber',
+    communication: true,
+    drop: 9,
+    x: -0.3,
+    // All-dielectric self-supporting (ADSS) cable
+    conductor: {
+      name: 'ADSS fiber',
+      weight: 0.12,
+      diameter: 0.6,
+      area: 0.05,
+      modulus: 2.5e6,
+      thermalExpansion: 2e-6,
+      ratedStrength: 4000
+    },
+    tension: 600,
+    operatingTemperature: 60
+  }
+};
+
+/**
+ * Settings for every underbuild type: off, at its default drop
+ * @returns {Object} type id -> {enabled, drop}
+ */
+export function getDefaultUnderbuildSettings() {
+  return Object.fromEntries(Object.entries(UNDERBUILD_TYPES)
+    .map(([id, type]) => [id, { enabled: false, drop: type.drop }]));
+}
+
+/**
+ * Underbuild settings read from a scene file, filled in with defaults
+ * @param {Object} settings - type id -> {enabled, drop}
+ * @returns {Object} type id -> {enabled, drop}
+ */
+export function sanitizeUnderbuildSettings(settings) {
+  const result = getDefaultUnderbuildSettings();
+  Object.keys(result).forEach(id => {
+    const setting = settings?.[id];
+    if (!setting) return;
+    result[id].enabled = Boolean(setting.enabled);
+    if (typeof setting.drop === 'number' && setting.drop > 0) result[id].drop = setting.drop;
+  });
+  return result;
+}
+
+/**
+ * Everyday tension of an underbuild line
+ * @param {Object} type - Underbuild type
+ * @param {number} spanTension - Everyday tension of the span's phase conductors (lbs)
+ * @returns {number} Tension (lbs)
+ */
+export function getUnderbuildTension(type, spanTension) {
+  return type.tension ?? spanTension * (type.tensionRatio ?? 1);
+}
+
+/**
+ * Vertical separation between a power conductor and a line below it,
+ * both sampled at the same stations from pole A to pole B
+ * @param {Array<{y: number}>} upper - Power conductor points
+ * @param {Array<{y: number}>} lower - Lower line points
+ * @returns {{pole: {distance: number, index: number}, midspan: {distance: number, index: number}|null}}
+ *   Smaller separation of the two attachments, and smallest separation between them
+ *   (null when the lines have no points between their ends)
+ */
+export function getVerticalSeparation(upper, lower) {
+  const count = Math.min(upper.length, lower.length);
+  const at = index => ({ distance: upper[index].y - lower[index].y, index });
+  const ends = [at(0), at(count - 1)];
+  const pole = ends[0].distance <= ends[1].distance ? ends[0] : ends[1];
+
+  let midspan = null;
+  for (let i = 1; i < count - 1; i++) {
+    const separation = at(i);
+    if (!midspan || separation.distance < midspan.distance) midspan = separation;
+  }
+  return { pole, midspan };
+}
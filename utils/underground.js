@@ -0,0 +1,95 @@
+/**
+ * Underground Cable for GridScaper
+ *
+ * Where an overhead line goes underground - under a street, into a city
+ * block - the cable drops down a riser pole in a conduit and runs in a
+ * trench at a fixed depth below the surface to the next riser. An
+ * underground span carries no tension and hangs over nothing, so it takes
+ * no part in sag, loading or the overhead clearance checks; it is drawn
+ * following the terrain at its burial depth and costed by its length.
+ */
+
+/** Span type of an underground cable; overhead spans are 'pole' */
+export const UNDERGROUND_SPAN = 'underground';
+
+/** Burial depth to the top of the cable when a span doesn't set its own (ft) */
+export const DEFAULT_BURIAL_DEPTH = 3;
+
+/** Deepest burial depth a span can be given (ft) */
+export const MAX_BURIAL_DEPTH = 20;
+
+/**
+ * Whether a span is an underground cable
+ * @param {Object} span - Entry from the spans array
+ * @returns {boolean}
+ */
+export function isUndergroundSpan(span) {
+  return span?.type === UNDERGROUND_SPAN;
+}
+
+/**
+ * Burial depth read from a span's saved data
+ * @param {*} depth - Saved depth (ft)
+ * @returns {number|null} Depth, or null to use DEFAULT_BURIAL_DEPTH
+ */
+export function sanitizeBurialDepth(depth) {
+  const value = Number(depth);
+  return depth !== null && depth !== '' && Number.isFinite(value) && value > 0 && value <= MAX_BURIAL_DEPTH
+    ? value
+    : null;
+}
+
+/**
+ * Points along an underground cable. The cable comes up to the surface at
+ * each pole and follows the terrain at its burial depth in between.
+ *
+ * @param {Object} options
+ * @param {{x: number, z: number}} options.poleA - Pole at the A end
+ * @param {{x: number, z: number}} options.poleB - Pole at the B end
+ * @param {Function} options.groundHeight - Terrain height at a scene (x, z)
+ * @param {number} [options.depth=DEFAULT_BURIAL_DEPTH] - Burial depth (ft)
+ * @param {number} [options.terrainOffsetZ=0] - Z offset between pole and scene coordinates
+ * @param {number} [options.step=2] - Longest distance between samples along the trench (ft)
+ * @returns {Array<{x: number, y: number, z: number}>} Scene points from pole A to pole B
+ */
+export function getUndergroundCablePoints({
+  poleA,
+  poleB,
+  groundHeight,
+  depth = DEFAULT_BURIAL_DEPTH,
+  terrainOffsetZ = 0,
+  step = 2
+}) {
+  const length = Math.hypot(poleB.x - poleA.x, poleB.z - poleA.z);
+  // The cable bends down to depth within its depth of each pole (a quarter span at most)
+  const drop = Math.min(depth, length / 4);
+  const stations = [0];
+  const segments = Math.max(1, Math.ceil((length - 2 * drop) / step));
+  for (let i = 0; i <= segments; i++) {
+    stations.push(drop + (length - 2 * drop) * i / segments);
+  }
+  stations.push(length);
+
+  return stations.map((station, index) => {
+    const t = length > 0 ? station / length : 0;
+    const x = poleA.x + (poleB.x - poleA.x) * t;
+    const z = poleA.z + (poleB.z - poleA.z) * t + terrainOffsetZ;
+    const atSurface = index === 0 || index === stations.length - 1;
+    return { x, y: groundHeight(x, z) - (atSurface ? 0 : depth), z };
+  });
+}
+
+/**
+ * Length of cable along a path
+ * @param {Array<{x: number, y: number, z: number}>} points - Cable points
+ * @returns {number} Length (ft)
+ */
+export function getCableLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    length += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+  }
+  return length;
+}